@@ -0,0 +1,413 @@
+/*
+ * BLACKSWAN ORACLE ALERT NOTIFIER
+ * ====================
+ *
+ * Posts alerts to the webhooks in ALERT_WEBHOOKS (comma-separated, `url` or
+ * `format=url`). Payload formats:
+ * - generic: JSON with alert key, status, severity, title, message and details
+ * - slack:   Slack incoming webhook ({ text })
+ * - discord: Discord webhook ({ content })
+ *
+ * Alerts are conditions identified by a key (e.g. "poll-failures"):
+ * - raise(key, ...) notifies once; raising an already firing key is deduplicated
+ * - resolve(key, ...) sends a "resolved" message if the alert was notified
+ *
+ * ALERT_SCORE_LEVELS adds alerts for published scores crossing a level, e.g.
+ * "blackswan>=70,marketPeak>=80"; they resolve when the score falls back.
+ *
+ * At most ALERT_RATE_LIMIT notifications are sent per ALERT_RATE_LIMIT_WINDOW_MS.
+ * A firing alert or resolution held back by the limit is sent once the window
+ * frees up, oldest first; a firing alert resolved before that is never sent.
+ * Webhook failures are logged and never interrupt the oracle.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const axios = require("axios");
+
+const FORMATS = ["generic", "slack", "discord"];
+const REQUEST_TIMEOUT_MS = 10000;
+const HISTORY_LIMIT = 20;
+
+const ICONS = {
+  critical: "🚨",
+  warning: "⚠️",
+  info: "ℹ️",
+  resolved: "✅",
+};
+
+const SCORE_TYPES = { blackswan: "blackswan", marketpeak: "marketPeak" };
+const SCORE_LEVEL = /^(\w+)\s*(>=|<=)\s*(\d+)$/;
+
+// Webhook URLs contain secrets, so errors and /status only show the host
+const webhookHost = (url, position) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(
+      `ALERT_WEBHOOKS entry ${position} is not a valid http(s) URL (expected "https://..." or "slack=https://...")`
+    );
+  }
+  return parsed.host;
+};
+
+// Accept "https://host/path" (generic) or "slack=https://hooks.slack.com/..."
+const parseWebhook = (value) => {
+  const match = /^(\w+)=(.+)$/.exec(value.trim());
+  if (match && FORMATS.includes(match[1].toLowerCase())) {
+    return { format: match[1].toLowerCase(), url: match[2] };
+  }
+  return { format: "generic", url: value.trim() };
+};
+
+class AlertNotifier {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.webhooks = (options.webhooks || []).map((webhook, index) => ({
+      ...webhook,
+      host: webhookHost(webhook.url, index + 1),
+      sent: 0,
+      errors: 0,
+      lastError: null,
+      lastErrorAt: null,
+    }));
+    this.options = {
+      rateLimit: options.rateLimit || 10,
+      rateLimitWindowMs: options.rateLimitWindowMs || 3600000,
+      scoreLevels: options.scoreLevels || [],
+      pollFailures: options.pollFailures || 3,
+      unhealthyAfterMs:
+        options.unhealthyAfterMs !== undefined ? options.unhealthyAfterMs : 300000,
+    };
+
+    this.active = new Map();
+    // Resolutions of delivered alerts that the rate limit held back
+    this.undeliveredResolutions = [];
+    this.retryTimeoutId = null;
+    this.sentAt = [];
+    this.history = [];
+    this.counters = {
+      raised: 0,
+      resolved: 0,
+      deduplicated: 0,
+      rateLimited: 0,
+      redelivered: 0,
+    };
+  }
+
+  static fromEnv(logger) {
+    const webhooks = (process.env.ALERT_WEBHOOKS || "")
+      .split(",")
+      .map((webhook) => webhook.trim())
+      .filter(Boolean)
+      .map(parseWebhook);
+
+    // "blackswan>=70" -> { type: "blackswan", operator: ">=", value: 70 }
+    const scoreLevels = [];
+    for (const spec of (process.env.ALERT_SCORE_LEVELS || "").split(",")) {
+      if (!spec.trim()) {
+        continue;
+      }
+      const match = SCORE_LEVEL.exec(spec.trim());
+      const type = match ? SCORE_TYPES[match[1].toLowerCase()] : null;
+      if (!type) {
+        logger.warn(
+          `Ignoring invalid ALERT_SCORE_LEVELS entry "${spec.trim()}", expected e.g. blackswan>=70`
+        );
+        continue;
+      }
+      scoreLevels.push({ type, operator: match[2], value: parseInt(match[3]) });
+    }
+
+    return new AlertNotifier(logger, {
+      webhooks,
+      scoreLevels,
+      rateLimit: parseInt(process.env.ALERT_RATE_LIMIT) || undefined,
+      rateLimitWindowMs:
+        parseInt(process.env.ALERT_RATE_LIMIT_WINDOW_MS) || undefined,
+      pollFailures: parseInt(process.env.ALERT_POLL_FAILURES) || undefined,
+      unhealthyAfterMs: process.env.ALERT_UNHEALTHY_AFTER_MS
+        ? parseInt(process.env.ALERT_UNHEALTHY_AFTER_MS)
+        : undefined,
+    });
+  }
+
+  get enabled() {
+    return this.webhooks.length > 0;
+  }
+
+  /**
+   * Fire an alert unless it is already firing
+   * severity: "critical", "warning" or "info"
+   */
+  raise(key, { severity = "warning", title, message, details = {} }) {
+    if (this.active.has(key)) {
+      this.counters.deduplicated++;
+      return;
+    }
+
+    const alert = {
+      key,
+      severity,
+      title,
+      message,
+      details,
+      firedAt: new Date(),
+      notified: false,
+    };
+    this.active.set(key, alert);
+    this.counters.raised++;
+    this.logger.warn(`🔔 Alert ${key}: ${title} - ${message}`);
+
+    alert.notified = this.dispatch({ ...alert, status: "firing" });
+    this.scheduleRetry();
+  }
+
+  /**
+   * Clear a firing alert and report it as resolved
+   */
+  resolve(key, message) {
+    const alert = this.active.get(key);
+    if (!alert) {
+      return;
+    }
+
+    this.active.delete(key);
+    this.counters.resolved++;
+    this.logger.info(`🔕 Alert ${key} resolved${message ? `: ${message}` : ""}`);
+
+    // Only announce the resolution of alerts that were actually delivered
+    if (alert.notified) {
+      const resolution = {
+        ...alert,
+        status: "resolved",
+        message: message || `${alert.title} resolved`,
+        resolvedAt: new Date(),
+      };
+      if (!this.dispatch(resolution) && this.enabled) {
+        this.undeliveredResolutions.push(resolution);
+        this.scheduleRetry();
+      }
+    }
+  }
+
+  /**
+   * Send the alerts and resolutions held back by the rate limit, oldest first,
+   * until the limit is reached again
+   */
+  retryUndelivered() {
+    this.retryTimeoutId = null;
+
+    for (const alert of this.active.values()) {
+      if (alert.notified) {
+        continue;
+      }
+      if (!this.dispatch({ ...alert, status: "firing" })) {
+        return this.scheduleRetry();
+      }
+      alert.notified = true;
+      this.counters.redelivered++;
+    }
+
+    while (this.undeliveredResolutions.length > 0) {
+      if (!this.dispatch(this.undeliveredResolutions[0])) {
+        return this.scheduleRetry();
+      }
+      this.undeliveredResolutions.shift();
+      this.counters.redelivered++;
+    }
+  }
+
+  hasUndelivered() {
+    return (
+      this.undeliveredResolutions.length > 0 ||
+      [...this.active.values()].some((alert) => !alert.notified)
+    );
+  }
+
+  // Retry when the oldest notification in the window expires
+  scheduleRetry() {
+    if (this.retryTimeoutId || !this.enabled || !this.hasUndelivered()) {
+      return;
+    }
+    const delayMs = Math.max(
+      this.sentAt[0] + this.options.rateLimitWindowMs - Date.now(),
+      0
+    );
+    this.retryTimeoutId = setTimeout(() => this.retryUndelivered(), delayMs);
+    this.retryTimeoutId.unref();
+  }
+
+  stop() {
+    if (this.retryTimeoutId) {
+      clearTimeout(this.retryTimeoutId);
+      this.retryTimeoutId = null;
+    }
+  }
+
+  /**
+   * Raise or resolve the score level alerts for the published scores
+   */
+  checkScores(scores) {
+    for (const level of this.options.scoreLevels) {
+      const score = scores[level.type];
+      if (score === null || score === undefined) {
+        continue;
+      }
+
+      const key = `score-${level.type}-${
+        level.operator === ">=" ? "above" : "below"
+      }-${level.value}`;
+      const crossed =
+        level.operator === ">=" ? score >= level.value : score <= level.value;
+
+      if (crossed) {
+        this.raise(key, {
+          severity: "warning",
+          title: `${level.type} score ${level.operator} ${level.value}`,
+          message: `Published ${level.type} score is ${score}`,
+          details: { type: level.type, score, level: level.value },
+        });
+      } else {
+        this.resolve(key, `Published ${level.type} score is back at ${score}`);
+      }
+    }
+  }
+
+  isActive(key) {
+    return this.active.has(key);
+  }
+
+  /**
+   * Send a notification to every webhook, subject to the rate limit
+   * Returns false if there is nothing to send to or the rate limit held it back
+   */
+  dispatch(notification) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.sentAt = this.sentAt.filter(
+      (timestamp) => now - timestamp < this.options.rateLimitWindowMs
+    );
+    if (this.sentAt.length >= this.options.rateLimit) {
+      this.counters.rateLimited++;
+      this.logger.warn(
+        `Alert ${notification.key} (${notification.status}) held back: rate limit of ${this.options.rateLimit} per ${
+          this.options.rateLimitWindowMs / 1000
+        }s reached`
+      );
+      return false;
+    }
+    this.sentAt.push(now);
+
+    this.history.push({
+      key: notification.key,
+      status: notification.status,
+      severity: notification.severity,
+      title: notification.title,
+      timestamp: new Date(),
+    });
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+
+    // Delivery runs in the background so a slow webhook never blocks the oracle
+    for (const webhook of this.webhooks) {
+      this.post(webhook, notification);
+    }
+    return true;
+  }
+
+  async post(webhook, notification) {
+    try {
+      await axios.post(webhook.url, this.format(webhook.format, notification), {
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: { "Content-Type": "application/json" },
+      });
+      webhook.sent++;
+    } catch (error) {
+      const message =
+        error.code === "ECONNABORTED"
+          ? "request timed out"
+          : error.response
+          ? `returned error ${error.response.status}`
+          : error.message;
+      webhook.errors++;
+      webhook.lastError = message;
+      webhook.lastErrorAt = new Date();
+      this.logger.error(
+        `Alert webhook ${webhook.host} failed for ${notification.key}: ${message}`
+      );
+    }
+  }
+
+  format(format, notification) {
+    const resolved = notification.status === "resolved";
+    const icon = resolved ? ICONS.resolved : ICONS[notification.severity] || "";
+    const label = resolved ? "RESOLVED" : notification.severity.toUpperCase();
+    const text = `${icon} [${label}] ${notification.title}\n${notification.message}`;
+
+    if (format === "slack") {
+      return {
+        text: `${icon} *[${label}] ${notification.title}*\n${notification.message}`,
+      };
+    }
+    if (format === "discord") {
+      return { content: text, username: "BlackSwan Oracle" };
+    }
+    return {
+      service: "BlackSwan Oracle",
+      key: notification.key,
+      status: notification.status,
+      severity: notification.severity,
+      title: notification.title,
+      message: notification.message,
+      details: notification.details,
+      firedAt: notification.firedAt,
+      resolvedAt: notification.resolvedAt || null,
+      timestamp: new Date(),
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      webhooks: this.webhooks.map((webhook) => ({
+        format: webhook.format,
+        host: webhook.host,
+        sent: webhook.sent,
+        errors: webhook.errors,
+        lastError: webhook.lastError,
+        lastErrorAt: webhook.lastErrorAt,
+      })),
+      rateLimit: {
+        limit: this.options.rateLimit,
+        windowMs: this.options.rateLimitWindowMs,
+      },
+      scoreLevels: this.options.scoreLevels,
+      pollFailures: this.options.pollFailures,
+      unhealthyAfterMs: this.options.unhealthyAfterMs,
+      counters: this.counters,
+      undeliveredResolutions: this.undeliveredResolutions.length,
+      active: [...this.active.values()].map((alert) => ({
+        key: alert.key,
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message,
+        firedAt: alert.firedAt,
+        notified: alert.notified,
+      })),
+      recent: this.history.slice(-10),
+    };
+  }
+}
+
+module.exports = AlertNotifier;
@@ -0,0 +1,320 @@
+/*
+ * BLACKSWAN ORACLE ANALYSIS SOURCES
+ * ====================
+ *
+ * Polls every configured analysis deployment in parallel and aggregates the
+ * results per analysis type:
+ * - sources whose score is within the tolerance of the overall median agree
+ * - at least SOURCE_QUORUM agreeing sources are required, otherwise the check fails
+ * - the published score is the median of the agreeing scores, rounded to a
+ *   whole point (halves round up) because the contract stores integers
+ * - the analysis document comes from the agreeing source closest to that score,
+ *   with its score replaced by the published one
+ *
+ * Each response is checked against the analysis schemas first; a source returning
+ * an invalid payload counts as failed.
+ *
+ * Sources come from API_ANALYSIS_ENDPOINTS (comma separated, optionally
+ * "name=url"), falling back to the single API_ANALYSIS_ENDPOINT / API_ENDPOINT.
+ *
+ * onRequest({ source, durationMs, error }) is called after every source request.
+ * Each request runs in a client span and carries the trace context in a
+ * traceparent header when tracing is enabled.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const axios = require("axios");
+const { SpanStatusCode } = require("@opentelemetry/api");
+const AnalysisValidator = require("./analysisValidator");
+const Tracer = require("./tracing");
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+// With an even count this is the mean of the two middle values, e.g. 42.5
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const parseSources = (value) =>
+  value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item, index) => {
+      const separator = item.indexOf("=");
+      if (separator > 0 && !item.slice(0, separator).includes("://")) {
+        return {
+          name: item.slice(0, separator).trim(),
+          url: item.slice(separator + 1).trim(),
+        };
+      }
+      let name;
+      try {
+        name = new URL(item).host;
+      } catch (error) {
+        name = `source-${index + 1}`;
+      }
+      return { name, url: item };
+    });
+
+class AnalysisSources {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.sources = options.sources || [];
+    this.validator = options.validator || new AnalysisValidator(logger);
+    this.tracer = options.tracer || new Tracer(logger);
+    this.options = {
+      quorum: options.quorum || 1,
+      tolerance: options.tolerance || 0,
+      onRequest: options.onRequest || null,
+    };
+
+    if (this.sources.length === 0) {
+      throw new Error("At least one analysis source must be configured");
+    }
+    if (this.options.quorum > this.sources.length) {
+      throw new Error(
+        `SOURCE_QUORUM (${this.options.quorum}) exceeds the number of analysis sources (${this.sources.length})`
+      );
+    }
+
+    this.sourceStatus = {};
+    for (const source of this.sources) {
+      this.sourceStatus[source.name] = {
+        url: source.url,
+        lastSuccess: null,
+        lastError: null,
+        lastErrorAt: null,
+        scores: null,
+        agreed: null,
+      };
+    }
+    this.lastAggregate = null;
+  }
+
+  static fromEnv(logger, validator, { onRequest, tracer } = {}) {
+    const sources = process.env.API_ANALYSIS_ENDPOINTS
+      ? parseSources(process.env.API_ANALYSIS_ENDPOINTS)
+      : parseSources(
+          process.env.API_ANALYSIS_ENDPOINT ||
+            process.env.API_ENDPOINT.replace("/stats", "/analysis")
+        );
+
+    return new AnalysisSources(logger, {
+      sources,
+      validator,
+      quorum: parseInt(process.env.SOURCE_QUORUM) || 1,
+      tolerance: parseFloat(process.env.SOURCE_SCORE_TOLERANCE) || 0,
+      onRequest,
+      tracer,
+    });
+  }
+
+  /**
+   * Fetch all sources and return the aggregated { blackswan, marketPeak } analysis
+   * Throws if either analysis type does not reach quorum
+   */
+  async fetch() {
+    const results = await Promise.all(
+      this.sources.map((source) => this.fetchSource(source))
+    );
+    const succeeded = results.filter((result) => result.data);
+
+    const aggregate = {};
+    for (const key of ["blackswan", "marketPeak"]) {
+      aggregate[key] = this.aggregate(key, succeeded);
+    }
+
+    this.lastAggregate = {
+      blackswan: {
+        score: aggregate.blackswan.score,
+        sources: aggregate.blackswan.sources.map((source) => source.name),
+      },
+      marketPeak: {
+        score: aggregate.marketPeak.score,
+        sources: aggregate.marketPeak.sources.map((source) => source.name),
+      },
+      respondingSources: succeeded.length,
+      totalSources: this.sources.length,
+      timestamp: new Date(),
+    };
+
+    if (this.sources.length > 1) {
+      this.logger.info(
+        `🧮 Aggregated ${succeeded.length}/${this.sources.length} sources - BlackSwan: ${aggregate.blackswan.score} (${aggregate.blackswan.sources.length} agreeing), MarketPeak: ${aggregate.marketPeak.score} (${aggregate.marketPeak.sources.length} agreeing)`
+      );
+    }
+
+    return {
+      blackswan: aggregate.blackswan.analysis,
+      marketPeak: aggregate.marketPeak.analysis,
+    };
+  }
+
+  fetchSource(source) {
+    return this.tracer.startActiveSpan(
+      "GET",
+      {
+        kind: "client",
+        attributes: {
+          "http.request.method": "GET",
+          "oracle.source": source.name,
+        },
+      },
+      (span) => this.requestSource(source, span)
+    );
+  }
+
+  async requestSource(source, span) {
+    const status = this.sourceStatus[source.name];
+    const startedAt = Date.now();
+
+    try {
+      // Only the host - source URLs may contain API keys. A malformed URL
+      // fails this source like any other request error
+      span.setAttribute("server.address", new URL(source.url).host);
+      const response = await axios.get(source.url, {
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: this.tracer.injectHeaders({
+          "User-Agent": "BlackSwanOracle/1.0",
+        }),
+      });
+      span.setAttribute("http.response.status_code", response.status);
+
+      const { blackswan, marketPeak } = response.data || {};
+      if (!blackswan || !marketPeak) {
+        throw new Error("Unable to extract analysis data from API response");
+      }
+      this.validator.assertValid({ blackswan, marketPeak }, source.name);
+
+      status.lastSuccess = new Date();
+      status.scores = {
+        blackswan: Math.floor(blackswan.score),
+        marketPeak: Math.floor(marketPeak.score),
+      };
+      span.setAttributes({
+        "oracle.blackswan.score": status.scores.blackswan,
+        "oracle.marketpeak.score": status.scores.marketPeak,
+      });
+      this.reportRequest(source, startedAt, null);
+      return { source, data: { blackswan, marketPeak } };
+    } catch (error) {
+      let message;
+      if (error.code === "ECONNABORTED") {
+        message = "request timed out";
+      } else if (error.response) {
+        message = `returned error ${error.response.status}: ${error.response.statusText}`;
+      } else if (error.request) {
+        message = "no response received";
+      } else {
+        message = error.message;
+      }
+
+      this.logger.error(`Analysis source ${source.name} failed: ${message}`);
+      if (error.response) {
+        span.setAttribute("http.response.status_code", error.response.status);
+      }
+      span.setStatus({ code: SpanStatusCode.ERROR, message });
+      status.lastError = message;
+      status.lastErrorAt = new Date();
+      status.scores = null;
+      status.agreed = null;
+      this.reportRequest(source, startedAt, message);
+      return { source, error: message };
+    }
+  }
+
+  reportRequest(source, startedAt, error) {
+    if (this.options.onRequest) {
+      this.options.onRequest({
+        source: source.name,
+        durationMs: Date.now() - startedAt,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Pick the agreeing sources for one analysis type and build the published analysis
+   */
+  aggregate(key, results) {
+    if (results.length < this.options.quorum) {
+      throw new Error(
+        `Analysis quorum not reached: ${results.length}/${this.sources.length} sources responded, ${this.options.quorum} required`
+      );
+    }
+
+    const scored = results.map((result) => ({
+      ...result,
+      score: Math.floor(result.data[key].score),
+    }));
+    const reference = median(scored.map((result) => result.score));
+    const agreeing = scored.filter(
+      (result) => Math.abs(result.score - reference) <= this.options.tolerance
+    );
+
+    for (const result of scored) {
+      const status = this.sourceStatus[result.source.name];
+      status.agreed = { ...(status.agreed || {}), [key]: agreeing.includes(result) };
+      if (!agreeing.includes(result)) {
+        this.logger.warn(
+          `⚖️  Source ${result.source.name} disagrees on ${key}: ${result.score} vs median ${reference} (tolerance ${this.options.tolerance})`
+        );
+      }
+    }
+
+    if (agreeing.length < this.options.quorum) {
+      throw new Error(
+        `Analysis quorum not reached for ${key}: ${agreeing.length} sources agree within ${this.options.tolerance}, ${this.options.quorum} required`
+      );
+    }
+
+    const score = Math.round(median(agreeing.map((result) => result.score)));
+    const chosen = agreeing.reduce((closest, result) =>
+      Math.abs(result.score - score) < Math.abs(closest.score - score)
+        ? result
+        : closest
+    );
+    const sources = agreeing.map((result) => ({
+      name: result.source.name,
+      score: result.score,
+    }));
+
+    return {
+      score,
+      sources,
+      analysis: {
+        ...chosen.data[key],
+        score,
+        sources: {
+          documentSource: chosen.source.name,
+          contributing: sources,
+          quorum: this.options.quorum,
+          tolerance: this.options.tolerance,
+          totalSources: this.sources.length,
+        },
+      },
+    };
+  }
+
+  getStatus() {
+    return {
+      configuration: {
+        quorum: this.options.quorum,
+        tolerance: this.options.tolerance,
+        totalSources: this.sources.length,
+      },
+      sources: this.sourceStatus,
+      lastAggregate: this.lastAggregate,
+    };
+  }
+}
+
+module.exports = AnalysisSources;
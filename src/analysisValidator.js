@@ -0,0 +1,183 @@
+/*
+ * BLACKSWAN ORACLE ANALYSIS VALIDATOR
+ * ====================
+ *
+ * Declarative schemas for the BlackSwan and Market Peak analysis payloads returned
+ * by the analysis API. Every payload is validated before it can be pinned to IPFS
+ * or written on-chain; an invalid payload raises an error with code
+ * SCHEMA_INVALID and the list of field errors.
+ *
+ * Fields not listed in a schema are allowed but never published, since the IPFS
+ * document only copies the known fields.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const HISTORY_LIMIT = 20;
+
+const SCORE = { type: "number", required: true, min: 0, max: 100 };
+const STRING_LIST = { type: "array", items: { type: "string", minLength: 1 } };
+const TIMESTAMP = { type: ["number", "string"] };
+
+const SCHEMAS = {
+  blackswan: {
+    score: SCORE,
+    confidence: { type: "string", minLength: 1 },
+    certainty: { type: "number", min: 0, max: 100 },
+    analysis: { type: "string", required: true, minLength: 1 },
+    reasoning: { ...STRING_LIST, required: true, minItems: 1 },
+    currentMarketIndicators: STRING_LIST,
+    primaryRiskFactors: STRING_LIST,
+    timestamp: TIMESTAMP,
+  },
+  marketPeak: {
+    score: SCORE,
+    summary: { type: "string", required: true, minLength: 1 },
+    keyFactors: STRING_LIST,
+    reasoning: { ...STRING_LIST, required: true, minItems: 1 },
+    timestamp: TIMESTAMP,
+  },
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (value === null) {
+    return "null";
+  }
+  return typeof value;
+};
+
+class AnalysisValidator {
+  constructor(logger) {
+    this.logger = logger;
+    this.failures = [];
+    this.validatedCount = 0;
+    this.rejectedCount = 0;
+  }
+
+  /**
+   * Validate one analysis object against its schema
+   * Returns a list of { field, message } errors (empty when valid)
+   */
+  validate(key, data) {
+    const schema = SCHEMAS[key];
+    if (!schema) {
+      return [{ field: key, message: "unknown analysis type" }];
+    }
+    if (typeOf(data) !== "object") {
+      return [{ field: key, message: `expected object, got ${typeOf(data)}` }];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(schema)) {
+      errors.push(...this.validateField(`${key}.${field}`, data[field], rule));
+    }
+    return errors;
+  }
+
+  validateField(path, value, rule) {
+    if (value === undefined || value === null) {
+      return rule.required ? [{ field: path, message: "is required" }] : [];
+    }
+
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    const actual = typeOf(value);
+    if (!types.includes(actual)) {
+      return [
+        {
+          field: path,
+          message: `expected ${types.join(" or ")}, got ${actual}`,
+        },
+      ];
+    }
+
+    const errors = [];
+    if (actual === "number") {
+      if (!Number.isFinite(value)) {
+        errors.push({ field: path, message: "must be a finite number" });
+      } else if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field: path, message: `${value} is below ${rule.min}` });
+      } else if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field: path, message: `${value} is above ${rule.max}` });
+      }
+    }
+    if (
+      actual === "string" &&
+      rule.minLength !== undefined &&
+      value.trim().length < rule.minLength
+    ) {
+      errors.push({ field: path, message: "must not be empty" });
+    }
+    if (actual === "array") {
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        errors.push({
+          field: path,
+          message: `must contain at least ${rule.minItems} item(s)`,
+        });
+      }
+      if (rule.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validateField(`${path}[${index}]`, item, rule.items));
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Validate a { blackswan, marketPeak } payload, throwing SCHEMA_INVALID on errors
+   */
+  assertValid(
+    payload,
+    source = "analysis API",
+    keys = ["blackswan", "marketPeak"]
+  ) {
+    const errors = keys.flatMap((key) =>
+      this.validate(key, payload ? payload[key] : undefined)
+    );
+    this.validatedCount++;
+
+    if (errors.length === 0) {
+      return;
+    }
+
+    this.rejectedCount++;
+    this.failures.push({ source, errors, timestamp: new Date() });
+    if (this.failures.length > HISTORY_LIMIT) {
+      this.failures.shift();
+    }
+
+    this.logger.error(
+      `🚫 Invalid analysis payload from ${source} (${errors.length} error${
+        errors.length === 1 ? "" : "s"
+      })`
+    );
+    for (const error of errors) {
+      this.logger.error(`   ${error.field}: ${error.message}`);
+    }
+
+    const error = new Error(
+      `Invalid analysis payload from ${source}: ${errors
+        .map((fieldError) => `${fieldError.field} ${fieldError.message}`)
+        .join("; ")}`
+    );
+    error.code = "SCHEMA_INVALID";
+    error.errors = errors;
+    throw error;
+  }
+
+  getStatus() {
+    return {
+      validatedCount: this.validatedCount,
+      rejectedCount: this.rejectedCount,
+      lastFailure: this.failures.at(-1) || null,
+      recentFailures: this.failures.slice(-10),
+    };
+  }
+}
+
+module.exports = AnalysisValidator;
@@ -0,0 +1,206 @@
+/*
+ * BLACKSWAN ORACLE BALANCE MONITOR
+ * ====================
+ *
+ * Polls the balances of the dev wallets every BALANCE_CHECK_INTERVAL_MS and
+ * compares them with two thresholds:
+ * - warn:     BALANCE_WARN_ETH, time to top up
+ * - critical: BALANCE_CRITICAL_ETH, transactions are about to fail
+ *
+ * The level of the pool is taken from the combined balance of all authorized
+ * wallets, since the pool rotates to whichever wallet still has funds. Each
+ * wallet also gets its own level. Runway is estimated by dividing the combined
+ * balance by the gas spent over the last 24 hours.
+ *
+ * Level changes are logged once and passed to onLevelChange; /health reports
+ * "degraded" while critical.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+
+class BalanceMonitor {
+  constructor(walletPool, gasBudget, logger, options = {}) {
+    this.walletPool = walletPool;
+    this.gasBudget = gasBudget;
+    this.logger = logger;
+    this.options = {
+      intervalMs: options.intervalMs || 300000,
+      warnBalance:
+        options.warnBalance !== undefined
+          ? options.warnBalance
+          : ethers.parseEther("0.01"),
+      criticalBalance:
+        options.criticalBalance !== undefined
+          ? options.criticalBalance
+          : ethers.parseEther("0.002"),
+      onLevelChange: options.onLevelChange || null,
+    };
+
+    if (this.options.criticalBalance > this.options.warnBalance) {
+      throw new Error(
+        "BALANCE_CRITICAL_ETH must not be higher than BALANCE_WARN_ETH"
+      );
+    }
+
+    this.level = null;
+    this.walletLevels = {};
+    this.totalBalance = null;
+    this.runway = null;
+    this.lastCheck = null;
+    this.lastError = null;
+  }
+
+  static fromEnv(walletPool, gasBudget, logger, { onLevelChange } = {}) {
+    return new BalanceMonitor(walletPool, gasBudget, logger, {
+      intervalMs: parseInt(process.env.BALANCE_CHECK_INTERVAL_MS) || undefined,
+      warnBalance: process.env.BALANCE_WARN_ETH
+        ? ethers.parseEther(process.env.BALANCE_WARN_ETH)
+        : undefined,
+      criticalBalance: process.env.BALANCE_CRITICAL_ETH
+        ? ethers.parseEther(process.env.BALANCE_CRITICAL_ETH)
+        : undefined,
+      onLevelChange,
+    });
+  }
+
+  levelFor(balance) {
+    if (balance < this.options.criticalBalance) {
+      return "critical";
+    }
+    if (balance < this.options.warnBalance) {
+      return "warn";
+    }
+    return "ok";
+  }
+
+  /**
+   * Days the combined balance lasts at the last 24 hours' gas spend
+   * null while nothing was spent in the window
+   */
+  estimateRunway(balance) {
+    const spent = this.gasBudget.getSpentInWindow();
+    if (spent === 0n) {
+      return null;
+    }
+    return {
+      days: Number((balance * 100n) / spent) / 100,
+      spent24hEth: ethers.formatEther(spent),
+    };
+  }
+
+  /**
+   * Refresh wallet balances and update the balance levels
+   */
+  async check() {
+    try {
+      await this.walletPool.refresh();
+    } catch (error) {
+      this.lastError = error.message;
+      this.logger.error(`Balance check failed: ${error.message}`);
+      return this.getStatus();
+    }
+
+    const wallets = this.walletPool.wallets.filter(
+      (wallet) => wallet.authorized !== false && wallet.balance !== null
+    );
+    if (wallets.length === 0) {
+      this.lastError = "No wallet balance available";
+      return this.getStatus();
+    }
+
+    for (const wallet of wallets) {
+      const level = this.levelFor(wallet.balance);
+      const previous = this.walletLevels[wallet.address];
+      this.walletLevels[wallet.address] = level;
+      if (previous && previous !== level) {
+        this.logger.info(
+          `💰 Dev wallet ${wallet.address} balance ${level}: ${ethers.formatEther(
+            wallet.balance
+          )} ETH`
+        );
+      }
+    }
+
+    this.totalBalance = wallets.reduce(
+      (total, wallet) => total + wallet.balance,
+      0n
+    );
+    this.runway = this.estimateRunway(this.totalBalance);
+    this.lastCheck = new Date();
+    this.lastError = null;
+
+    const level = this.levelFor(this.totalBalance);
+    if (level !== this.level) {
+      this.logLevelChange(level);
+      this.level = level;
+      if (this.options.onLevelChange) {
+        this.options.onLevelChange(level, this.getStatus());
+      }
+    }
+
+    return this.getStatus();
+  }
+
+  logLevelChange(level) {
+    const balance = `${ethers.formatEther(this.totalBalance)} ETH`;
+    const runway = this.runway
+      ? `, about ${this.runway.days} days of runway`
+      : "";
+
+    if (level === "critical") {
+      this.logger.error(
+        `🪫 Dev wallet balance critical: ${balance} is below ${ethers.formatEther(
+          this.options.criticalBalance
+        )} ETH${runway} - top up now`
+      );
+    } else if (level === "warn") {
+      this.logger.warn(
+        `💸 Dev wallet balance low: ${balance} is below ${ethers.formatEther(
+          this.options.warnBalance
+        )} ETH${runway}`
+      );
+    } else if (this.level !== null) {
+      this.logger.info(`✅ Dev wallet balance recovered: ${balance}${runway}`);
+    }
+  }
+
+  isCritical() {
+    return this.level === "critical";
+  }
+
+  start() {
+    this.check();
+    this.intervalId = setInterval(() => this.check(), this.options.intervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+    }
+  }
+
+  getStatus() {
+    return {
+      level: this.level,
+      totalBalanceEth:
+        this.totalBalance !== null
+          ? ethers.formatEther(this.totalBalance)
+          : null,
+      runway: this.runway,
+      thresholds: {
+        warnEth: ethers.formatEther(this.options.warnBalance),
+        criticalEth: ethers.formatEther(this.options.criticalBalance),
+      },
+      wallets: this.walletLevels,
+      intervalMs: this.options.intervalMs,
+      lastCheck: this.lastCheck,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = BalanceMonitor;
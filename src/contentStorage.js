@@ -0,0 +1,409 @@
+/*
+ * BLACKSWAN ORACLE CONTENT STORAGE
+ * ====================
+ *
+ * Pins analysis documents to one or more storage backends, chosen with
+ * STORAGE_BACKENDS:
+ * - pinata:     Pinata pinning service (PINATA_API_KEY / PINATA_SECRET_API_KEY)
+ * - kubo:       a local or remote IPFS Kubo node (KUBO_API_URL)
+ * - filesystem: JSON + CAR files on disk for development (STORAGE_FS_DIR)
+ *
+ * Documents are serialized deterministically and their CID (IPFS_CID_VERSION 0 or 1)
+ * is computed locally before uploading. A backend that reports a different CID
+ * counts as failed, so an unverified CID is never published. Verified CIDs are
+ * recorded in a pin registry. Content the registry lists as pinned is not
+ * uploaded again once the backends confirm they still hold the pin; if the
+ * pin was removed remotely the document is uploaded as usual.
+ *
+ * With several backends the document is pinned to all of them in parallel and
+ * the upload succeeds once STORAGE_MIN_PINS backends have pinned it. Each
+ * backend tracks its own health for /status, and onPin({ backend, durationMs,
+ * error }) is called after every pin attempt.
+ *
+ * Every backend implements:
+ *   name                                  - identifier used in logs and /status
+ *   pin(content, fileName, {cidVersion})  - pin the exact bytes and return the CID
+ *   checkHealth()                         - resolve with a short detail string or throw
+ *   fetchJSON(cid) (optional)             - read a document back without a gateway
+ *   listPins(nameFilter)                  - list pins as [{ cid, name, pinnedAt }]
+ *   isPinned(cid)                         - whether the backend still holds the pin
+ *   unpin(cid)                            - remove a pin
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const PinataBackend = require("./storage/pinataBackend");
+const KuboBackend = require("./storage/kuboBackend");
+const FilesystemBackend = require("./storage/filesystemBackend");
+const StateStore = require("./stateStore");
+const { canonicalJSON, computeCID } = require("./storage/cid");
+
+const HISTORY_LIMIT = 20;
+
+const BACKENDS = {
+  pinata: PinataBackend,
+  kubo: KuboBackend,
+  filesystem: FilesystemBackend,
+};
+
+const parseBackendNames = (value) =>
+  (value || "pinata")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+class ContentStorage {
+  constructor(logger, backends, options = {}) {
+    this.logger = logger;
+    this.backends = backends;
+    this.minPins = options.minPins || backends.length;
+    this.cidVersion = options.cidVersion || 0;
+    this.onPin = options.onPin || null;
+    this.registry = new StateStore(
+      options.registryFilePath || "data/pins.json",
+      logger
+    );
+
+    if (![0, 1].includes(this.cidVersion)) {
+      throw new Error(
+        `Invalid IPFS_CID_VERSION "${this.cidVersion}", expected 0 or 1`
+      );
+    }
+
+    if (backends.length === 0) {
+      throw new Error("At least one storage backend must be configured");
+    }
+    if (this.minPins > backends.length) {
+      throw new Error(
+        `STORAGE_MIN_PINS (${this.minPins}) exceeds the number of storage backends (${backends.length})`
+      );
+    }
+
+    const saved = this.registry.load();
+    this.pins = saved && saved.pins ? saved.pins : {};
+    this.recentPins = [];
+    this.verificationFailures = 0;
+
+    this.health = {};
+    for (const backend of backends) {
+      this.health[backend.name] = {
+        healthy: null,
+        detail: null,
+        lastCheck: null,
+        lastPin: null,
+        lastError: null,
+        lastErrorAt: null,
+        pinCount: 0,
+        failureCount: 0,
+      };
+    }
+  }
+
+  static fromEnv(logger, { onPin } = {}) {
+    const names = parseBackendNames(process.env.STORAGE_BACKENDS);
+    const unknown = names.filter((name) => !BACKENDS[name]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown storage backend(s) "${unknown.join(", ")}", expected: ${Object.keys(
+          BACKENDS
+        ).join(", ")}`
+      );
+    }
+
+    return new ContentStorage(
+      logger,
+      [...new Set(names)].map((name) => BACKENDS[name].fromEnv(logger)),
+      {
+        minPins: parseInt(process.env.STORAGE_MIN_PINS) || undefined,
+        cidVersion: process.env.IPFS_CID_VERSION
+          ? parseInt(process.env.IPFS_CID_VERSION)
+          : undefined,
+        registryFilePath: process.env.PIN_REGISTRY_FILE_PATH,
+        onPin,
+      }
+    );
+  }
+
+  /**
+   * Names of the backends requested by STORAGE_BACKENDS (used for env validation)
+   */
+  static configuredBackends() {
+    return parseBackendNames(process.env.STORAGE_BACKENDS);
+  }
+
+  /**
+   * Pin a JSON document to every backend and return its verified CID
+   * Throws unless at least minPins backends pinned it under the expected CID
+   */
+  async pinJSON(jsonData, fileName) {
+    const content = Buffer.from(canonicalJSON(jsonData));
+    const { cid } = computeCID(content, this.cidVersion);
+
+    if (await this.confirmExistingPin(cid, fileName)) {
+      return cid;
+    }
+
+    const results = await Promise.all(
+      this.backends.map(async (backend) => {
+        const startedAt = Date.now();
+        try {
+          const returned = await backend.pin(content, fileName, {
+            cidVersion: this.cidVersion,
+          });
+          if (returned !== cid) {
+            this.verificationFailures++;
+            throw new Error(
+              `returned CID ${returned}, expected locally computed ${cid}`
+            );
+          }
+          this.recordSuccess(backend, { lastPin: { cid, at: new Date() } });
+          this.health[backend.name].pinCount++;
+          this.reportPin(backend, startedAt, null);
+          return { backend: backend.name, cid };
+        } catch (error) {
+          this.recordFailure(backend, error);
+          this.health[backend.name].failureCount++;
+          this.reportPin(backend, startedAt, error.message);
+          this.logger.error(
+            `Storage backend ${backend.name} failed to pin ${fileName}: ${error.message}`
+          );
+          return { backend: backend.name, error: error.message };
+        }
+      })
+    );
+
+    const pinned = results.filter((result) => result.cid);
+    if (pinned.length < this.minPins) {
+      throw new Error(
+        `Refusing to publish ${cid}: verified on ${pinned.length}/${this.backends.length} storage backends, ${this.minPins} required`
+      );
+    }
+
+    this.recordPin(cid, {
+      fileName,
+      size: content.length,
+      backends: pinned.map((result) => result.backend),
+    });
+
+    this.logger.info(
+      `🔐 Verified CID on ${pinned.length}/${this.backends.length} backends`,
+      { cid, backends: pinned.map((result) => result.backend).join(",") }
+    );
+    return cid;
+  }
+
+  /**
+   * Whether a registered pin is still held by at least minPins backends
+   * The registry is only a cache: pins can be removed remotely, so every
+   * registered backend is asked before an upload is skipped
+   */
+  async confirmExistingPin(cid, fileName) {
+    const existing = this.pins[cid];
+    if (!existing || existing.backends.length < this.minPins) {
+      return false;
+    }
+
+    const confirmed = [];
+    await Promise.all(
+      this.backends
+        .filter((backend) => existing.backends.includes(backend.name))
+        .map(async (backend) => {
+          try {
+            if (await backend.isPinned(cid)) {
+              confirmed.push(backend.name);
+            }
+          } catch (error) {
+            this.logger.warn(
+              `Storage backend ${backend.name} could not confirm pin ${cid}: ${error.message}`
+            );
+          }
+        })
+    );
+
+    if (confirmed.length >= this.minPins) {
+      this.logger.info(`📎 ${fileName} already pinned - skipping upload`, {
+        cid,
+        backends: confirmed.join(","),
+      });
+      return true;
+    }
+
+    this.logger.warn(
+      `${fileName} is registered as pinned but only ${confirmed.length}/${this.minPins} backends confirmed it - uploading again`,
+      { cid }
+    );
+    return false;
+  }
+
+  reportPin(backend, startedAt, error) {
+    if (this.onPin) {
+      this.onPin({
+        backend: backend.name,
+        durationMs: Date.now() - startedAt,
+        error,
+      });
+    }
+  }
+
+  recordPin(cid, details) {
+    const pin = {
+      cid,
+      cidVersion: this.cidVersion,
+      ...details,
+      pinnedAt: new Date(),
+    };
+    this.pins[cid] = pin;
+    this.registry.save({ pins: this.pins });
+
+    this.recentPins.push(pin);
+    if (this.recentPins.length > HISTORY_LIMIT) {
+      this.recentPins.shift();
+    }
+  }
+
+  /**
+   * Whether a CID was pinned and verified by this service
+   */
+  isVerified(cid) {
+    return Boolean(this.pins[cid]);
+  }
+
+  /**
+   * List the pins on every backend, filling in names and dates from the registry
+   * Returns { [backend]: { pins, error } }
+   */
+  async listPins(nameFilter) {
+    const listings = {};
+    await Promise.all(
+      this.backends.map(async (backend) => {
+        try {
+          const pins = await backend.listPins(nameFilter);
+          listings[backend.name] = {
+            pins: pins.map((pin) => {
+              const registered = this.pins[pin.cid];
+              return {
+                ...pin,
+                name: pin.name || (registered ? registered.fileName : null),
+                pinnedAt:
+                  pin.pinnedAt ||
+                  (registered ? new Date(registered.pinnedAt) : null),
+              };
+            }),
+            error: null,
+          };
+        } catch (error) {
+          this.logger.error(
+            `Storage backend ${backend.name} failed to list pins: ${error.message}`
+          );
+          listings[backend.name] = { pins: [], error: error.message };
+        }
+      })
+    );
+    return listings;
+  }
+
+  /**
+   * Remove a pin from one backend and update the registry
+   */
+  async unpin(backendName, cid) {
+    const backend = this.backends.find((item) => item.name === backendName);
+    if (!backend) {
+      throw new Error(`Unknown storage backend: ${backendName}`);
+    }
+    await backend.unpin(cid);
+
+    const registered = this.pins[cid];
+    if (registered) {
+      registered.backends = registered.backends.filter(
+        (name) => name !== backendName
+      );
+      if (registered.backends.length === 0) {
+        delete this.pins[cid];
+      }
+      this.registry.save({ pins: this.pins });
+    }
+  }
+
+  /**
+   * Read a document back from the first backend that supports it
+   * Returns null when no backend can serve it, so the caller can use a gateway
+   */
+  async fetchJSON(cid) {
+    for (const backend of this.backends) {
+      if (typeof backend.fetchJSON !== "function") {
+        continue;
+      }
+      try {
+        return await backend.fetchJSON(cid);
+      } catch (error) {
+        this.logger.warn(
+          `Storage backend ${backend.name} could not read ${cid}: ${error.message}`
+        );
+      }
+    }
+    return null;
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.backends.map(async (backend) => {
+        try {
+          const detail = await backend.checkHealth();
+          // Health is checked periodically, so only changes are logged
+          if (this.health[backend.name].healthy !== true) {
+            this.logger.info(
+              `📌 Storage backend ${backend.name} healthy: ${detail}`
+            );
+          }
+          this.recordSuccess(backend, { detail });
+        } catch (error) {
+          if (
+            this.health[backend.name].healthy !== false ||
+            this.health[backend.name].lastError !== error.message
+          ) {
+            this.logger.error(
+              `Storage backend ${backend.name} health check failed: ${error.message}`
+            );
+          }
+          this.recordFailure(backend, error);
+        }
+        this.health[backend.name].lastCheck = new Date();
+      })
+    );
+    return this.getStatus();
+  }
+
+  recordSuccess(backend, changes) {
+    Object.assign(this.health[backend.name], { healthy: true, ...changes });
+  }
+
+  recordFailure(backend, error) {
+    Object.assign(this.health[backend.name], {
+      healthy: false,
+      lastError: error.message,
+      lastErrorAt: new Date(),
+    });
+  }
+
+  getStatus() {
+    const healthyCount = Object.values(this.health).filter(
+      (health) => health.healthy !== false
+    ).length;
+
+    return {
+      backends: this.backends.map((backend) => backend.name),
+      minPins: this.minPins,
+      cidVersion: this.cidVersion,
+      registryFile: this.registry.filePath,
+      verifiedPins: Object.keys(this.pins).length,
+      verificationFailures: this.verificationFailures,
+      recentPins: this.recentPins.slice(-10),
+      healthy: healthyCount >= this.minPins,
+      health: this.health,
+    };
+  }
+}
+
+module.exports = ContentStorage;
@@ -0,0 +1,212 @@
+/*
+ * BLACKSWAN ORACLE DOCUMENT SIGNER
+ * ====================
+ *
+ * Signs analysis documents with the oracle wallet and verifies them later.
+ *
+ * Every document carries `previous`, the URI of the previous document of the same
+ * type, so the published documents form a hash-chained history. The signature is
+ * EIP-712 typed data over the keccak256 hash of the document's deterministic JSON
+ * (without the signature itself), bound to the chain and the oracle contract:
+ *
+ *   AnalysisDocument(string documentType,string previous,bytes32 contentHash)
+ *
+ * A document verifies if the content hash matches, the signature recovers to an
+ * address and the contract reports that address as a dev wallet (isDevWallet).
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+const { canonicalJSON, computeCID, isValidCID } = require("./storage/cid");
+
+const DOMAIN_NAME = "BlackSwanOracle";
+const DOMAIN_VERSION = "1";
+
+const TYPES = {
+  AnalysisDocument: [
+    { name: "documentType", type: "string" },
+    { name: "previous", type: "string" },
+    { name: "contentHash", type: "bytes32" },
+  ],
+};
+
+const stripURI = (uri) => uri.replace("ipfs://", "");
+
+class DocumentSigner {
+  constructor(signer, contract, logger, options = {}) {
+    this.signer = signer;
+    this.contract = contract;
+    this.logger = logger;
+    this.chainDepth = options.chainDepth || 5;
+    this.domain = null;
+  }
+
+  static fromEnv(signer, contract, logger) {
+    return new DocumentSigner(signer, contract, logger, {
+      chainDepth: parseInt(process.env.VERIFY_CHAIN_DEPTH) || undefined,
+    });
+  }
+
+  async getDomain() {
+    if (!this.domain) {
+      const network = await this.signer.provider.getNetwork();
+      this.domain = {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: network.chainId,
+        // Checksummed, whatever case ORACLE_CONTRACT_ADDRESS is written in
+        verifyingContract: ethers.getAddress(await this.contract.getAddress()),
+      };
+    }
+    return this.domain;
+  }
+
+  /**
+   * keccak256 of the deterministic JSON of a document, excluding its signature
+   */
+  hashContent(document) {
+    const { signature, ...content } = document;
+    return ethers.keccak256(ethers.toUtf8Bytes(canonicalJSON(content)));
+  }
+
+  /**
+   * Return a copy of the document with an EIP-712 signature attached
+   */
+  async sign(document) {
+    const domain = await this.getDomain();
+    const value = {
+      documentType: document.type,
+      previous: document.previous || "",
+      contentHash: this.hashContent(document),
+    };
+    const signature = await this.signer.signTypedData(domain, TYPES, value);
+    const signer = await this.signer.getAddress();
+
+    this.logger.info(`✍️  Signed ${document.type} document as ${signer}`);
+
+    return {
+      ...document,
+      signature: {
+        scheme: "EIP-712",
+        domain: { ...domain, chainId: domain.chainId.toString() },
+        primaryType: "AnalysisDocument",
+        contentHash: value.contentHash,
+        signer,
+        value: signature,
+      },
+    };
+  }
+
+  /**
+   * Verify one document: CID, content hash, signature and dev wallet membership
+   */
+  async verifyDocument(cid, document) {
+    const result = {
+      cid,
+      type: document ? document.type : null,
+      generatedAt: document ? document.generatedAt : null,
+      previous: document ? document.previous || null : null,
+      valid: false,
+      checks: {},
+    };
+
+    try {
+      const version = cid.startsWith("Qm") ? 0 : 1;
+      result.checks.contentMatchesCID =
+        computeCID(Buffer.from(canonicalJSON(document)), version).cid === cid;
+      // Nothing else in a document that is not the one the CID names is trusted
+      if (!result.checks.contentMatchesCID) {
+        throw new Error("Content does not match CID");
+      }
+
+      const signature = document.signature;
+      if (!signature || !signature.value) {
+        throw new Error("Document is not signed");
+      }
+
+      const contentHash = this.hashContent(document);
+      result.checks.contentHash = contentHash === signature.contentHash;
+
+      const domain = await this.getDomain();
+      result.checks.domain =
+        signature.domain &&
+        signature.domain.chainId === domain.chainId.toString() &&
+        ethers.getAddress(signature.domain.verifyingContract) ===
+          ethers.getAddress(domain.verifyingContract);
+
+      const recovered = ethers.verifyTypedData(
+        domain,
+        TYPES,
+        {
+          documentType: document.type,
+          previous: document.previous || "",
+          contentHash,
+        },
+        signature.value
+      );
+      result.signer = recovered;
+      result.checks.signature = recovered === ethers.getAddress(signature.signer);
+      result.checks.isDevWallet = await this.contract.isDevWallet(recovered);
+
+      result.valid = Object.values(result.checks).every(Boolean);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify a document and walk its `previous` links back up to `depth` documents
+   * The walk stops at the first document whose content does not match its CID
+   * fetchDocument(ipfsURI) loads a document by URI
+   */
+  async verifyChain(cid, fetchDocument, depth = this.chainDepth) {
+    const links = [];
+    let current = stripURI(cid);
+
+    while (current && links.length < depth) {
+      // A `previous` link is untrusted input until its document is verified
+      if (!isValidCID(current)) {
+        links.push({ cid: current, valid: false, error: "Malformed CID" });
+        break;
+      }
+
+      let document;
+      try {
+        document = await fetchDocument(`ipfs://${current}`);
+      } catch (error) {
+        links.push({ cid: current, valid: false, error: error.message });
+        break;
+      }
+
+      const link = await this.verifyDocument(current, document);
+      // Every older link must be of the same analysis type
+      if (links.length > 0 && link.type !== links[0].type) {
+        link.valid = false;
+        link.error = `Chain switches from ${links[0].type} to ${link.type}`;
+      }
+      links.push(link);
+
+      // Only follow `previous` from a document proven to be the one requested
+      if (!link.checks.contentMatchesCID) {
+        break;
+      }
+      current = document.previous ? stripURI(document.previous) : null;
+    }
+
+    return {
+      cid: stripURI(cid),
+      valid: links.length > 0 && links.every((link) => link.valid),
+      depth: links.length,
+      maxDepth: depth,
+      complete: current === null,
+      links,
+    };
+  }
+}
+
+module.exports = DocumentSigner;
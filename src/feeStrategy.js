@@ -0,0 +1,278 @@
+/*
+ * BLACKSWAN ORACLE FEE STRATEGY
+ * ====================
+ *
+ * Chooses the gas limit and fees for every oracle transaction.
+ *
+ * Modes (FEE_MODE):
+ * - eip1559: fees derived from eth_feeHistory (base fee + priority fee percentile)
+ * - legacy:  gasPrice from the node, for networks without EIP-1559
+ * - fixed:   static values from MAX_FEE_PER_GAS_GWEI / MAX_PRIORITY_FEE_PER_GAS_GWEI
+ *            or GAS_PRICE_GWEI (the original behaviour)
+ *
+ * The gas limit comes from estimateGas plus a safety margin, falling back to
+ * GAS_LIMIT if estimation fails. In dynamic modes the configured gwei values act
+ * as hard ceilings instead of fixed prices.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+
+const FEE_MODES = ["eip1559", "legacy", "fixed"];
+
+const parseGwei = (value) =>
+  value !== undefined && value !== "" ? ethers.parseUnits(value, "gwei") : null;
+
+const formatGwei = (value) =>
+  value != null ? `${ethers.formatUnits(value, "gwei")} gwei` : "-";
+
+const median = (values) => {
+  if (values.length === 0) {
+    return 0n;
+  }
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+class FeeStrategy {
+  constructor(provider, logger, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.options = {
+      mode: options.mode || "eip1559",
+      gasLimitMarginPercent:
+        options.gasLimitMarginPercent !== undefined
+          ? options.gasLimitMarginPercent
+          : 25,
+      fallbackGasLimit: options.fallbackGasLimit || 200000,
+      maxGasLimit: options.maxGasLimit || 1000000,
+      feeHistoryBlocks: options.feeHistoryBlocks || 10,
+      priorityFeePercentile: options.priorityFeePercentile || 50,
+      baseFeeMultiplier: options.baseFeeMultiplier || 2,
+      maxFeePerGas: options.maxFeePerGas || null,
+      maxPriorityFeePerGas: options.maxPriorityFeePerGas || null,
+      gasPrice: options.gasPrice || null,
+    };
+
+    if (!FEE_MODES.includes(this.options.mode)) {
+      throw new Error(
+        `Invalid FEE_MODE "${this.options.mode}", expected one of: ${FEE_MODES.join(", ")}`
+      );
+    }
+
+    this.lastFees = null;
+  }
+
+  static fromEnv(provider, logger) {
+    return new FeeStrategy(provider, logger, {
+      mode: process.env.FEE_MODE,
+      gasLimitMarginPercent: process.env.GAS_LIMIT_MARGIN_PERCENT
+        ? parseInt(process.env.GAS_LIMIT_MARGIN_PERCENT)
+        : undefined,
+      fallbackGasLimit: parseInt(process.env.GAS_LIMIT) || undefined,
+      maxGasLimit: parseInt(process.env.MAX_GAS_LIMIT) || undefined,
+      feeHistoryBlocks: parseInt(process.env.FEE_HISTORY_BLOCKS) || undefined,
+      priorityFeePercentile:
+        parseInt(process.env.FEE_PRIORITY_PERCENTILE) || undefined,
+      baseFeeMultiplier:
+        parseFloat(process.env.FEE_BASE_FEE_MULTIPLIER) || undefined,
+      maxFeePerGas: parseGwei(process.env.MAX_FEE_PER_GAS_GWEI),
+      maxPriorityFeePerGas: parseGwei(process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI),
+      gasPrice: parseGwei(process.env.GAS_PRICE_GWEI),
+    });
+  }
+
+  /**
+   * Return a copy of the populated transaction with gas limit and fees set
+   */
+  async apply(txRequest, label = "transaction") {
+    const request = { ...txRequest };
+    const gas = await this.getGasLimit(request);
+    request.gasLimit = gas.gasLimit;
+
+    let fees;
+    if (this.options.mode === "fixed") {
+      fees = this.getFixedFees();
+    } else if (this.options.mode === "legacy") {
+      fees = await this.getLegacyFees();
+    } else {
+      fees = await this.getEIP1559Fees();
+    }
+
+    Object.assign(request, this.capFees(fees));
+
+    this.lastFees = {
+      label,
+      mode: this.options.mode,
+      gasLimit: request.gasLimit.toString(),
+      estimatedGas: gas.estimate !== null ? gas.estimate.toString() : null,
+      maxFeePerGas: request.maxFeePerGas
+        ? formatGwei(request.maxFeePerGas)
+        : null,
+      maxPriorityFeePerGas: request.maxPriorityFeePerGas
+        ? formatGwei(request.maxPriorityFeePerGas)
+        : null,
+      gasPrice: request.gasPrice ? formatGwei(request.gasPrice) : null,
+      timestamp: new Date(),
+    };
+
+    this.logger.info(
+      `⛽ ${label} fees (${this.options.mode}): gas limit ${request.gasLimit}${
+        gas.estimate !== null
+          ? ` (estimate ${gas.estimate} +${this.options.gasLimitMarginPercent}%)`
+          : " (fallback)"
+      }, ${
+        request.gasPrice != null
+          ? `gas price ${formatGwei(request.gasPrice)}`
+          : `max fee ${formatGwei(request.maxFeePerGas)}, priority ${formatGwei(
+              request.maxPriorityFeePerGas
+            )}`
+      }`
+    );
+
+    return request;
+  }
+
+  async getGasLimit(request) {
+    if (this.options.mode === "fixed") {
+      return { gasLimit: BigInt(this.options.fallbackGasLimit), estimate: null };
+    }
+
+    try {
+      const estimate = await this.provider.estimateGas(request);
+      let gasLimit =
+        (estimate * BigInt(100 + this.options.gasLimitMarginPercent)) / 100n;
+
+      if (gasLimit > BigInt(this.options.maxGasLimit)) {
+        this.logger.warn(
+          `Estimated gas limit ${gasLimit} exceeds MAX_GAS_LIMIT, capping at ${this.options.maxGasLimit}`
+        );
+        gasLimit = BigInt(this.options.maxGasLimit);
+      }
+
+      return { gasLimit, estimate };
+    } catch (error) {
+      // A failing estimate usually means the call would revert - surface that
+      if (error.code === "CALL_EXCEPTION") {
+        throw error;
+      }
+      this.logger.warn(
+        `Gas estimation failed (${error.message}), using fallback gas limit ${this.options.fallbackGasLimit}`
+      );
+      return { gasLimit: BigInt(this.options.fallbackGasLimit), estimate: null };
+    }
+  }
+
+  getFixedFees() {
+    if (this.options.maxFeePerGas) {
+      return {
+        maxFeePerGas: this.options.maxFeePerGas,
+        maxPriorityFeePerGas:
+          this.options.maxPriorityFeePerGas || this.options.maxFeePerGas,
+      };
+    }
+    if (this.options.gasPrice) {
+      return { gasPrice: this.options.gasPrice };
+    }
+
+    // Nothing configured - let the node decide
+    return {};
+  }
+
+  async getLegacyFees() {
+    const feeData = await this.provider.getFeeData();
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Derive EIP-1559 fees from recent blocks:
+   *   priority = median of the configured reward percentile over the last N blocks
+   *   maxFee   = next block base fee * multiplier + priority
+   */
+  async getEIP1559Fees() {
+    try {
+      const history = await this.provider.send("eth_feeHistory", [
+        ethers.toQuantity(this.options.feeHistoryBlocks),
+        "latest",
+        [this.options.priorityFeePercentile],
+      ]);
+
+      const nextBaseFee = BigInt(history.baseFeePerGas.at(-1));
+      const rewards = (history.reward || [])
+        .map((blockRewards) => BigInt(blockRewards[0]))
+        .filter((reward) => reward > 0n);
+      const priorityFee = median(rewards);
+      const multiplier = BigInt(Math.round(this.options.baseFeeMultiplier * 100));
+
+      return {
+        maxFeePerGas: (nextBaseFee * multiplier) / 100n + priorityFee,
+        maxPriorityFeePerGas: priorityFee,
+      };
+    } catch (error) {
+      this.logger.warn(
+        `eth_feeHistory unavailable (${error.message}), falling back to node fee data`
+      );
+      const feeData = await this.provider.getFeeData();
+      if (feeData.maxFeePerGas == null) {
+        return { gasPrice: feeData.gasPrice };
+      }
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+      };
+    }
+  }
+
+  /**
+   * Clamp fees to the configured ceilings (no-op for values without a ceiling)
+   */
+  capFees(fees) {
+    const capped = { ...fees };
+    const cap = (field, ceiling) => {
+      if (ceiling && capped[field] != null && capped[field] > ceiling) {
+        this.logger.warn(
+          `${field} ${formatGwei(capped[field])} exceeds ceiling ${formatGwei(
+            ceiling
+          )}, capping`
+        );
+        capped[field] = ceiling;
+      }
+    };
+
+    if (capped.maxFeePerGas != null) {
+      cap("maxFeePerGas", this.options.maxFeePerGas);
+      cap("maxPriorityFeePerGas", this.options.maxPriorityFeePerGas);
+      if (capped.maxPriorityFeePerGas > capped.maxFeePerGas) {
+        capped.maxPriorityFeePerGas = capped.maxFeePerGas;
+      }
+    } else {
+      cap("gasPrice", this.options.gasPrice);
+    }
+
+    return capped;
+  }
+
+  getStatus() {
+    return {
+      mode: this.options.mode,
+      ceilings: {
+        maxFeePerGas: this.options.maxFeePerGas
+          ? formatGwei(this.options.maxFeePerGas)
+          : null,
+        maxPriorityFeePerGas: this.options.maxPriorityFeePerGas
+          ? formatGwei(this.options.maxPriorityFeePerGas)
+          : null,
+        gasPrice: this.options.gasPrice
+          ? formatGwei(this.options.gasPrice)
+          : null,
+        gasLimit: this.options.maxGasLimit,
+      },
+      lastFees: this.lastFees,
+    };
+  }
+}
+
+module.exports = FeeStrategy;
@@ -0,0 +1,215 @@
+/*
+ * BLACKSWAN ORACLE GAS BUDGET
+ * ====================
+ *
+ * Guardrails on what the dev wallet spends on gas:
+ * - Maximum worst-case ETH cost per transaction, including fee-bumped
+ *   replacements and cancellations
+ * - Rolling 24 hour spend cap
+ * - Deferral of content-only updates while the base fee is above a threshold
+ *
+ * Spend is recorded from every mined receipt (gasUsed * effectiveGasPrice) and
+ * persisted so the rolling window survives restarts. A blocked update raises an
+ * error with code BUDGET_DEFERRED so callers can tell it apart from a failure.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+const StateStore = require("./stateStore");
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const parseEth = (value) =>
+  value !== undefined && value !== "" ? ethers.parseEther(value) : null;
+
+class GasBudget {
+  constructor(provider, logger, options = {}) {
+    this.provider = provider;
+    this.logger = logger;
+    this.store = new StateStore(
+      options.filePath || "data/gas-spend.json",
+      logger
+    );
+    this.options = {
+      maxTxCost: options.maxTxCost || null,
+      dailySpendCap: options.dailySpendCap || null,
+      deferContentAboveBaseFee: options.deferContentAboveBaseFee || null,
+    };
+
+    const saved = this.store.load();
+    this.spend = saved && Array.isArray(saved.spend) ? saved.spend : [];
+    this.lastDeferral = null;
+    this.deferralCount = 0;
+  }
+
+  static fromEnv(provider, logger) {
+    const deferAbove = process.env.DEFER_CONTENT_UPDATES_ABOVE_BASE_FEE_GWEI;
+    return new GasBudget(provider, logger, {
+      filePath: process.env.GAS_SPEND_FILE_PATH,
+      maxTxCost: parseEth(process.env.MAX_TX_COST_ETH),
+      dailySpendCap: parseEth(process.env.DAILY_GAS_SPEND_CAP_ETH),
+      deferContentAboveBaseFee:
+        deferAbove !== undefined && deferAbove !== ""
+          ? ethers.parseUnits(deferAbove, "gwei")
+          : null,
+    });
+  }
+
+  /**
+   * Throw a BUDGET_DEFERRED error if the transaction would break a budget
+   */
+  async check(request, { label = "transaction", contentOnly = false } = {}) {
+    const feePerGas = await this.getWorstCaseFee(request);
+    const worstCaseCost = BigInt(request.gasLimit ?? 0) * feePerGas;
+
+    if (this.options.maxTxCost && worstCaseCost > this.options.maxTxCost) {
+      this.defer(
+        label,
+        "max-tx-cost",
+        `worst-case cost ${ethers.formatEther(
+          worstCaseCost
+        )} ETH exceeds per-transaction limit ${ethers.formatEther(
+          this.options.maxTxCost
+        )} ETH`
+      );
+    }
+
+    if (this.options.dailySpendCap) {
+      const spent = this.getSpentInWindow();
+      if (spent + worstCaseCost > this.options.dailySpendCap) {
+        this.defer(
+          label,
+          "daily-cap",
+          `24h spend ${ethers.formatEther(spent)} ETH + ${ethers.formatEther(
+            worstCaseCost
+          )} ETH would exceed daily cap ${ethers.formatEther(
+            this.options.dailySpendCap
+          )} ETH`
+        );
+      }
+    }
+
+    if (contentOnly && this.options.deferContentAboveBaseFee) {
+      const block = await this.provider.getBlock("latest");
+      const baseFee = block ? block.baseFeePerGas : null;
+
+      if (baseFee != null && baseFee > this.options.deferContentAboveBaseFee) {
+        this.defer(
+          label,
+          "base-fee",
+          `content-only update while base fee ${ethers.formatUnits(
+            baseFee,
+            "gwei"
+          )} gwei is above ${ethers.formatUnits(
+            this.options.deferContentAboveBaseFee,
+            "gwei"
+          )} gwei`
+        );
+      }
+    }
+  }
+
+  /**
+   * Highest fee per gas the request can pay. Without fees on the request (fixed
+   * mode with nothing configured) the node picks them, so its current fee is used
+   */
+  async getWorstCaseFee(request) {
+    const fee = request.maxFeePerGas ?? request.gasPrice;
+    if (fee != null) {
+      return BigInt(fee);
+    }
+    const feeData = await this.provider.getFeeData();
+    return BigInt(feeData.maxFeePerGas ?? feeData.gasPrice ?? 0);
+  }
+
+  defer(label, reason, detail) {
+    this.deferralCount++;
+    this.lastDeferral = { label, reason, detail, timestamp: new Date() };
+    this.logger.warn(`⏸️  ${label} deferred (${reason}): ${detail}`);
+
+    const error = new Error(`${label} deferred by gas budget: ${detail}`);
+    error.code = "BUDGET_DEFERRED";
+    error.reason = reason;
+    throw error;
+  }
+
+  /**
+   * Record the actual cost of a mined transaction
+   */
+  recordReceipt(receipt) {
+    if (this.spend.some((entry) => entry.txHash === receipt.hash)) {
+      return;
+    }
+
+    const gasUsed = BigInt(receipt.gasUsed);
+    const effectiveGasPrice = BigInt(receipt.gasPrice ?? 0);
+    const cost = gasUsed * effectiveGasPrice;
+
+    this.spend.push({
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: gasUsed.toString(),
+      effectiveGasPrice: effectiveGasPrice.toString(),
+      costWei: cost.toString(),
+      timestamp: Date.now(),
+    });
+    this.prune();
+    this.store.save({ spend: this.spend });
+
+    this.logger.info("💸 Gas spent", {
+      txHash: receipt.hash,
+      costEth: ethers.formatEther(cost),
+      gasUsed: gasUsed.toString(),
+      gasPriceGwei: ethers.formatUnits(effectiveGasPrice, "gwei"),
+      windowTotalEth: ethers.formatEther(this.getSpentInWindow()),
+    });
+  }
+
+  prune() {
+    const cutoff = Date.now() - WINDOW_MS;
+    this.spend = this.spend.filter((entry) => entry.timestamp >= cutoff);
+  }
+
+  getSpentInWindow() {
+    const cutoff = Date.now() - WINDOW_MS;
+    return this.spend
+      .filter((entry) => entry.timestamp >= cutoff)
+      .reduce((total, entry) => total + BigInt(entry.costWei), 0n);
+  }
+
+  getStatus() {
+    const spent = this.getSpentInWindow();
+    const cutoff = Date.now() - WINDOW_MS;
+
+    return {
+      limits: {
+        maxTxCostEth: this.options.maxTxCost
+          ? ethers.formatEther(this.options.maxTxCost)
+          : null,
+        dailySpendCapEth: this.options.dailySpendCap
+          ? ethers.formatEther(this.options.dailySpendCap)
+          : null,
+        deferContentAboveBaseFeeGwei: this.options.deferContentAboveBaseFee
+          ? ethers.formatUnits(this.options.deferContentAboveBaseFee, "gwei")
+          : null,
+      },
+      spent24hEth: ethers.formatEther(spent),
+      remaining24hEth: this.options.dailySpendCap
+        ? ethers.formatEther(
+            this.options.dailySpendCap > spent
+              ? this.options.dailySpendCap - spent
+              : 0n
+          )
+        : null,
+      transactions24h: this.spend.filter((entry) => entry.timestamp >= cutoff)
+        .length,
+      deferralCount: this.deferralCount,
+      lastDeferral: this.lastDeferral,
+    };
+  }
+}
+
+module.exports = GasBudget;
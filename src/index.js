@@ -22,51 +22,116 @@
 
 require("dotenv").config();
 const { ethers } = require("ethers");
+const { SpanStatusCode } = require("@opentelemetry/api");
+const promClient = require("prom-client");
 const axios = require("axios");
-const winston = require("winston");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 const express = require("express");
 const cors = require("cors");
-const pinataSDK = require("@pinata/sdk");
 const FormData = require("form-data");
-
-// Configure Winston logger with timestamps and emojis
-const logger = winston.createLogger({
-  format: winston.format.combine(
-    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
-    winston.format.printf(({ timestamp, level, message }) => {
-      const emoji = {
-        error: "❌",
-        warn: "⚠️ ",
-        info: "📊",
-        verbose: "🔍",
-        debug: "🐛",
-      };
-      return `${timestamp} ${
-        emoji[level] || "📝"
-      } [${level.toUpperCase()}] ${message}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console({
-      level: "info",
-    }),
-  ],
-});
+const StateStore = require("./stateStore");
+const UpdateOutbox = require("./updateOutbox");
+const WalletPool = require("./walletPool");
+const BalanceMonitor = require("./balanceMonitor");
+const AlertNotifier = require("./alertNotifier");
+const ReadinessChecks = require("./readinessChecks");
+const Tracer = require("./tracing");
+const Scheduler = require("./scheduler");
+const FeeStrategy = require("./feeStrategy");
+const GasBudget = require("./gasBudget");
+const UpdatePolicy = require("./updatePolicy");
+const OutlierGuard = require("./outlierGuard");
+const AnalysisValidator = require("./analysisValidator");
+const ContentStorage = require("./contentStorage");
+const DocumentSigner = require("./documentSigner");
+const PinRetention = require("./pinRetention");
+const IpfsGateways = require("./ipfsGateways");
+const AnalysisSources = require("./analysisSources");
+const RpcPool = require("./rpcPool");
+const { isValidCID } = require("./storage/cid");
+const {
+  createLoggerFromEnv,
+  withCorrelation,
+  newCorrelationId,
+} = require("./logging");
+const {
+  configuredSignerType,
+  validateSignerConfig,
+  createSigners,
+} = require("./signerFactory");
+
+// Analysis types published by the oracle: state key, document type and log label
+const ANALYSIS_TYPES = [
+  { key: "blackswan", type: "blackswan", label: "BlackSwan" },
+  { key: "marketPeak", type: "marketpeak", label: "MarketPeak" },
+];
+
+// Seconds, from a fast API response up to a slow transaction confirmation
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Contract events that mark an on-chain write, and the analysis types they write
+const WRITE_EVENTS = {
+  BlackSwanScoreUpdated: ["blackswan"],
+  BlackSwanAnalysisIPFSUpdated: ["blackswan"],
+  MarketPeakScoreUpdated: ["marketPeak"],
+  MarketPeakAnalysisIPFSUpdated: ["marketPeak"],
+  BothScoresUpdated: ["blackswan", "marketPeak"],
+  BothAnalysisIPFSUpdated: ["blackswan", "marketPeak"],
+};
+
+// Winston logger configured by LOG_FORMAT, LOG_LEVEL and LOG_FILE_PATH (see logging.js)
+const logger = createLoggerFromEnv();
 
 class BlackSwanOracleService {
   constructor() {
     this.validateEnvironmentVariables();
+    this.alerts = AlertNotifier.fromEnv(logger);
+    this.tracer = Tracer.fromEnv(logger);
+    this.consecutivePollFailures = 0;
+    this.unhealthySince = null;
+    this.initializeMetrics();
     this.initializeBlockchainConnection();
     this.loadContractABI();
-    this.initializePinata();
+    this.initializeStorage();
     this.lastKnownBlackSwanScore = null;
     this.lastKnownMarketPeakScore = null;
     this.lastKnownBlackSwanIPFS = null;
     this.lastKnownMarketPeakIPFS = null;
     this.lastKnownBlackSwanAnalysis = null;
     this.lastKnownMarketPeakAnalysis = null;
+    this.lastTransaction = null;
+    this.lastPushAt = { blackswan: null, marketPeak: null };
+    // Block timestamps of the last on-chain write, behind the dataAge readiness check
+    this.lastWrittenAt = { blackswan: null, marketPeak: null };
+    this.updatePolicy = UpdatePolicy.fromEnv(logger);
+    this.outlierGuard = OutlierGuard.fromEnv(logger);
+    this.analysisValidator = new AnalysisValidator(logger);
+    this.analysisSources = AnalysisSources.fromEnv(
+      logger,
+      this.analysisValidator,
+      {
+        onRequest: ({ source, durationMs, error }) => {
+          this.metrics.apiRequests.observe(
+            { source, outcome: error ? "error" : "success" },
+            durationMs / 1000
+          );
+          if (error) {
+            this.metrics.apiErrors.inc({ source });
+          }
+        },
+        tracer: this.tracer,
+      }
+    );
+    this.stateStore = new StateStore(
+      process.env.STATE_FILE_PATH || path.join("data", "oracle-state.json"),
+      logger
+    );
+    this.outbox = new UpdateOutbox(
+      process.env.OUTBOX_FILE_PATH || path.join("data", "update-outbox.json"),
+      logger
+    );
     this.isRunning = false;
     this.expressApp = null;
     this.httpServer = null;
@@ -79,22 +144,184 @@ class BlackSwanOracleService {
       updateCount: 0,
       errorCount: 0,
       lastError: null,
+      deferredUpdate: null,
       isHealthy: false,
     };
+    this.readiness = ReadinessChecks.fromEnv(
+      logger,
+      this.createReadinessChecks()
+    );
+    this.lastCheckOutcome = null;
+    this.scheduler = Scheduler.fromEnv(logger, (run) =>
+      this.runScheduledCheck(run)
+    );
     this.setupExpressServer();
   }
 
+  /**
+   * Checks behind GET /health/ready, each resolving with { status, detail }
+   */
+  createReadinessChecks() {
+    return [
+      {
+        name: "rpc",
+        run: async () => {
+          const { endpoints, activeEndpoint } = this.rpcPool.getStatus();
+          const healthy = endpoints.filter((endpoint) => endpoint.healthy);
+          if (healthy.length === 0) {
+            return {
+              status: "fail",
+              detail: `No healthy RPC endpoint (${endpoints
+                .map((endpoint) => `${endpoint.name}: ${endpoint.lastError}`)
+                .join("; ")})`,
+            };
+          }
+          return {
+            status: healthy.length < endpoints.length ? "warn" : "pass",
+            detail: `${healthy.length}/${endpoints.length} endpoints healthy, active ${
+              activeEndpoint || healthy[0].name
+            } at block ${Math.max(
+              ...healthy.map((endpoint) => endpoint.blockNumber)
+            )}`,
+          };
+        },
+      },
+      {
+        name: "chainId",
+        run: async () => {
+          const { chainId, endpoints } = this.rpcPool.getStatus();
+          const reporting = endpoints.filter(
+            (endpoint) => endpoint.chainId !== null
+          );
+          if (reporting.length === 0) {
+            return { status: "fail", detail: "No RPC endpoint reported a chain ID" };
+          }
+          // Without RPC_CHAIN_ID the endpoints only need to agree with each other
+          if (chainId === null) {
+            const chains = [...new Set(reporting.map((endpoint) => endpoint.chainId))];
+            return chains.length > 1
+              ? {
+                  status: "warn",
+                  detail: `Endpoints report different chains (${chains.join(", ")}), set RPC_CHAIN_ID`,
+                }
+              : { status: "pass", detail: `Chain ID ${chains[0]} (RPC_CHAIN_ID not set)` };
+          }
+          const wrong = reporting.filter(
+            (endpoint) => endpoint.chainId !== chainId
+          );
+          if (wrong.length > 0) {
+            return {
+              status: wrong.length === reporting.length ? "fail" : "warn",
+              detail: `${wrong
+                .map((endpoint) => `${endpoint.name} is on chain ${endpoint.chainId}`)
+                .join(", ")}, expected ${chainId}`,
+            };
+          }
+          return { status: "pass", detail: `Chain ID ${chainId}` };
+        },
+      },
+      {
+        name: "storage",
+        run: async () => {
+          const storage = await this.contentStorage.checkHealth();
+          const failing = storage.backends.filter(
+            (name) => !storage.health[name].healthy
+          );
+          return {
+            status: !storage.healthy
+              ? "fail"
+              : failing.length > 0
+              ? "warn"
+              : "pass",
+            detail: storage.backends
+              .map((name) => {
+                const health = storage.health[name];
+                return `${name}: ${
+                  health.healthy ? health.detail : health.lastError
+                }`;
+              })
+              .join(", "),
+          };
+        },
+      },
+      {
+        name: "balance",
+        run: async () => {
+          let balance = this.balanceMonitor.getStatus();
+          if (balance.level === null) {
+            balance = await this.balanceMonitor.check();
+          }
+          if (balance.level === null) {
+            return {
+              status: "fail",
+              detail: balance.lastError || "Balance not checked yet",
+            };
+          }
+          return {
+            status: { ok: "pass", warn: "warn", critical: "fail" }[balance.level],
+            detail: `Combined dev wallet balance ${balance.totalBalanceEth} ETH (${
+              balance.level
+            })${
+              balance.runway
+                ? `, about ${balance.runway.days} days of runway`
+                : ""
+            }`,
+          };
+        },
+      },
+      {
+        name: "dataAge",
+        run: async () => {
+          const { maxDataAgeMs } = this.readiness.options;
+          const fresh = [];
+          const stale = [];
+          for (const { key, label } of ANALYSIS_TYPES) {
+            if (!this.lastWrittenAt[key]) {
+              stale.push(`${label} last write unknown`);
+              continue;
+            }
+            const ageMs =
+              Date.now() - new Date(this.lastWrittenAt[key]).getTime();
+            const age = `${label} written ${Math.floor(ageMs / 60000)} min ago`;
+            (ageMs > maxDataAgeMs ? stale : fresh).push(age);
+          }
+          if (stale.length > 0) {
+            return {
+              status: "fail",
+              detail: `${stale.join(", ")} (max age ${Math.floor(
+                maxDataAgeMs / 60000
+              )} min)`,
+            };
+          }
+          return { status: "pass", detail: fresh.join(", ") };
+        },
+      },
+    ];
+  }
+
   validateEnvironmentVariables() {
     const requiredVars = [
-      "RPC_URL",
-      "DEV_WALLET_PRIVATE_KEY",
       "ORACLE_CONTRACT_ADDRESS",
       "API_ENDPOINT",
-      "PINATA_API_KEY",
-      "PINATA_SECRET_API_KEY",
     ];
 
-    const missingVars = requiredVars.filter((varName) => !process.env[varName]);
+    // RPC_URLS (failover list) replaces the single RPC_URL when set
+    if (!process.env.RPC_URLS) {
+      requiredVars.push("RPC_URL");
+    }
+
+    // Pinata keys are only needed when Pinata is one of the storage backends
+    if (ContentStorage.configuredBackends().includes("pinata")) {
+      requiredVars.push("PINATA_API_KEY", "PINATA_SECRET_API_KEY");
+    }
+
+    // Signer variables depend on SIGNER_TYPE (key, keystore or remote)
+    const signerConfig = validateSignerConfig();
+
+    const missingVars = [
+      ...requiredVars.filter((varName) => !process.env[varName]),
+      ...signerConfig.missing,
+    ];
 
     if (missingVars.length > 0) {
       logger.error(
@@ -114,18 +341,153 @@ class BlackSwanOracleService {
       process.exit(1);
     }
 
-    // Validate private key format (should be 64 hex characters without 0x prefix)
-    const privateKey = process.env.DEV_WALLET_PRIVATE_KEY;
-    if (!/^[0-9a-fA-F]{64}$/.test(privateKey)) {
-      logger.error(
-        "Invalid private key format. Should be 64 hex characters without 0x prefix"
-      );
+    // Validate the signer configuration (key format, keystore files, address)
+    if (signerConfig.error) {
+      logger.error(signerConfig.error);
       process.exit(1);
     }
 
     logger.info("✅ Environment variables validated successfully");
   }
 
+  /**
+   * Prometheus metrics (prom-client) served by GET /metrics
+   * Scores, balances and update age are read from the service on every scrape
+   */
+  initializeMetrics() {
+    const registry = new promClient.Registry();
+    const registers = [registry];
+    const service = this;
+
+    this.metrics = {
+      registry,
+      pollCycles: new promClient.Histogram({
+        name: "oracle_poll_cycle_duration_seconds",
+        help: "Duration of analysis check cycles by outcome",
+        labelNames: ["outcome"],
+        buckets: DURATION_BUCKETS,
+        registers,
+      }),
+      apiRequests: new promClient.Histogram({
+        name: "oracle_api_request_duration_seconds",
+        help: "Latency of analysis API requests per source",
+        labelNames: ["source", "outcome"],
+        buckets: DURATION_BUCKETS,
+        registers,
+      }),
+      apiErrors: new promClient.Counter({
+        name: "oracle_api_errors_total",
+        help: "Failed analysis API requests per source",
+        labelNames: ["source"],
+        registers,
+      }),
+      ipfsUploads: new promClient.Histogram({
+        name: "oracle_ipfs_upload_duration_seconds",
+        help: "Latency of IPFS uploads per storage backend",
+        labelNames: ["backend", "outcome"],
+        buckets: DURATION_BUCKETS,
+        registers,
+      }),
+      ipfsFailures: new promClient.Counter({
+        name: "oracle_ipfs_upload_failures_total",
+        help: "Failed IPFS uploads per storage backend",
+        labelNames: ["backend"],
+        registers,
+      }),
+      txConfirmations: new promClient.Histogram({
+        name: "oracle_tx_confirmation_seconds",
+        help: "Time from sending an update transaction to its confirmation",
+        labelNames: ["status"],
+        buckets: DURATION_BUCKETS,
+        registers,
+      }),
+      transactions: new promClient.Counter({
+        name: "oracle_transactions_total",
+        help: "Mined update transactions by status",
+        labelNames: ["status"],
+        registers,
+      }),
+      gasUsed: new promClient.Counter({
+        name: "oracle_gas_used_total",
+        help: "Gas used by update transactions",
+        registers,
+      }),
+      gasCost: new promClient.Counter({
+        name: "oracle_gas_cost_eth_total",
+        help: "ETH spent on gas by update transactions",
+        registers,
+      }),
+      changeDetection: new promClient.Counter({
+        name: "oracle_change_detection_total",
+        help: "Change detection results per analysis type: score, content or unchanged",
+        labelNames: ["type", "result"],
+        registers,
+      }),
+    };
+
+    // Collected gauges are rebuilt on every scrape; unknown values are left out
+    new promClient.Gauge({
+      name: "oracle_score",
+      help: "Last published score per analysis type",
+      labelNames: ["type"],
+      registers,
+      collect() {
+        this.reset();
+        for (const [type, score] of [
+          ["blackswan", service.lastKnownBlackSwanScore],
+          ["marketPeak", service.lastKnownMarketPeakScore],
+        ]) {
+          if (score !== null) {
+            this.set({ type }, score);
+          }
+        }
+      },
+    });
+    new promClient.Gauge({
+      name: "oracle_wallet_balance_eth",
+      help: "Dev wallet balance in ETH",
+      labelNames: ["address"],
+      registers,
+      collect() {
+        this.reset();
+        for (const wallet of service.walletPool ? service.walletPool.wallets : []) {
+          if (wallet.balance !== null) {
+            this.set(
+              { address: wallet.address },
+              Number(ethers.formatEther(wallet.balance))
+            );
+          }
+        }
+      },
+    });
+    new promClient.Gauge({
+      name: "oracle_seconds_since_last_update",
+      help: "Seconds since the last successful on-chain update",
+      registers,
+      collect() {
+        this.reset();
+        const last = service.serviceStatus.lastSuccessfulUpdate;
+        if (last) {
+          this.set((Date.now() - last.getTime()) / 1000);
+        }
+      },
+    });
+  }
+
+  recordTransactionMetrics(receipt, { confirmationMs }) {
+    const status = receipt.status === 1 ? "confirmed" : "reverted";
+    const gasUsed = BigInt(receipt.gasUsed);
+    this.metrics.transactions.inc({ status });
+    this.metrics.gasUsed.inc({}, Number(gasUsed));
+    this.metrics.gasCost.inc(
+      {},
+      Number(ethers.formatEther(gasUsed * BigInt(receipt.gasPrice ?? 0)))
+    );
+    if (confirmationMs !== null) {
+      this.metrics.txConfirmations.observe({ status }, confirmationMs / 1000);
+    }
+  }
+
   setupExpressServer() {
     this.expressApp = express();
 
@@ -133,6 +495,41 @@ class BlackSwanOracleService {
     this.expressApp.use(cors());
     this.expressApp.use(express.json());
 
+    // Prometheus metrics
+    this.expressApp.get("/metrics", async (req, res) => {
+      try {
+        res.set("Content-Type", this.metrics.registry.contentType);
+        res.send(await this.metrics.registry.metrics());
+      } catch (error) {
+        logger.error(`Failed to render metrics: ${error.message}`);
+        res.status(500).send(`# ${error.message}\n`);
+      }
+    });
+
+    // Liveness: the process is up and serving requests
+    this.expressApp.get("/health/live", (req, res) => {
+      res.json({
+        status: "alive",
+        serviceStatus: this.serviceStatus.status,
+        uptime: Math.floor((Date.now() - this.serviceStatus.startTime) / 1000),
+        lastCheckStartedAt: this.serviceStatus.lastUpdate,
+        timestamp: new Date(),
+      });
+    });
+
+    // Readiness: every dependency needed to publish correct data is in order
+    this.expressApp.get("/health/ready", (req, res) => {
+      const readiness = this.readiness.getStatus();
+      const ready = readiness.ready && this.serviceStatus.status === "running";
+      res.status(ready ? 200 : 503).json({
+        ...readiness,
+        ready,
+        status: ready ? "ready" : "not_ready",
+        serviceStatus: this.serviceStatus.status,
+        timestamp: new Date(),
+      });
+    });
+
     // Health check endpoint
     this.expressApp.get("/health", (req, res) => {
       const currentTime = new Date();
@@ -140,9 +537,17 @@ class BlackSwanOracleService {
         (currentTime - this.serviceStatus.startTime) / 1000
       );
 
+      // Running but about to run out of gas money
+      const degraded =
+        this.serviceStatus.status === "running" &&
+        Boolean(this.balanceMonitor && this.balanceMonitor.isCritical());
+
       const healthStatus = {
-        status: this.serviceStatus.status,
+        status: degraded ? "degraded" : this.serviceStatus.status,
         healthy: this.serviceStatus.isHealthy,
+        ready: this.readiness.isReady(),
+        degraded,
+        balance: this.balanceMonitor ? this.balanceMonitor.getStatus() : null,
         uptime: this.serviceStatus.uptime,
         startTime: this.serviceStatus.startTime,
         lastUpdate: this.serviceStatus.lastUpdate,
@@ -177,25 +582,54 @@ class BlackSwanOracleService {
         ipfsHashes: {
           blackswanIPFS: this.lastKnownBlackSwanIPFS,
           marketPeakIPFS: this.lastKnownMarketPeakIPFS,
-          blackswanURL: this.lastKnownBlackSwanIPFS
-            ? `https://gateway.pinata.cloud/ipfs/${this.lastKnownBlackSwanIPFS.replace(
-                "ipfs://",
-                ""
-              )}`
-            : null,
-          marketPeakURL: this.lastKnownMarketPeakIPFS
-            ? `https://gateway.pinata.cloud/ipfs/${this.lastKnownMarketPeakIPFS.replace(
-                "ipfs://",
-                ""
-              )}`
-            : null,
+          blackswanURL: this.ipfsGateways.url(this.lastKnownBlackSwanIPFS),
+          marketPeakURL: this.ipfsGateways.url(this.lastKnownMarketPeakIPFS),
+          // CIDs computed locally and confirmed by the storage backends
+          blackswanVerified: this.lastKnownBlackSwanIPFS
+            ? this.contentStorage.isVerified(
+                this.lastKnownBlackSwanIPFS.replace("ipfs://", "")
+              )
+            : false,
+          marketPeakVerified: this.lastKnownMarketPeakIPFS
+            ? this.contentStorage.isVerified(
+                this.lastKnownMarketPeakIPFS.replace("ipfs://", "")
+              )
+            : false,
         },
         configuration: {
           pollInterval: parseInt(process.env.POLL_INTERVAL) || 60000,
           apiEndpoint: process.env.API_ENDPOINT,
           contractAddress: process.env.ORACLE_CONTRACT_ADDRESS,
-          walletAddress: this.wallet ? this.wallet.address : "Not initialized",
+          walletAddress: this.walletPool
+            ? this.walletPool.active.address
+            : "Not initialized",
+          signerType: this.signerType || configuredSignerType(),
+          stateFile: this.stateStore.filePath,
         },
+        lastTransaction: this.lastTransaction,
+        outbox: this.outbox.getSummary(),
+        transactions: this.walletPool
+          ? this.walletPool.active.txManager.getStatus()
+          : null,
+        wallets: this.walletPool ? this.walletPool.getStatus() : null,
+        balance: this.balanceMonitor ? this.balanceMonitor.getStatus() : null,
+        alerts: this.alerts.getStatus(),
+        readiness: this.readiness.getStatus(),
+        tracing: this.tracer.getStatus(),
+        scheduler: this.scheduler.getStatus(),
+        fees: this.feeStrategy ? this.feeStrategy.getStatus() : null,
+        gasBudget: this.gasBudget ? this.gasBudget.getStatus() : null,
+        updatePolicy: {
+          ...this.updatePolicy.getStatus(),
+          lastPushAt: this.lastPushAt,
+        },
+        outlierGuard: this.outlierGuard.getStatus(),
+        analysisSources: this.analysisSources.getStatus(),
+        validation: this.analysisValidator.getStatus(),
+        storage: this.contentStorage.getStatus(),
+        pinRetention: this.pinRetention.getStatus(),
+        gateways: this.ipfsGateways.getStatus(),
+        rpc: this.rpcPool ? this.rpcPool.getStatus() : null,
         service: "BlackSwan Oracle",
         version: "1.1.0",
         timestamp: currentTime,
@@ -210,18 +644,8 @@ class BlackSwanOracleService {
         ipfsHashes: {
           blackswanIPFS: this.lastKnownBlackSwanIPFS,
           marketPeakIPFS: this.lastKnownMarketPeakIPFS,
-          blackswanURL: this.lastKnownBlackSwanIPFS
-            ? `https://gateway.pinata.cloud/ipfs/${this.lastKnownBlackSwanIPFS.replace(
-                "ipfs://",
-                ""
-              )}`
-            : null,
-          marketPeakURL: this.lastKnownMarketPeakIPFS
-            ? `https://gateway.pinata.cloud/ipfs/${this.lastKnownMarketPeakIPFS.replace(
-                "ipfs://",
-                ""
-              )}`
-            : null,
+          blackswanURL: this.ipfsGateways.url(this.lastKnownBlackSwanIPFS),
+          marketPeakURL: this.ipfsGateways.url(this.lastKnownMarketPeakIPFS),
         },
         lastUpdate: this.serviceStatus.lastUpdate,
         lastSuccessfulUpdate: this.serviceStatus.lastSuccessfulUpdate,
@@ -230,17 +654,132 @@ class BlackSwanOracleService {
     });
 
     // Force update endpoint (for manual triggers)
+    // The correlation ID of the cycle that ran is returned so it can be found in
+    // the logs; a request served by an already queued cycle gets that cycle's.
+    // While a check is running the request waits for it (POLL_MANUAL_TRIGGER=queue)
+    // or is rejected with 409 (POLL_MANUAL_TRIGGER=reject).
     this.expressApp.post("/update", async (req, res) => {
+      const correlationId = newCorrelationId("manual");
       try {
-        logger.info("🔄 Manual update triggered via API");
-        await this.checkAndUpdateScores();
+        logger.info("🔄 Manual update triggered via API", { correlationId });
+        const result = await this.scheduler.trigger({
+          correlationId,
+          traceParent: this.tracer.extract(req.headers),
+        });
+        if (result.correlationId !== correlationId) {
+          logger.info(
+            `📥 Manual update served by the queued check ${result.correlationId}`,
+            { correlationId }
+          );
+        }
         res.json({
           success: true,
           message: "Update check completed",
+          queued: result.queued,
+          correlationId: result.correlationId,
+          timestamp: new Date(),
+        });
+      } catch (error) {
+        if (error.code === "CYCLE_IN_PROGRESS") {
+          logger.warn(`Manual update rejected: ${error.message}`, {
+            correlationId,
+          });
+          return res.status(409).json({
+            success: false,
+            error: error.message,
+            running: error.current,
+            nextRunAt: this.scheduler.nextRunAt,
+            timestamp: new Date(),
+          });
+        }
+        logger.error(`Manual update failed: ${error.message}`, {
+          correlationId,
+        });
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          correlationId,
+          timestamp: new Date(),
+        });
+      }
+    });
+
+    // Operator approval for a score rejected by the outlier guard
+    this.expressApp.post(
+      "/outliers/:type/approve",
+      this.requireAdminToken.bind(this),
+      (req, res) => {
+        if (!OutlierGuard.isAnalysisType(req.params.type)) {
+          return res.status(400).json({
+            success: false,
+            error: "Expected type blackswan or marketPeak",
+            timestamp: new Date(),
+          });
+        }
+        try {
+          const approved = this.outlierGuard.approve(
+            req.params.type,
+            req.body ? req.body.score : undefined
+          );
+          res.json({
+            success: true,
+            type: req.params.type,
+            approved,
+            message: "Score will be accepted on the next check",
+            timestamp: new Date(),
+          });
+        } catch (error) {
+          res.status(400).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date(),
+          });
+        }
+      }
+    );
+
+    // Verify a published document and walk its history chain
+    this.expressApp.get("/verify/:cid", async (req, res) => {
+      if (!isValidCID(req.params.cid)) {
+        return res.status(400).json({
+          success: false,
+          error: "Expected a CIDv0 (Qm...) or base32 CIDv1 (b...)",
+          timestamp: new Date(),
+        });
+      }
+      try {
+        const depth = req.query.depth
+          ? Math.min(
+              parseInt(req.query.depth) || 1,
+              this.documentSigner.chainDepth
+            )
+          : this.documentSigner.chainDepth;
+        const result = await this.documentSigner.verifyChain(
+          req.params.cid,
+          (ipfsURI) => this.fetchJSONFromIPFS(ipfsURI),
+          depth
+        );
+        res.status(result.valid ? 200 : 422).json({
+          ...result,
+          timestamp: new Date(),
+        });
+      } catch (error) {
+        logger.error(`Verification of ${req.params.cid} failed: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: error.message,
           timestamp: new Date(),
         });
+      }
+    });
+
+    // Dry-run report of what pin garbage collection would remove
+    this.expressApp.get("/pins/retention", async (req, res) => {
+      try {
+        const report = await this.pinRetention.plan(this.getProtectedCIDs());
+        res.json({ dryRun: true, ...report, timestamp: new Date() });
       } catch (error) {
-        logger.error(`Manual update failed: ${error.message}`);
+        logger.error(`Pin retention report failed: ${error.message}`);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -249,6 +788,80 @@ class BlackSwanOracleService {
       }
     });
 
+    // Resend an outbox update parked after its transaction reverted
+    this.expressApp.post(
+      "/outbox/retry",
+      this.requireAdminToken.bind(this),
+      (req, res) => {
+        const entry = this.outbox.getActive();
+        if (!entry || entry.status !== "failed") {
+          return res.status(409).json({
+            success: false,
+            error: "No failed outbox update to retry",
+            timestamp: new Date(),
+          });
+        }
+        logger.info(`📮 Retry of outbox update ${entry.id} requested via API`);
+        this.outbox.markRetry(entry, "Retry requested by operator");
+        res.json({
+          success: true,
+          id: entry.id,
+          message: "Update will be resent on the next check",
+          timestamp: new Date(),
+        });
+      }
+    );
+
+    // Run pin garbage collection now
+    this.expressApp.post(
+      "/pins/gc",
+      this.requireAdminToken.bind(this),
+      async (req, res) => {
+        try {
+          logger.info("🧹 Pin garbage collection triggered via API");
+          const report = await this.runPinGC();
+          res.json({ dryRun: false, ...report, timestamp: new Date() });
+        } catch (error) {
+          logger.error(`Pin garbage collection failed: ${error.message}`);
+          res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date(),
+          });
+        }
+      }
+    );
+
+    // Send a test notification to every alert webhook
+    this.expressApp.post(
+      "/alerts/test",
+      this.requireAdminToken.bind(this),
+      (req, res) => {
+        if (!this.alerts.enabled) {
+          return res.status(400).json({
+            success: false,
+            error: "No alert webhooks configured (ALERT_WEBHOOKS)",
+            timestamp: new Date(),
+          });
+        }
+        const sent = this.alerts.dispatch({
+          key: "test",
+          status: "firing",
+          severity: "info",
+          title: "Test alert",
+          message: "Test notification from the BlackSwan Oracle",
+          details: {},
+          firedAt: new Date(),
+        });
+        res.status(sent ? 200 : 429).json({
+          success: sent,
+          error: sent ? undefined : "Alert rate limit reached",
+          webhooks: this.alerts.getStatus().webhooks,
+          timestamp: new Date(),
+        });
+      }
+    );
+
     // Root endpoint
     this.expressApp.get("/", (req, res) => {
       res.json({
@@ -258,9 +871,18 @@ class BlackSwanOracleService {
         healthy: this.serviceStatus.isHealthy,
         endpoints: {
           health: "/health",
+          liveness: "/health/live",
+          readiness: "/health/ready",
           status: "/status",
+          metrics: "/metrics",
           scores: "/scores",
           update: "POST /update",
+          approveOutlier: "POST /outliers/:type/approve",
+          retryOutbox: "POST /outbox/retry",
+          verify: "/verify/:cid",
+          pinRetention: "/pins/retention",
+          pinGC: "POST /pins/gc",
+          testAlert: "POST /alerts/test",
         },
         timestamp: new Date(),
       });
@@ -269,25 +891,80 @@ class BlackSwanOracleService {
     logger.info("🌐 Express server configured with health check endpoints");
   }
 
+  /**
+   * Protect operator endpoints with ADMIN_API_TOKEN
+   * Without a token they are disabled rather than open
+   */
+  requireAdminToken(req, res, next) {
+    const token = process.env.ADMIN_API_TOKEN;
+    if (!token) {
+      return res.status(503).json({
+        success: false,
+        error: "Operator endpoints are disabled (ADMIN_API_TOKEN is not set)",
+        timestamp: new Date(),
+      });
+    }
+    const expected = Buffer.from(`Bearer ${token}`);
+    const received = Buffer.from(req.get("Authorization") || "");
+    if (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    ) {
+      return next();
+    }
+    res.status(401).json({
+      success: false,
+      error: "Unauthorized",
+      timestamp: new Date(),
+    });
+  }
+
   async initializeBlockchainConnection() {
     try {
-      // Create provider
-      this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-
-      // Create wallet from private key
-      this.wallet = new ethers.Wallet(
-        `0x${process.env.DEV_WALLET_PRIVATE_KEY}`,
-        this.provider
+      // Create provider backed by every configured RPC endpoint
+      this.rpcPool = RpcPool.fromEnv(logger);
+      this.provider = this.rpcPool.provider;
+
+      // Create the configured signers (raw keys, keystores or remote signer)
+      this.signerType = configuredSignerType();
+      const signers = createSigners(this.provider, logger);
+      // Documents are signed by the first dev wallet
+      this.wallet = signers[0];
+      this.feeStrategy = FeeStrategy.fromEnv(this.provider, logger);
+      this.gasBudget = GasBudget.fromEnv(this.provider, logger);
+      this.walletPool = WalletPool.fromEnv(signers, this.provider, logger, {
+        capFees: (fees) => this.feeStrategy.capFees(fees),
+        // Replacements and cancellations can cost more than the original send
+        checkReplacement: (request, options) =>
+          this.gasBudget.check(request, options),
+        onReceipt: (receipt, details) => {
+          this.gasBudget.recordReceipt(receipt);
+          this.recordTransactionMetrics(receipt, details);
+        },
+      });
+      this.balanceMonitor = BalanceMonitor.fromEnv(
+        this.walletPool,
+        this.gasBudget,
+        logger,
+        { onLevelChange: (level, status) => this.alertBalance(level, status) }
       );
 
-      // Test connection
+      // Test connection - any healthy endpoint is enough to start
+      const rpcStatus = await this.rpcPool.checkHealth();
+      const healthy = rpcStatus.endpoints.filter((endpoint) => endpoint.healthy);
+      if (healthy.length === 0) {
+        throw new Error(
+          `No healthy RPC endpoint (${rpcStatus.endpoints
+            .map((endpoint) => `${endpoint.name}: ${endpoint.lastError}`)
+            .join("; ")})`
+        );
+      }
       const network = await this.provider.getNetwork();
-      const balance = await this.provider.getBalance(this.wallet.address);
 
-      // Validate Base network (Chain ID: 8453)
-      if (network.chainId !== 8453n) {
+      // With RPC_CHAIN_ID set, endpoints on another chain are already unhealthy
+      if (!process.env.RPC_CHAIN_ID && network.chainId !== 8453n) {
         logger.warn(
-          `⚠️ Warning: Connected to Chain ID ${network.chainId}, but Base mainnet is 8453. Ensure you're using the correct network.`
+          `⚠️ Warning: Connected to Chain ID ${network.chainId}, but Base mainnet is 8453. Ensure you're using the correct network, or set RPC_CHAIN_ID to it.`
         );
       }
 
@@ -296,14 +973,22 @@ class BlackSwanOracleService {
           network.chainId
         })`
       );
-      logger.info(`💰 Dev wallet address: ${this.wallet.address}`);
-      logger.info(`💰 Dev wallet balance: ${ethers.formatEther(balance)} ETH`);
-
-      if (balance === 0n) {
-        logger.warn(
-          "Dev wallet has zero balance. Ensure it has sufficient funds for transactions."
-        );
+      logger.info(
+        `🔌 RPC endpoints healthy: ${healthy.length}/${
+          rpcStatus.endpoints.length
+        } (${healthy.map((endpoint) => endpoint.name).join(", ")})`
+      );
+      logger.info(
+        `💰 Dev wallet pool: ${signers.length} wallet(s) (${this.signerType} signer)`
+      );
+      for (const signer of signers) {
+        if (typeof signer.checkHealth === "function") {
+          logger.info(`✍️  Remote signer ready: ${await signer.checkHealth()}`);
+        }
       }
+
+      // Authorization, balances and nonces of every dev wallet
+      await this.walletPool.initialize(this.contract);
     } catch (error) {
       logger.error(`Failed to connect to blockchain: ${error.message}`);
       process.exit(1);
@@ -323,6 +1008,12 @@ class BlackSwanOracleService {
         this.wallet
       );
 
+      this.documentSigner = DocumentSigner.fromEnv(
+        this.wallet,
+        this.contract,
+        logger
+      );
+
       logger.info(`📄 Contract ABI loaded and instance created`);
       logger.info(
         `📍 Contract address: ${process.env.ORACLE_CONTRACT_ADDRESS}`
@@ -333,51 +1024,64 @@ class BlackSwanOracleService {
     }
   }
 
-  initializePinata() {
+  initializeStorage() {
     try {
-      this.pinata = new pinataSDK(
-        process.env.PINATA_API_KEY,
-        process.env.PINATA_SECRET_API_KEY
+      this.contentStorage = ContentStorage.fromEnv(logger, {
+        onPin: ({ backend, durationMs, error }) => {
+          this.metrics.ipfsUploads.observe(
+            { backend, outcome: error ? "error" : "success" },
+            durationMs / 1000
+          );
+          if (error) {
+            this.metrics.ipfsFailures.inc({ backend });
+          }
+        },
+      });
+      logger.info(
+        `📌 Content storage: ${this.contentStorage.backends
+          .map((backend) => backend.name)
+          .join(", ")} (at least ${this.contentStorage.minPins} pin${
+          this.contentStorage.minPins === 1 ? "" : "s"
+        } required)`
       );
-
-      // Test Pinata connection
-      this.pinata
-        .testAuthentication()
-        .then(() => {
-          logger.info("📌 Pinata IPFS connection authenticated successfully");
-        })
-        .catch((error) => {
-          logger.error(`Pinata authentication failed: ${error.message}`);
-          logger.warn("Service will continue but IPFS uploads may fail");
-        });
     } catch (error) {
-      logger.error(`Failed to initialize Pinata: ${error.message}`);
-      logger.warn("Service will continue but IPFS uploads may fail");
+      logger.error(`Failed to initialize content storage: ${error.message}`);
+      process.exit(1);
     }
+
+    this.pinRetention = PinRetention.fromEnv(this.contentStorage, logger);
+    this.ipfsGateways = IpfsGateways.fromEnv(logger);
+
+    // Test backend connections
+    this.contentStorage.checkHealth().then((status) => {
+      if (!status.healthy) {
+        logger.warn("Service will continue but IPFS uploads may fail");
+      }
+    });
+  }
+
+  uploadJSONToIPFS(jsonData, fileName) {
+    return this.tracer.startActiveSpan(
+      "oracle.ipfs_upload",
+      { attributes: { "ipfs.file_name": fileName } },
+      (span) => this.pinDocument(jsonData, fileName, span)
+    );
   }
 
-  async uploadJSONToIPFS(jsonData, fileName) {
+  async pinDocument(jsonData, fileName, span) {
     try {
       logger.info(`📤 Uploading ${fileName} to IPFS...`);
 
-      const options = {
-        pinataMetadata: {
-          name: fileName,
-        },
-        pinataOptions: {
-          cidVersion: 0,
-        },
-      };
-
-      const result = await this.pinata.pinJSONToIPFS(jsonData, options);
-      const ipfsHash = result.IpfsHash;
+      const ipfsHash = await this.contentStorage.pinJSON(jsonData, fileName);
       const ipfsURI = `ipfs://${ipfsHash}`;
+      span.setAttribute("ipfs.cid", ipfsHash);
 
-      logger.info(`✅ Successfully uploaded to IPFS: ${ipfsHash}`);
-      logger.info(
-        `🌐 Access at: https://gateway.pinata.cloud/ipfs/${ipfsHash}`
-      );
-      logger.info(`📎 IPFS URI: ${ipfsURI}`);
+      logger.info("✅ Successfully uploaded to IPFS", {
+        fileName,
+        cid: ipfsHash,
+        uri: ipfsURI,
+        url: this.ipfsGateways.url(ipfsURI),
+      });
 
       return ipfsURI;
     } catch (error) {
@@ -386,6 +1090,43 @@ class BlackSwanOracleService {
     }
   }
 
+  /**
+   * Run pin garbage collection as the scheduler's single in-flight cycle
+   * A check may reuse an existing pin (confirmExistingPin) before its outbox
+   * entry records the CID, so GC never runs next to one; the protected CIDs
+   * are read once the lock is held
+   */
+  runPinGC() {
+    return this.scheduler.exclusive("pin-gc", () =>
+      this.pinRetention.run(this.getProtectedCIDs())
+    );
+  }
+
+  /**
+   * CIDs that pin retention must keep: the on-chain documents and any document
+   * pinned for an update that has not been confirmed yet
+   */
+  getProtectedCIDs() {
+    const active = this.outbox.getActive();
+    return [
+      this.lastKnownBlackSwanIPFS,
+      this.lastKnownMarketPeakIPFS,
+      ...(active ? Object.values(active.cids) : []),
+    ].filter(Boolean);
+  }
+
+  async fetchJSONFromIPFS(ipfsURI) {
+    const ipfsHash = ipfsURI.replace("ipfs://", "");
+
+    // Prefer a storage backend that can serve the document directly
+    const stored = await this.contentStorage.fetchJSON(ipfsHash);
+    if (stored) {
+      return stored;
+    }
+
+    return this.ipfsGateways.fetchJSON(ipfsURI);
+  }
+
   /**
    * Deep comparison of analysis data excluding timestamp fields
    * Returns true if there are REAL differences in the analysis content
@@ -455,7 +1196,11 @@ class BlackSwanOracleService {
     }
   }
 
-  createAnalysisJSON(analysisData, type) {
+  /**
+   * Build the document pinned to IPFS for one analysis type
+   * `previous` is the URI of the last published document of the same type
+   */
+  createAnalysisJSON(analysisData, type, previous = null) {
     try {
       const timestamp = new Date().toISOString();
 
@@ -473,6 +1218,8 @@ class BlackSwanOracleService {
           primaryRiskFactors: analysisData.primaryRiskFactors,
           timestamp: analysisData.timestamp,
           dataSource: "BlackSwan AI Analysis Engine",
+          sources: analysisData.sources,
+          previous,
         };
       } else if (type === "marketpeak") {
         return {
@@ -485,6 +1232,8 @@ class BlackSwanOracleService {
           reasoning: analysisData.reasoning,
           timestamp: analysisData.timestamp,
           dataSource: "Market Peak AI Analysis Engine",
+          sources: analysisData.sources,
+          previous,
         };
       }
     } catch (error) {
@@ -519,14 +1268,16 @@ class BlackSwanOracleService {
       if (
         typeof blackswanScore !== "number" ||
         isNaN(blackswanScore) ||
-        blackswanScore < 0
+        blackswanScore < 0 ||
+        blackswanScore > 100
       ) {
         throw new Error(`Invalid blackswan score received: ${blackswanScore}`);
       }
       if (
         typeof marketPeakScore !== "number" ||
         isNaN(marketPeakScore) ||
-        marketPeakScore < 0
+        marketPeakScore < 0 ||
+        marketPeakScore > 100
       ) {
         throw new Error(
           `Invalid market peak score received: ${marketPeakScore}`
@@ -557,240 +1308,1048 @@ class BlackSwanOracleService {
     }
   }
 
-  async fetchAnalysisFromAPI() {
-    try {
-      // Use the new analysis endpoint
-      const analysisEndpoint =
-        process.env.API_ANALYSIS_ENDPOINT ||
-        process.env.API_ENDPOINT.replace("/stats", "/analysis");
+  /**
+   * Fetch the analysis from every configured source and aggregate it
+   */
+  fetchAnalysisFromAPI() {
+    return this.tracer.startActiveSpan(
+      "oracle.fetch_analysis",
+      { attributes: { "oracle.sources": this.analysisSources.sources.length } },
+      (span) => this.fetchAggregatedAnalysis(span)
+    );
+  }
 
-      const response = await axios.get(analysisEndpoint, {
-        timeout: 30000, // 30 second timeout
-        headers: {
-          "User-Agent": "BlackSwanOracle/1.0",
-        },
-      });
+  async fetchAggregatedAnalysis(span) {
+    const analysis = await this.analysisSources.fetch();
+    span.setAttributes({
+      "oracle.blackswan.score": analysis.blackswan.score,
+      "oracle.marketpeak.score": analysis.marketPeak.score,
+      "oracle.responding_sources":
+        this.analysisSources.lastAggregate.respondingSources,
+    });
 
-      if (!response.data.blackswan || !response.data.marketPeak) {
-        throw new Error("Unable to extract analysis data from API response");
-      }
+    logger.info("📊 Fetched full analysis from API", {
+      blackswanScore: analysis.blackswan.score,
+      marketPeakScore: analysis.marketPeak.score,
+    });
 
-      logger.info(
-        `📊 Fetched full analysis from API - BlackSwan: ${response.data.blackswan.score}, MarketPeak: ${response.data.marketPeak.score}`
-      );
+    return analysis;
+  }
 
-      return {
-        blackswan: response.data.blackswan,
-        marketPeak: response.data.marketPeak,
-      };
-    } catch (error) {
-      if (error.code === "ECONNABORTED") {
-        logger.error("Analysis API request timed out");
-      } else if (error.response) {
-        logger.error(
-          `Analysis API returned error ${error.response.status}: ${error.response.statusText}`
-        );
-      } else if (error.request) {
-        logger.error("No response received from Analysis API");
-      } else {
-        logger.error(`Analysis API fetch error: ${error.message}`);
-      }
-      throw error;
-    }
+  /**
+   * Populate, price and send a contract update, then wait for confirmation
+   * Returns true if the transaction was confirmed successfully
+   */
+  sendContractUpdate(method, args, label, options = {}) {
+    return this.tracer.startActiveSpan(
+      "oracle.transaction",
+      {
+        attributes: {
+          "oracle.contract_method": method,
+          "oracle.transaction_label": label,
+        },
+      },
+      (span) => this.submitContractUpdate(span, method, args, label, options)
+    );
   }
 
-  async updateOracleScores(
-    newBlackswanScore,
-    newMarketPeakScore,
-    updateType = "both"
+  async submitContractUpdate(
+    span,
+    method,
+    args,
+    label,
+    { onTransactionSent = null, contentOnly = false } = {}
   ) {
     try {
-      logger.info(
-        `🚀 Updating oracle contract - BlackSwan: ${newBlackswanScore}, MarketPeak: ${newMarketPeakScore} (${updateType})`
+      const txRequest = await this.contract[method].populateTransaction(
+        ...args
       );
 
-      // Prepare transaction options with Base-optimized settings
-      const txOptions = {
-        gasLimit: process.env.GAS_LIMIT
-          ? parseInt(process.env.GAS_LIMIT)
-          : 100000, // Higher default for Base
-      };
-
-      // Add gas price options if specified in environment
-      if (process.env.MAX_FEE_PER_GAS_GWEI) {
-        txOptions.maxFeePerGas = ethers.parseUnits(
-          process.env.MAX_FEE_PER_GAS_GWEI,
-          "gwei"
-        );
-      }
-      if (process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI) {
-        txOptions.maxPriorityFeePerGas = ethers.parseUnits(
-          process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI,
-          "gwei"
-        );
-      }
-      if (process.env.GAS_PRICE_GWEI && !txOptions.maxFeePerGas) {
-        txOptions.gasPrice = ethers.parseUnits(
-          process.env.GAS_PRICE_GWEI,
-          "gwei"
-        );
-      }
+      // Pick a funded dev wallet without a stuck transaction
+      const wallet = await this.walletPool.select();
 
-      let tx;
-      // Choose the most efficient update method based on what changed
-      if (updateType === "both") {
-        tx = await this.contract.updateBothScores(
-          newBlackswanScore,
-          newMarketPeakScore,
-          txOptions
-        );
-        logger.info(`⏳ Both scores update transaction sent: ${tx.hash}`);
-      } else if (updateType === "blackswan") {
-        tx = await this.contract.updateBlackSwanScore(
-          newBlackswanScore,
-          txOptions
-        );
-        logger.info(`⏳ BlackSwan score update transaction sent: ${tx.hash}`);
-      } else if (updateType === "marketpeak") {
-        tx = await this.contract.updateMarketPeakScore(
-          newMarketPeakScore,
-          txOptions
-        );
-        logger.info(`⏳ MarketPeak score update transaction sent: ${tx.hash}`);
-      }
+      // Estimate gas and choose fees, then send and wait for confirmation
+      const request = await this.feeStrategy.apply(
+        { ...txRequest, from: wallet.address },
+        label
+      );
+      await this.gasBudget.check(request, { label, contentOnly });
+      span.setAttributes({
+        "eth.from": wallet.address,
+        "eth.gas_limit": Number(request.gasLimit),
+      });
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      // Covers broadcasting, any fee-bump replacements and waiting for the receipt
+      const receipt = await this.tracer.startActiveSpan(
+        "oracle.tx_confirmation",
+        {},
+        (confirmationSpan) =>
+          this.walletPool.send(wallet, request, {
+            label,
+            onSent: (tx) => {
+              confirmationSpan.addEvent("transaction sent", {
+                "eth.tx_hash": tx.hash,
+                "eth.nonce": tx.nonce,
+              });
+              if (onTransactionSent) {
+                onTransactionSent(tx);
+              }
+            },
+          })
+      );
+      span.setAttributes({
+        "eth.tx_hash": receipt.hash,
+        "eth.block_number": receipt.blockNumber,
+        "eth.gas_used": Number(receipt.gasUsed),
+        "eth.effective_gas_price": receipt.gasPrice.toString(),
+        "eth.status": receipt.status,
+      });
 
       if (receipt.status === 1) {
-        logger.info(
-          `✅ Scores updated successfully! Block: ${
-            receipt.blockNumber
-          }, Gas used: ${receipt.gasUsed.toString()}`
+        this.lastTransaction = {
+          hash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+        };
+        logger.info(`✅ ${label} confirmed!`, {
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+        });
+        this.alerts.resolve(
+          "tx-failed",
+          `${label} confirmed in block ${receipt.blockNumber}`
         );
         return true;
       } else {
-        logger.error("❌ Transaction failed");
+        logger.error("❌ Transaction failed", { txHash: receipt.hash });
+        span.setStatus({
+          code: SpanStatusCode.ERROR,
+          message: "transaction reverted",
+        });
+        this.alerts.raise("tx-failed", {
+          severity: "critical",
+          title: "Oracle transaction reverted",
+          message: `${label} transaction ${receipt.hash} reverted`,
+          details: { hash: receipt.hash, blockNumber: receipt.blockNumber },
+        });
         return false;
       }
     } catch (error) {
+      // Budget deferrals are not failures - let the caller report them
+      if (error.code === "BUDGET_DEFERRED") {
+        span.addEvent("deferred by gas budget", { reason: error.reason });
+        span.setStatus({ code: SpanStatusCode.OK });
+        throw error;
+      }
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+
       // Handle specific contract errors
-      if (error.reason) {
+      if (error.code === "TX_TIMEOUT") {
+        logger.error(`Transaction timed out: ${error.message}`);
+      } else if (error.reason) {
         logger.error(`Contract error: ${error.reason}`);
       } else if (error.message.includes("insufficient funds")) {
         logger.error("Insufficient funds in dev wallet for transaction");
+        this.balanceMonitor.check();
       } else if (error.message.includes("nonce")) {
         logger.error("Nonce error - possible duplicate transaction");
       } else {
         logger.error(`Transaction failed: ${error.message}`);
       }
+      this.alerts.raise("tx-failed", {
+        severity: "critical",
+        title: "Oracle transaction failed",
+        message: `${label}: ${error.message}`,
+        details: { code: error.code || null },
+      });
       return false;
     }
   }
 
-  async updateOracleScoresAndAnalysis(
+  async updateOracleScores(
     newBlackswanScore,
     newMarketPeakScore,
-    blackSwanIPFS,
-    marketPeakIPFS
+    updateType = "both",
+    options = {}
   ) {
-    try {
-      logger.info(`🚀 Updating oracle contract with scores and IPFS hashes`);
-      logger.info(
-        `   BlackSwan: ${newBlackswanScore} | IPFS: ${blackSwanIPFS}`
+    logger.info(`🚀 Updating oracle contract scores (${updateType})`, {
+      blackswanScore: newBlackswanScore,
+      marketPeakScore: newMarketPeakScore,
+    });
+
+    // Choose the most efficient update method based on what changed
+    if (updateType === "blackswan") {
+      return this.sendContractUpdate(
+        "updateBlackSwanScore",
+        [newBlackswanScore],
+        "BlackSwan score update transaction",
+        options
       );
-      logger.info(
-        `   MarketPeak: ${newMarketPeakScore} | IPFS: ${marketPeakIPFS}`
+    } else if (updateType === "marketpeak") {
+      return this.sendContractUpdate(
+        "updateMarketPeakScore",
+        [newMarketPeakScore],
+        "MarketPeak score update transaction",
+        options
       );
+    }
+    return this.sendContractUpdate(
+      "updateBothScores",
+      [newBlackswanScore, newMarketPeakScore],
+      "Both scores update transaction",
+      options
+    );
+  }
 
-      // Prepare transaction options with Base-optimized settings
-      const txOptions = {
-        gasLimit: process.env.GAS_LIMIT
-          ? parseInt(process.env.GAS_LIMIT)
-          : 200000, // Higher for IPFS string storage
-      };
-
-      // Add gas price options if specified in environment
-      if (process.env.MAX_FEE_PER_GAS_GWEI) {
-        txOptions.maxFeePerGas = ethers.parseUnits(
-          process.env.MAX_FEE_PER_GAS_GWEI,
-          "gwei"
-        );
-      }
-      if (process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI) {
-        txOptions.maxPriorityFeePerGas = ethers.parseUnits(
-          process.env.MAX_PRIORITY_FEE_PER_GAS_GWEI,
-          "gwei"
-        );
-      }
-      if (process.env.GAS_PRICE_GWEI && !txOptions.maxFeePerGas) {
-        txOptions.gasPrice = ethers.parseUnits(
-          process.env.GAS_PRICE_GWEI,
-          "gwei"
-        );
-      }
+  async updateOracleAnalysisIPFS(
+    blackSwanIPFS,
+    marketPeakIPFS,
+    updateType = "both",
+    options = {}
+  ) {
+    logger.info(`🚀 Updating oracle contract IPFS hashes (${updateType})`, {
+      blackswanIPFS: blackSwanIPFS,
+      marketPeakIPFS,
+    });
 
-      // Use the new combined update function
-      const tx = await this.contract.updateScoresAndAnalysis(
-        newBlackswanScore,
-        newMarketPeakScore,
+    if (updateType === "blackswan") {
+      return this.sendContractUpdate(
+        "updateBlackSwanAnalysisIPFS",
+        [blackSwanIPFS],
+        "BlackSwan IPFS update transaction",
+        options
+      );
+    } else if (updateType === "marketpeak") {
+      return this.sendContractUpdate(
+        "updateMarketPeakAnalysisIPFS",
+        [marketPeakIPFS],
+        "MarketPeak IPFS update transaction",
+        options
+      );
+    }
+    return this.sendContractUpdate(
+      "updateBothAnalysisIPFS",
+      [blackSwanIPFS, marketPeakIPFS],
+      "Both IPFS hashes update transaction",
+      options
+    );
+  }
+
+  async updateOracleScoresAndAnalysis(
+    newBlackswanScore,
+    newMarketPeakScore,
+    blackSwanIPFS,
+    marketPeakIPFS,
+    options = {}
+  ) {
+    logger.info("🚀 Updating oracle contract with scores and IPFS hashes", {
+      blackswanScore: newBlackswanScore,
+      blackswanIPFS: blackSwanIPFS,
+      marketPeakScore: newMarketPeakScore,
+      marketPeakIPFS,
+    });
+
+    // Use the new combined update function
+    const success = await this.sendContractUpdate(
+      "updateScoresAndAnalysis",
+      [newBlackswanScore, newMarketPeakScore, blackSwanIPFS, marketPeakIPFS],
+      "Scores and analysis update transaction",
+      options
+    );
+
+    if (success) {
+      logger.info(
+        `   🌐 BlackSwan IPFS: ${this.ipfsGateways.url(blackSwanIPFS)}`
+      );
+      logger.info(
+        `   🌐 MarketPeak IPFS: ${this.ipfsGateways.url(marketPeakIPFS)}`
+      );
+    }
+    return success;
+  }
+
+  persistState() {
+    this.stateStore.save({
+      blackswan: {
+        score: this.lastKnownBlackSwanScore,
+        ipfs: this.lastKnownBlackSwanIPFS,
+        analysis: this.lastKnownBlackSwanAnalysis,
+      },
+      marketPeak: {
+        score: this.lastKnownMarketPeakScore,
+        ipfs: this.lastKnownMarketPeakIPFS,
+        analysis: this.lastKnownMarketPeakAnalysis,
+      },
+      lastTransaction: this.lastTransaction,
+      lastPushAt: this.lastPushAt,
+      lastWrittenAt: this.lastWrittenAt,
+      lastSuccessfulUpdate: this.serviceStatus.lastSuccessfulUpdate,
+    });
+  }
+
+  /**
+   * Restore the last published state on startup
+   * Loads the local state file, then checks it against the contract. If the local
+   * store is missing or does not match on-chain data, the cache is rebuilt from
+   * the contract and the pinned IPFS documents.
+   */
+  async hydrateState() {
+    const saved = this.stateStore.load();
+
+    if (saved) {
+      this.lastKnownBlackSwanScore = saved.blackswan.score;
+      this.lastKnownBlackSwanIPFS = saved.blackswan.ipfs;
+      this.lastKnownBlackSwanAnalysis = saved.blackswan.analysis;
+      this.lastKnownMarketPeakScore = saved.marketPeak.score;
+      this.lastKnownMarketPeakIPFS = saved.marketPeak.ipfs;
+      this.lastKnownMarketPeakAnalysis = saved.marketPeak.analysis;
+      this.lastTransaction = saved.lastTransaction || null;
+      this.lastPushAt = saved.lastPushAt || {
+        blackswan: saved.lastSuccessfulUpdate || null,
+        marketPeak: saved.lastSuccessfulUpdate || null,
+      };
+      this.lastWrittenAt = saved.lastWrittenAt || this.lastWrittenAt;
+      this.serviceStatus.lastSuccessfulUpdate = saved.lastSuccessfulUpdate
+        ? new Date(saved.lastSuccessfulUpdate)
+        : null;
+      logger.info("💾 Loaded local state", {
+        blackswanScore: saved.blackswan.score,
+        marketPeakScore: saved.marketPeak.score,
+      });
+    } else {
+      logger.info("💾 No local state found");
+    }
+
+    let onChain;
+    try {
+      const [blackSwan, marketPeak, blackSwanIPFS, marketPeakIPFS] =
+        await this.contract.getAllData();
+      onChain = {
+        blackswanScore: Number(blackSwan),
+        marketPeakScore: Number(marketPeak),
         blackSwanIPFS,
         marketPeakIPFS,
-        txOptions
+      };
+    } catch (error) {
+      logger.warn(
+        `Could not read on-chain data for state hydration: ${error.message}`
       );
+      return;
+    }
+
+    // Nothing has been published yet - keep the first run behaviour
+    if (!onChain.blackSwanIPFS || !onChain.marketPeakIPFS) {
+      logger.info("📊 No analysis published on-chain yet");
+      return;
+    }
 
-      logger.info(`⏳ Transaction sent: ${tx.hash}`);
+    // Write times come from the chain, so a rebuild or restart never resets them
+    await this.loadLastOnChainWrites();
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+    const isStale =
+      !saved ||
+      saved.blackswan.score !== onChain.blackswanScore ||
+      saved.marketPeak.score !== onChain.marketPeakScore ||
+      saved.blackswan.ipfs !== onChain.blackSwanIPFS ||
+      saved.marketPeak.ipfs !== onChain.marketPeakIPFS ||
+      !saved.blackswan.analysis ||
+      !saved.marketPeak.analysis;
 
-      if (receipt.status === 1) {
-        logger.info(`✅ Scores and IPFS hashes updated successfully!`);
+    if (!isStale) {
+      logger.info("✅ Local state matches on-chain data");
+      return;
+    }
+
+    logger.info("🔄 Local state missing or stale - rebuilding from contract");
+
+    try {
+      const [blackSwanDocument, marketPeakDocument] = await Promise.all([
+        this.fetchJSONFromIPFS(onChain.blackSwanIPFS),
+        this.fetchJSONFromIPFS(onChain.marketPeakIPFS),
+      ]);
+
+      this.lastKnownBlackSwanScore = onChain.blackswanScore;
+      this.lastKnownMarketPeakScore = onChain.marketPeakScore;
+      this.lastKnownBlackSwanIPFS = onChain.blackSwanIPFS;
+      this.lastKnownMarketPeakIPFS = onChain.marketPeakIPFS;
+      this.lastKnownBlackSwanAnalysis = blackSwanDocument;
+      this.lastKnownMarketPeakAnalysis = marketPeakDocument;
+      this.persistState();
+
+      logger.info("✅ State rebuilt from contract", {
+        blackswanScore: onChain.blackswanScore,
+        marketPeakScore: onChain.marketPeakScore,
+      });
+    } catch (error) {
+      // Without the documents we cannot compare content, so fall back to a first run
+      logger.warn(
+        `Failed to fetch pinned analysis documents: ${error.message}`
+      );
+      logger.warn("Cache not restored - next check will republish");
+      this.lastKnownBlackSwanScore = null;
+      this.lastKnownMarketPeakScore = null;
+    }
+  }
+
+  /**
+   * Set lastWrittenAt and the heartbeat clock (lastPushAt) from the contract's
+   * update events. The scan walks back EVENT_SCAN_BLOCK_RANGE blocks at a time
+   * until both types are found or it covers the data age and heartbeat windows.
+   * A type not found by then was written before the oldest scanned block, so
+   * its clock starts there and both its heartbeat and data age are overdue.
+   */
+  async loadLastOnChainWrites() {
+    try {
+      const { writes, scannedFrom } = await this.findLastOnChainWrites();
+      for (const { key, label } of ANALYSIS_TYPES) {
+        this.lastWrittenAt[key] = writes[key];
+        this.lastPushAt[key] = writes[key] || scannedFrom;
         logger.info(
-          `   Block: ${
-            receipt.blockNumber
-          }, Gas used: ${receipt.gasUsed.toString()}`
+          writes[key]
+            ? `⛓️  ${label} last written on-chain at ${writes[key].toISOString()}`
+            : `⛓️  ${label} not written on-chain since ${
+                scannedFrom ? scannedFrom.toISOString() : "deployment"
+              }`
         );
-        // Extract hash from ipfs:// URI for gateway URL
-        const blackSwanHash = blackSwanIPFS.replace("ipfs://", "");
-        const marketPeakHash = marketPeakIPFS.replace("ipfs://", "");
+      }
+      this.persistState();
+    } catch (error) {
+      // Keep the saved times - without them data age reads as unknown
+      logger.warn(
+        `Could not read on-chain write history: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Block timestamps of the last write per analysis type, scanning backwards
+   * Returns { writes: { blackswan, marketPeak }, scannedFrom } where a type not
+   * found is null and scannedFrom is the oldest scanned block's time (null at genesis)
+   */
+  async findLastOnChainWrites() {
+    const contractInterface = this.contract.interface;
+    const topics = [
+      Object.keys(WRITE_EVENTS).map(
+        (name) => contractInterface.getEvent(name).topicHash
+      ),
+    ];
+    const address = await this.contract.getAddress();
+    const range = parseInt(process.env.EVENT_SCAN_BLOCK_RANGE) || 2000;
+    const windowMs = Math.max(
+      this.readiness.options.maxDataAgeMs,
+      ...ANALYSIS_TYPES.map(
+        ({ key }) => this.updatePolicy.config[key].heartbeatMs || 0
+      )
+    );
+    const cutoff = Date.now() - windowMs;
+
+    const found = {};
+    let scannedFrom = null;
+    let toBlock = await this.provider.getBlockNumber();
+    while (toBlock >= 0 && ANALYSIS_TYPES.some(({ key }) => !found[key])) {
+      const fromBlock = Math.max(0, toBlock - range + 1);
+      const logs = await this.provider.getLogs({
+        address,
+        topics,
+        fromBlock,
+        toBlock,
+      });
+      // Chunks go newest first and logs within one oldest first, so the
+      // first chunk to hold a type has its latest write as the last log
+      for (const log of [...logs].reverse()) {
+        const { name } = contractInterface.parseLog(log);
+        for (const key of WRITE_EVENTS[name]) {
+          if (found[key] === undefined) {
+            found[key] = log.blockNumber;
+          }
+        }
+      }
+
+      if (fromBlock === 0) {
+        scannedFrom = null;
+        break;
+      }
+      const { timestamp } = await this.provider.getBlock(fromBlock);
+      scannedFrom = new Date(timestamp * 1000);
+      if (scannedFrom.getTime() < cutoff) {
+        break;
+      }
+      toBlock = fromBlock - 1;
+    }
+
+    const writes = {};
+    for (const { key } of ANALYSIS_TYPES) {
+      writes[key] =
+        found[key] === undefined
+          ? null
+          : await this.getBlockTime(found[key]);
+    }
+    return { writes, scannedFrom };
+  }
+
+  async getBlockTime(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return new Date(block.timestamp * 1000);
+  }
+
+  /**
+   * Record the block timestamp of a confirmed write for the dataAge check
+   * Falls back to the confirmation time if the block cannot be read
+   */
+  async recordOnChainWrite(keys, blockNumber) {
+    let writtenAt;
+    try {
+      writtenAt = await this.getBlockTime(blockNumber);
+    } catch (error) {
+      logger.debug(
+        `Could not read block ${blockNumber} timestamp: ${error.message}`
+      );
+      writtenAt = new Date();
+    }
+    for (const key of keys) {
+      this.lastWrittenAt[key] = writtenAt;
+    }
+    this.persistState();
+  }
+
+  /**
+   * Resolve an outbox entry whose transaction was sent but never confirmed
+   * Returns true if the transaction is still pending and no new update should start
+   */
+  reconcileOutbox() {
+    const entry = this.outbox.getActive();
+    if (!entry || entry.status !== "sent") {
+      return Promise.resolve(false);
+    }
+    return withCorrelation(this.transactionContext(entry), () =>
+      this.tracer.startActiveSpan(
+        "oracle.outbox_resume",
+        {
+          attributes: {
+            "oracle.outbox_id": entry.id,
+            "eth.tx_hash": entry.txHash,
+          },
+        },
+        () => this.resumeOutboxEntry(entry)
+      )
+    );
+  }
+
+  /**
+   * Correlation fields for every log line of an outbox entry's transaction
+   * Derived from the entry, so a resumed transaction keeps the same txId
+   */
+  transactionContext(entry) {
+    return { txId: `tx-${entry.id.slice(0, 8)}` };
+  }
+
+  async resumeOutboxEntry(entry) {
+    logger.info("📮 Checking receipt for outbox transaction", {
+      txHash: entry.txHash,
+    });
+
+    let receipt;
+    try {
+      receipt = await this.walletPool.resume(
+        entry.txHashes || [entry.txHash],
+        {
+          label: `Outbox update ${entry.id}`,
+          onSent: (tx) => this.outbox.markSent(entry, tx.hash),
+        }
+      );
+    } catch (error) {
+      if (error.code === "TX_TIMEOUT") {
+        logger.warn(error.message);
+        // Another dev wallet could take over, but only once the stuck nonce can
+        // no longer write the update: cancel it and resend after that is mined
+        if (
+          !entry.cancelTxHash &&
+          this.walletPool.hasAlternative(error.wallet)
+        ) {
+          await this.cancelStuckUpdate(entry, error.wallet);
+        }
+        return true;
+      }
+      throw error;
+    }
+
+    if (receipt && entry.cancelTxHash && receipt.hash === entry.cancelTxHash) {
+      logger.warn(
+        `🔄 Stuck outbox update ${entry.id} cancelled - resending from another dev wallet`,
+        { txHash: receipt.hash, blockNumber: receipt.blockNumber }
+      );
+      this.outbox.markRetry(
+        entry,
+        `Transaction ${entry.txHash} cancelled in block ${receipt.blockNumber}`
+      );
+      return false;
+    }
+
+    if (!receipt) {
+      logger.warn(
+        "Outbox transaction is no longer known to the node - will resend",
+        { txHash: entry.txHash }
+      );
+      this.outbox.markRetry(entry, `Transaction ${entry.txHash} was dropped`);
+      return false;
+    }
+
+    this.tracer.activeSpan().setAttributes({
+      "eth.tx_hash": receipt.hash,
+      "eth.block_number": receipt.blockNumber,
+      "eth.gas_used": Number(receipt.gasUsed),
+      "eth.status": receipt.status,
+    });
+    if (receipt.status === 1) {
+      logger.info("✅ Outbox transaction confirmed", {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      });
+      if (!this.recordConfirmedStep(entry, receipt)) {
         logger.info(
-          `   🌐 BlackSwan IPFS: https://gateway.pinata.cloud/ipfs/${blackSwanHash}`
+          `📮 Outbox update ${entry.id} has writes left - continuing with them`
         );
-        logger.info(
-          `   🌐 MarketPeak IPFS: https://gateway.pinata.cloud/ipfs/${marketPeakHash}`
+      }
+      this.alerts.resolve(
+        "tx-failed",
+        `Outbox transaction confirmed in block ${receipt.blockNumber}`
+      );
+    } else {
+      logger.warn(
+        "Outbox transaction reverted - update parked until it is retried (POST /outbox/retry) or newer data replaces it",
+        { txHash: receipt.hash }
+      );
+      this.outbox.markFailed(entry, `Transaction ${receipt.hash} reverted`);
+      this.alerts.raise("tx-failed", {
+        severity: "critical",
+        title: "Oracle transaction reverted",
+        message: `Outbox transaction ${receipt.hash} reverted`,
+        details: { hash: receipt.hash, blockNumber: receipt.blockNumber },
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Cancel the stuck transaction of an outbox entry; the entry keeps waiting
+   * for whichever of the update and the cancellation is mined
+   */
+  async cancelStuckUpdate(entry, walletAddress) {
+    try {
+      const cancellation = await this.walletPool.cancel(
+        walletAddress,
+        entry.txHashes || [entry.txHash],
+        { label: `Outbox update ${entry.id}` }
+      );
+      if (!cancellation) {
+        // Dropped by the node - the next check sees no receipt and resends
+        return;
+      }
+      this.outbox.markCancelling(entry, cancellation.hash);
+    } catch (error) {
+      logger.error(
+        `Could not cancel stuck outbox update ${entry.id} on ${walletAddress}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Find or create the outbox entry for this update
+   * An unfinished entry with the same target is resumed as-is. Otherwise it is
+   * superseded, carrying over any pinned document whose content did not change.
+   */
+  prepareOutboxEntry(plan) {
+    const documents = { blackswan: null, marketPeak: null };
+    // Documents that are not rewritten keep their current on-chain URI
+    const cids = {
+      blackswan: plan.writes.blackswan.document
+        ? null
+        : this.lastKnownBlackSwanIPFS,
+      marketPeak: plan.writes.marketPeak.document
+        ? null
+        : this.lastKnownMarketPeakIPFS,
+    };
+    const active = this.outbox.getActive();
+
+    if (active) {
+      const unchanged = ({ key, type }) =>
+        !this.hasAnalysisContentChanged(
+          plan.analyses[key],
+          active.analyses[key],
+          type
+        );
+
+      const sameTarget =
+        JSON.stringify(active.writes) === JSON.stringify(plan.writes) &&
+        ANALYSIS_TYPES.every(
+          (analysisType) =>
+            active.scores[analysisType.key] === plan.scores[analysisType.key] &&
+            unchanged(analysisType)
+        );
+
+      if (sameTarget) {
+        logger.info(`📮 Resuming unfinished outbox update ${active.id}`);
+        return active;
+      }
+
+      logger.info(`📮 Superseding outbox update ${active.id} with newer analysis`);
+      this.outbox.markSuperseded(active);
+
+      for (const analysisType of ANALYSIS_TYPES) {
+        const { key } = analysisType;
+        if (
+          plan.writes[key].document &&
+          active.documents &&
+          active.documents[key] &&
+          active.cids[key] &&
+          unchanged(analysisType)
+        ) {
+          documents[key] = active.documents[key];
+          cids[key] = active.cids[key];
+        }
+      }
+    }
+
+    for (const { key, type } of ANALYSIS_TYPES) {
+      if (plan.writes[key].document && !documents[key]) {
+        logger.info(`📝 Creating updated ${type} analysis JSON file...`);
+        documents[key] = this.createAnalysisJSON(
+          plan.analyses[key],
+          type,
+          key === "blackswan"
+            ? this.lastKnownBlackSwanIPFS
+            : this.lastKnownMarketPeakIPFS
         );
-        return true;
-      } else {
-        logger.error("❌ Transaction failed");
-        return false;
       }
+    }
+
+    return this.outbox.create({
+      scores: plan.scores,
+      analyses: plan.analyses,
+      documents,
+      cids,
+      writes: plan.writes,
+      reasons: plan.reasons,
+    });
+  }
+
+  /**
+   * Pin the changed analysis documents and write the changed values on-chain
+   * Progress is recorded in the outbox so an interrupted update can be resumed
+   */
+  async publishUpdate(plan) {
+    // Never pin or write anything that does not match the analysis schemas
+    this.analysisValidator.assertValid(
+      plan.analyses,
+      "update plan",
+      ANALYSIS_TYPES.map(({ key }) => key).filter(
+        (key) => plan.writes[key].score || plan.writes[key].document
+      )
+    );
+
+    const entry = this.prepareOutboxEntry(plan);
+    if (entry.status === "failed") {
+      logger.warn(
+        `📮 Outbox update ${entry.id} reverted and is parked - not resending the same update`,
+        { lastError: entry.lastError.message }
+      );
+      this.serviceStatus.isHealthy = false;
+      return false;
+    }
+
+    // Upload changed documents to IPFS, reusing anything pinned by a previous attempt
+    for (const { key, type, label } of ANALYSIS_TYPES) {
+      if (!entry.documents[key]) {
+        continue;
+      }
+      if (entry.cids[key]) {
+        logger.info(`📎 Reusing pinned ${label} analysis`, {
+          uri: entry.cids[key],
+        });
+        continue;
+      }
+
+      // Sign before pinning; the signed document is kept in the outbox for retries
+      if (!entry.documents[key].signature) {
+        this.outbox.update(entry, {
+          documents: {
+            ...entry.documents,
+            [key]: await this.documentSigner.sign(entry.documents[key]),
+          },
+        });
+      }
+
+      logger.info(`📤 Uploading updated ${label} analysis to IPFS...`);
+      const ipfsURI = await this.uploadJSONToIPFS(
+        entry.documents[key],
+        `${type}-analysis-${Date.now()}.json`
+      );
+      this.outbox.setCID(entry, key, ipfsURI);
+    }
+
+    // Update the oracle with only the values that changed
+    let success;
+    try {
+      success = await withCorrelation(this.transactionContext(entry), () =>
+        this.writeOracleUpdate(entry, {
+          onTransactionSent: (tx) => this.outbox.markSent(entry, tx.hash),
+          contentOnly: plan.contentOnly,
+        })
+      );
     } catch (error) {
-      // Handle specific contract errors
-      if (error.reason) {
-        logger.error(`Contract error: ${error.reason}`);
-      } else if (error.message.includes("insufficient funds")) {
-        logger.error("Insufficient funds in dev wallet for transaction");
-      } else if (error.message.includes("nonce")) {
-        logger.error("Nonce error - possible duplicate transaction");
-      } else {
-        logger.error(`Transaction failed: ${error.message}`);
+      if (error.code !== "BUDGET_DEFERRED") {
+        throw error;
       }
+
+      // The pinned documents stay in the outbox and are reused once the budget allows
+      this.serviceStatus.deferredUpdate = {
+        outboxId: entry.id,
+        reason: error.reason,
+        message: error.message,
+        contentOnly: plan.contentOnly,
+        timestamp: new Date(),
+      };
+      logger.info("⏸️  Update deferred by gas budget - will retry next cycle");
       return false;
     }
+
+    this.serviceStatus.deferredUpdate = null;
+    if (success) {
+      logger.info("💾 All data updated successfully");
+    } else {
+      // A sent transaction is re-checked by reconcileOutbox() on the next cycle,
+      // an unsent one is retried with the already pinned CIDs
+      this.serviceStatus.errorCount++;
+      this.serviceStatus.isHealthy = false;
+      logger.warn("⚠️  Data not updated in cache due to transaction failure");
+    }
+
+    return success;
+  }
+
+  /**
+   * Write the entry's remaining changes on-chain, recording every confirmed
+   * transaction in the outbox before the next one is sent
+   * Returns true once everything is written
+   */
+  async writeOracleUpdate(entry, options) {
+    const steps = this.planContractWrites(this.outbox.getRemainingWrites(entry));
+    for (const step of steps) {
+      this.outbox.setStep(entry, step);
+      const success = await this.sendContractWrite(entry, step, options);
+      if (!success) {
+        return false;
+      }
+      this.recordConfirmedStep(entry, this.lastTransaction);
+    }
+    return true;
+  }
+
+  /**
+   * Split writes into the cheapest transactions that touch nothing else:
+   * - scores and documents of both sides -> one updateScoresAndAnalysis
+   * - only scores or only documents      -> one call for them
+   * - otherwise                          -> the scores first, then the documents
+   * The contract has no single-side combined call, and updateScoresAndAnalysis
+   * would rewrite (and re-emit events for) a side that did not change.
+   */
+  planContractWrites(writes) {
+    const written = ANALYSIS_TYPES.filter(
+      ({ key }) => writes[key].score || writes[key].document
+    );
+    const hasScores = written.some(({ key }) => writes[key].score);
+    const hasDocuments = written.some(({ key }) => writes[key].document);
+    const bothComplete =
+      written.length === ANALYSIS_TYPES.length &&
+      written.every(({ key }) => writes[key].score && writes[key].document);
+
+    if (written.length === 0) {
+      return [];
+    }
+    if (bothComplete || !hasScores || !hasDocuments) {
+      return [writes];
+    }
+
+    const only = (field) => {
+      const step = {};
+      for (const { key } of ANALYSIS_TYPES) {
+        step[key] = {
+          score: false,
+          document: false,
+          [field]: writes[key][field],
+        };
+      }
+      return step;
+    };
+    return [only("score"), only("document")];
   }
 
-  async checkAndUpdateScores() {
+  /**
+   * Send one step with the matching contract call:
+   * - scores only     -> updateBlackSwanScore / updateMarketPeakScore / updateBothScores
+   * - documents only  -> update*AnalysisIPFS / updateBothAnalysisIPFS
+   * - both, both sides -> updateScoresAndAnalysis
+   */
+  async sendContractWrite(entry, step, options) {
+    const scoreWrites = ANALYSIS_TYPES.filter(({ key }) => step[key].score);
+    const documentWrites = ANALYSIS_TYPES.filter(
+      ({ key }) => step[key].document
+    );
+    const updateType = (writes) =>
+      writes.length === 1 ? writes[0].type : "both";
+
+    if (documentWrites.length === 0) {
+      return this.updateOracleScores(
+        entry.scores.blackswan,
+        entry.scores.marketPeak,
+        updateType(scoreWrites),
+        options
+      );
+    }
+
+    if (scoreWrites.length === 0) {
+      return this.updateOracleAnalysisIPFS(
+        entry.cids.blackswan,
+        entry.cids.marketPeak,
+        updateType(documentWrites),
+        options
+      );
+    }
+
+    return this.updateOracleScoresAndAnalysis(
+      entry.scores.blackswan,
+      entry.scores.marketPeak,
+      entry.cids.blackswan,
+      entry.cids.marketPeak,
+      options
+    );
+  }
+
+  /**
+   * Apply a confirmed transaction of an outbox entry to the local state
+   * Returns true once every write of the entry is on-chain
+   */
+  recordConfirmedStep(entry, receipt) {
+    const step = entry.step || entry.writes;
+    const finished = this.outbox.markStepConfirmed(entry, receipt);
+
+    if (finished) {
+      this.updatePolicy.recordPush(entry.reasons || {});
+      this.serviceStatus.lastSuccessfulUpdate = new Date();
+      this.serviceStatus.updateCount++;
+      this.serviceStatus.isHealthy = true;
+    }
+    this.applyPublishedUpdate(entry, step, receipt);
+    return finished;
+  }
+
+  /**
+   * Take the confirmed writes into the last known on-chain state
+   * A document is only taken over with its own write, so a score written ahead
+   * of its document does not hide the pending content change
+   */
+  applyPublishedUpdate(entry, writes, receipt) {
+    if (writes.blackswan.score) {
+      this.lastKnownBlackSwanScore = entry.scores.blackswan;
+    }
+    if (writes.blackswan.document) {
+      this.lastKnownBlackSwanIPFS = entry.cids.blackswan;
+      this.lastKnownBlackSwanAnalysis = entry.analyses.blackswan;
+    }
+    if (writes.marketPeak.score) {
+      this.lastKnownMarketPeakScore = entry.scores.marketPeak;
+    }
+    if (writes.marketPeak.document) {
+      this.lastKnownMarketPeakIPFS = entry.cids.marketPeak;
+      this.lastKnownMarketPeakAnalysis = entry.analyses.marketPeak;
+    }
+
+    const written = ANALYSIS_TYPES.filter(
+      ({ key }) => writes[key].score || writes[key].document
+    ).map(({ key }) => key);
+    for (const key of written) {
+      this.lastPushAt[key] = new Date();
+    }
+
+    this.lastTransaction = {
+      hash: receipt.hash || entry.txHash,
+      blockNumber: receipt.blockNumber,
+    };
+    this.persistState();
+    this.recordOnChainWrite(written, receipt.blockNumber);
+  }
+
+  /**
+   * Run one update check; every line it logs carries the cycle's correlationId
+   * and its stages are traced as children of an oracle.poll_cycle span
+   */
+  checkAndUpdateScores({
+    manual = false,
+    correlationId = newCorrelationId("cycle"),
+    traceParent = null,
+  } = {}) {
+    return withCorrelation({ correlationId }, () =>
+      this.tracer.startActiveSpan(
+        "oracle.poll_cycle",
+        {
+          parent: traceParent,
+          attributes: {
+            "oracle.correlation_id": correlationId,
+            "oracle.manual": manual,
+          },
+        },
+        (span) => this.runUpdateCheck({ manual, span })
+      )
+    );
+  }
+
+  async runUpdateCheck({ manual, span }) {
+    const startedAt = Date.now();
+    let outcome = "unchanged";
     try {
       logger.info("🔍 Checking for analysis updates...");
       this.serviceStatus.lastUpdate = new Date();
 
+      // Finish any update interrupted by a crash or failed transaction first
+      const transactionPending = await this.reconcileOutbox();
+      if (transactionPending) {
+        logger.info(
+          "⏳ Previous update transaction is still pending - skipping this check"
+        );
+        outcome = "pending";
+        return;
+      }
+
       // Fetch full analysis data including scores
       const analysisData = await this.fetchAnalysisFromAPI();
-      const { blackswan, marketPeak } = analysisData;
+      let { blackswan, marketPeak } = analysisData;
 
-      const blackswanScore = Math.floor(blackswan.score);
-      const marketPeakScore = Math.floor(marketPeak.score);
+      let blackswanScore = Math.floor(blackswan.score);
+      let marketPeakScore = Math.floor(marketPeak.score);
+
+      // Hold back scores that are not yet confirmed or jump too far -
+      // a guarded analysis is treated as unchanged for this cycle
+      const blackswanGuard = this.outlierGuard.check(
+        "blackswan",
+        blackswanScore,
+        this.lastKnownBlackSwanScore
+      );
+      if (!blackswanGuard.accepted) {
+        blackswan = this.lastKnownBlackSwanAnalysis;
+        blackswanScore = this.lastKnownBlackSwanScore;
+      }
+      const marketPeakGuard = this.outlierGuard.check(
+        "marketPeak",
+        marketPeakScore,
+        this.lastKnownMarketPeakScore
+      );
+      if (!marketPeakGuard.accepted) {
+        marketPeak = this.lastKnownMarketPeakAnalysis;
+        marketPeakScore = this.lastKnownMarketPeakScore;
+      }
+      this.alertOutlier("blackswan", blackswanGuard);
+      this.alertOutlier("marketPeak", marketPeakGuard);
 
       // First run - initialize cached data
       if (
@@ -798,43 +2357,17 @@ class BlackSwanOracleService {
         this.lastKnownMarketPeakScore === null
       ) {
         logger.info("📊 First run - initializing cache and uploading to IPFS");
-
-        // Create JSON files for both analyses
-        const blackSwanJSON = this.createAnalysisJSON(blackswan, "blackswan");
-        const marketPeakJSON = this.createAnalysisJSON(
-          marketPeak,
-          "marketpeak"
-        );
-
-        // Upload to IPFS
-        const blackSwanIPFS = await this.uploadJSONToIPFS(
-          blackSwanJSON,
-          `blackswan-analysis-${Date.now()}.json`
-        );
-        const marketPeakIPFS = await this.uploadJSONToIPFS(
-          marketPeakJSON,
-          `marketpeak-analysis-${Date.now()}.json`
-        );
-
-        // Update oracle with initial scores and IPFS hashes
-        const success = await this.updateOracleScoresAndAnalysis(
-          blackswanScore,
-          marketPeakScore,
-          blackSwanIPFS,
-          marketPeakIPFS
-        );
-
-        if (success) {
-          this.lastKnownBlackSwanScore = blackswanScore;
-          this.lastKnownMarketPeakScore = marketPeakScore;
-          this.lastKnownBlackSwanIPFS = blackSwanIPFS;
-          this.lastKnownMarketPeakIPFS = marketPeakIPFS;
-          this.lastKnownBlackSwanAnalysis = blackswan;
-          this.lastKnownMarketPeakAnalysis = marketPeak;
-          this.serviceStatus.lastSuccessfulUpdate = new Date();
-          this.serviceStatus.updateCount++;
-          this.serviceStatus.isHealthy = true;
-        }
+        const published = await this.publishUpdate({
+          scores: { blackswan: blackswanScore, marketPeak: marketPeakScore },
+          analyses: { blackswan, marketPeak },
+          writes: {
+            blackswan: { score: true, document: true },
+            marketPeak: { score: true, document: true },
+          },
+          reasons: { blackswan: "initial", marketPeak: "initial" },
+          contentOnly: false,
+        });
+        outcome = this.publishOutcome(published);
         return;
       }
 
@@ -856,23 +2389,66 @@ class BlackSwanOracleService {
         this.lastKnownMarketPeakAnalysis,
         "marketpeak"
       );
+      for (const [type, scoreChanged, contentChanged] of [
+        ["blackswan", blackswanScoreChanged, blackswanContentChanged],
+        ["marketPeak", marketPeakScoreChanged, marketPeakContentChanged],
+      ]) {
+        this.metrics.changeDetection.inc({
+          type,
+          result: scoreChanged
+            ? "score"
+            : contentChanged
+            ? "content"
+            : "unchanged",
+        });
+      }
 
-      // Determine if any real changes occurred
-      const hasRealChanges =
-        blackswanScoreChanged ||
-        marketPeakScoreChanged ||
-        blackswanContentChanged ||
-        marketPeakContentChanged;
+      // Apply the deviation / heartbeat / content cadence policy per analysis type
+      const decisions = {
+        blackswan: this.updatePolicy.evaluate("blackswan", {
+          score: blackswanScore,
+          lastScore: this.lastKnownBlackSwanScore,
+          contentChanged: blackswanContentChanged,
+          lastPushAt: this.lastPushAt.blackswan,
+          manual,
+        }),
+        marketPeak: this.updatePolicy.evaluate("marketPeak", {
+          score: marketPeakScore,
+          lastScore: this.lastKnownMarketPeakScore,
+          contentChanged: marketPeakContentChanged,
+          lastPushAt: this.lastPushAt.marketPeak,
+          manual,
+        }),
+      };
 
-      if (!hasRealChanges) {
-        logger.info(
-          `📊 No real changes detected - BlackSwan: ${blackswanScore}, MarketPeak: ${marketPeakScore}`
-        );
-        logger.info(`   (Score and content are identical to last update)`);
+      if (!blackswanContentChanged && !marketPeakContentChanged) {
+        if (!decisions.blackswan.push && !decisions.marketPeak.push) {
+          logger.info("📊 No real changes detected", {
+            blackswanScore,
+            marketPeakScore,
+          });
+          logger.info(`   (Score and content are identical to last update)`);
+        }
+
+        // An unsent update for content that has since reverted is no longer needed
+        const staleEntry = this.outbox.getActive();
+        if (staleEntry) {
+          logger.info(`📮 Dropping outbox update ${staleEntry.id} - data unchanged`);
+          this.outbox.markSuperseded(staleEntry);
+        }
+      }
+
+      if (!decisions.blackswan.push && !decisions.marketPeak.push) {
+        if (blackswanContentChanged || marketPeakContentChanged) {
+          logger.info(`⏳ Changes held back by update policy:`);
+          logger.info(`   - BlackSwan: ${decisions.blackswan.detail}`);
+          logger.info(`   - MarketPeak: ${decisions.marketPeak.detail}`);
+          outcome = "held";
+        }
         return;
       }
 
-      // Real changes detected - log what changed
+      // Log what changed and why it is being pushed
       const changes = [];
       if (blackswanScoreChanged) {
         changes.push(
@@ -894,50 +2470,57 @@ class BlackSwanOracleService {
           `MarketPeak analysis content changed (same score: ${marketPeakScore})`
         );
       }
+      for (const [label, decision] of [
+        ["BlackSwan", decisions.blackswan],
+        ["MarketPeak", decisions.marketPeak],
+      ]) {
+        if (decision.push) {
+          changes.push(`${label} push reason: ${decision.reason} (${decision.detail})`);
+        }
+      }
 
-      logger.info(`📈 Real changes detected:`);
+      logger.info(`📈 Pushing update:`);
       changes.forEach((change) => logger.info(`   - ${change}`));
 
-      // Create JSON files for both analyses (always update both for consistency)
-      logger.info("📝 Creating updated analysis JSON files...");
-      const blackSwanJSON = this.createAnalysisJSON(blackswan, "blackswan");
-      const marketPeakJSON = this.createAnalysisJSON(marketPeak, "marketpeak");
+      // Only the pushed types are written; a pushed type without changes (heartbeat)
+      // refreshes its score, and its document is re-pinned only if the content changed
+      const current = {
+        blackswan: {
+          score: blackswanScore,
+          analysis: blackswan,
+          scoreChanged: blackswanScoreChanged,
+          contentChanged: blackswanContentChanged,
+          lastScore: this.lastKnownBlackSwanScore,
+          lastAnalysis: this.lastKnownBlackSwanAnalysis,
+        },
+        marketPeak: {
+          score: marketPeakScore,
+          analysis: marketPeak,
+          scoreChanged: marketPeakScoreChanged,
+          contentChanged: marketPeakContentChanged,
+          lastScore: this.lastKnownMarketPeakScore,
+          lastAnalysis: this.lastKnownMarketPeakAnalysis,
+        },
+      };
+      const plan = { scores: {}, analyses: {}, writes: {}, reasons: {} };
 
-      // Upload to IPFS
-      logger.info("📤 Uploading updated analysis to IPFS...");
-      const blackSwanIPFS = await this.uploadJSONToIPFS(
-        blackSwanJSON,
-        `blackswan-analysis-${Date.now()}.json`
-      );
-      const marketPeakIPFS = await this.uploadJSONToIPFS(
-        marketPeakJSON,
-        `marketpeak-analysis-${Date.now()}.json`
-      );
+      for (const { key } of ANALYSIS_TYPES) {
+        const decision = decisions[key];
+        const data = current[key];
 
-      // Update the oracle with new scores and IPFS hashes
-      const success = await this.updateOracleScoresAndAnalysis(
-        blackswanScore,
-        marketPeakScore,
-        blackSwanIPFS,
-        marketPeakIPFS
+        plan.scores[key] = decision.push ? data.score : data.lastScore;
+        plan.analyses[key] = decision.push ? data.analysis : data.lastAnalysis;
+        plan.writes[key] = {
+          score: decision.push && (data.scoreChanged || !data.contentChanged),
+          document: decision.push && data.contentChanged,
+        };
+        plan.reasons[key] = decision.push ? decision.reason : null;
+      }
+      plan.contentOnly = Object.values(plan.reasons).every(
+        (reason) => reason === null || reason === "content"
       );
 
-      if (success) {
-        this.lastKnownBlackSwanScore = blackswanScore;
-        this.lastKnownMarketPeakScore = marketPeakScore;
-        this.lastKnownBlackSwanIPFS = blackSwanIPFS;
-        this.lastKnownMarketPeakIPFS = marketPeakIPFS;
-        this.lastKnownBlackSwanAnalysis = blackswan;
-        this.lastKnownMarketPeakAnalysis = marketPeak;
-        this.serviceStatus.lastSuccessfulUpdate = new Date();
-        this.serviceStatus.updateCount++;
-        this.serviceStatus.isHealthy = true;
-        logger.info("💾 All data updated successfully");
-      } else {
-        this.serviceStatus.errorCount++;
-        this.serviceStatus.isHealthy = false;
-        logger.warn("⚠️  Data not updated in cache due to transaction failure");
-      }
+      outcome = this.publishOutcome(await this.publishUpdate(plan));
     } catch (error) {
       this.serviceStatus.errorCount++;
       this.serviceStatus.lastError = {
@@ -946,6 +2529,143 @@ class BlackSwanOracleService {
       };
       this.serviceStatus.isHealthy = false;
       logger.error(`Error during analysis check: ${error.message}`);
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      outcome = "error";
+    } finally {
+      // A check that finished without a failure makes the service healthy;
+      // before the first one it is not
+      if (["unchanged", "held", "published"].includes(outcome)) {
+        this.serviceStatus.isHealthy = true;
+      }
+      span.setAttribute("oracle.outcome", outcome);
+      this.lastCheckOutcome = outcome;
+      this.metrics.pollCycles.observe(
+        { outcome },
+        (Date.now() - startedAt) / 1000
+      );
+      this.updateAlerts(outcome === "error");
+    }
+  }
+
+  /**
+   * Scheduler task: one update check, reported as failed when it ended in an error
+   */
+  async runScheduledCheck({ trigger, correlationId, traceParent }) {
+    await this.checkAndUpdateScores({
+      manual: trigger === "manual",
+      correlationId,
+      traceParent,
+    });
+    if (this.lastCheckOutcome === "error") {
+      throw new Error(this.serviceStatus.lastError.message);
+    }
+  }
+
+  /**
+   * Outcome of a check that published: "published", "deferred" or "failed"
+   */
+  publishOutcome(success) {
+    if (success) {
+      return "published";
+    }
+    return this.serviceStatus.deferredUpdate ? "deferred" : "failed";
+  }
+
+  /**
+   * Raise or resolve the poll failure, health and score level alerts after a check
+   */
+  updateAlerts(pollFailed) {
+    this.consecutivePollFailures = pollFailed
+      ? this.consecutivePollFailures + 1
+      : 0;
+    if (this.consecutivePollFailures >= this.alerts.options.pollFailures) {
+      this.alerts.raise("poll-failures", {
+        severity: "critical",
+        title: "Analysis checks failing",
+        message: `${this.consecutivePollFailures} consecutive checks failed, last error: ${this.serviceStatus.lastError.message}`,
+        details: { consecutiveFailures: this.consecutivePollFailures },
+      });
+    } else if (this.consecutivePollFailures === 0) {
+      this.alerts.resolve("poll-failures", "Analysis checks succeed again");
+    }
+
+    // Only alert when the service stays unhealthy, not on one bad cycle
+    if (this.serviceStatus.isHealthy) {
+      this.unhealthySince = null;
+      this.alerts.resolve("unhealthy", "Service is healthy again");
+    } else {
+      this.unhealthySince = this.unhealthySince || Date.now();
+      const unhealthyMs = Date.now() - this.unhealthySince;
+      if (unhealthyMs >= this.alerts.options.unhealthyAfterMs) {
+        this.alerts.raise("unhealthy", {
+          severity: "critical",
+          title: "Oracle service unhealthy",
+          message: `Unhealthy for ${Math.floor(unhealthyMs / 1000)}s${
+            this.serviceStatus.lastError
+              ? `, last error: ${this.serviceStatus.lastError.message}`
+              : ""
+          }`,
+          details: { unhealthySince: new Date(this.unhealthySince) },
+        });
+      }
+    }
+
+    this.alerts.checkScores({
+      blackswan: this.lastKnownBlackSwanScore,
+      marketPeak: this.lastKnownMarketPeakScore,
+    });
+  }
+
+  /**
+   * Alert while a score is rejected by the max-jump outlier guard
+   */
+  alertOutlier(type, guard) {
+    if (guard.reason === "max-jump") {
+      this.alerts.raise(`outlier-${type}`, {
+        severity: "warning",
+        title: `${type} score rejected as outlier`,
+        message: `${guard.detail} - approve with POST /outliers/${type}/approve if it is genuine`,
+        details: { type },
+      });
+    } else if (guard.accepted) {
+      this.alerts.resolve(`outlier-${type}`, `${type} score accepted`);
+    }
+  }
+
+  /**
+   * Alert on low and critical dev wallet balance
+   */
+  alertBalance(level, status) {
+    const details = {
+      totalBalanceEth: status.totalBalanceEth,
+      runwayDays: status.runway ? status.runway.days : null,
+    };
+    const runway = status.runway
+      ? `, about ${status.runway.days} days of runway`
+      : "";
+    const recovered = `Combined balance back at ${status.totalBalanceEth} ETH`;
+
+    if (level === "critical") {
+      this.alerts.raise("balance-critical", {
+        severity: "critical",
+        title: "Dev wallet balance critical",
+        message: `Combined balance ${status.totalBalanceEth} ETH is below ${status.thresholds.criticalEth} ETH${runway}`,
+        details,
+      });
+    } else {
+      this.alerts.resolve("balance-critical", recovered);
+    }
+
+    if (level === "warn") {
+      this.alerts.raise("balance-low", {
+        severity: "warning",
+        title: "Dev wallet balance low",
+        message: `Combined balance ${status.totalBalanceEth} ETH is below ${status.thresholds.warnEth} ETH${runway}`,
+        details,
+      });
+    } else if (level === "ok") {
+      this.alerts.resolve("balance-low", recovered);
     }
   }
 
@@ -956,11 +2676,9 @@ class BlackSwanOracleService {
     }
 
     this.isRunning = true;
-    const pollInterval = parseInt(process.env.POLL_INTERVAL) || 60000; // Default 1 minute
     const httpPort = parseInt(process.env.PORT) || 8080; // Default port 8080
 
     logger.info(`🚀 BlackSwan Oracle Service starting...`);
-    logger.info(`⏰ Polling interval: ${pollInterval / 1000} seconds`);
     logger.info(`🔗 API Endpoint: ${process.env.API_ENDPOINT}`);
 
     // Start Express server
@@ -975,17 +2693,45 @@ class BlackSwanOracleService {
     });
 
     this.serviceStatus.status = "running";
-    this.serviceStatus.isHealthy = true;
 
-    // Initial check
-    await this.checkAndUpdateScores();
+    // Restore last published state and unfinished updates before the first check
+    await this.hydrateState();
+    this.outbox.load();
 
-    // Set up recurring checks
-    this.intervalId = setInterval(async () => {
-      if (this.isRunning) {
-        await this.checkAndUpdateScores();
-      }
-    }, pollInterval);
+    // Periodic RPC endpoint health checks drive failover
+    this.rpcPool.start();
+
+    // Periodic dev wallet balance checks with runway estimate
+    this.balanceMonitor.start();
+
+    // Readiness checks for /health/ready
+    this.readiness.start();
+
+    // Batched OTLP trace export (disabled unless an OTLP endpoint is set)
+    this.tracer.start();
+
+    // Scheduled pin garbage collection (disabled unless PIN_GC_INTERVAL_MS is set)
+    if (this.pinRetention.options.intervalMs) {
+      this.pinGCIntervalId = setInterval(async () => {
+        if (!this.isRunning) {
+          return;
+        }
+        try {
+          await this.runPinGC();
+        } catch (error) {
+          logger.error(`Scheduled pin garbage collection failed: ${error.message}`);
+        }
+      }, this.pinRetention.options.intervalMs);
+      logger.info(
+        `🧹 Pin garbage collection every ${
+          this.pinRetention.options.intervalMs / 1000
+        } seconds`
+      );
+    }
+
+    // Monitoring runs from here on, however long the first check takes.
+    // Initial check, then one check at a time on the interval or cron schedule
+    await this.scheduler.start();
 
     logger.info("✅ Service started successfully");
   }
@@ -1000,10 +2746,19 @@ class BlackSwanOracleService {
     this.isRunning = false;
     this.serviceStatus.status = "stopping";
 
-    // Stop polling interval
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
+    // Stop scheduling checks
+    this.scheduler.stop();
+    if (this.pinGCIntervalId) {
+      clearInterval(this.pinGCIntervalId);
+    }
+    if (this.rpcPool) {
+      this.rpcPool.stop();
     }
+    if (this.balanceMonitor) {
+      this.balanceMonitor.stop();
+    }
+    this.readiness.stop();
+    this.alerts.stop();
 
     // Stop HTTP server
     if (this.httpServer) {
@@ -1015,6 +2770,9 @@ class BlackSwanOracleService {
       });
     }
 
+    // Export the spans of the last cycle before exiting
+    await this.tracer.shutdown();
+
     this.serviceStatus.status = "stopped";
     this.serviceStatus.isHealthy = false;
     logger.info("✅ Service stopped successfully");
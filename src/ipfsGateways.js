@@ -0,0 +1,127 @@
+/*
+ * BLACKSWAN ORACLE IPFS GATEWAYS
+ * ====================
+ *
+ * Ordered list of HTTP gateways (IPFS_GATEWAYS) used for the document URLs
+ * returned by the HTTP API and logs, and for reading documents back. A read tries
+ * each gateway in order and falls back to the next one on a timeout or error.
+ * Latency and error rate are tracked per gateway for /status.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const axios = require("axios");
+
+const DEFAULT_GATEWAY = "https://gateway.pinata.cloud/ipfs";
+
+// Accept "https://host", "https://host/" or "https://host/ipfs/"
+const normalizeGateway = (gateway) => {
+  const base = gateway.trim().replace(/\/+$/, "");
+  return base.endsWith("/ipfs") ? base : `${base}/ipfs`;
+};
+
+class IpfsGateways {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.gateways = (options.gateways || [DEFAULT_GATEWAY]).map(normalizeGateway);
+    this.timeoutMs = options.timeoutMs || 30000;
+
+    this.stats = {};
+    for (const gateway of this.gateways) {
+      this.stats[gateway] = {
+        requests: 0,
+        errors: 0,
+        errorRate: 0,
+        lastLatencyMs: null,
+        averageLatencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+      };
+    }
+  }
+
+  static fromEnv(logger) {
+    const gateways = (process.env.IPFS_GATEWAYS || "")
+      .split(",")
+      .map((gateway) => gateway.trim())
+      .filter(Boolean);
+
+    return new IpfsGateways(logger, {
+      gateways: gateways.length > 0 ? gateways : undefined,
+      timeoutMs: parseInt(process.env.IPFS_GATEWAY_TIMEOUT_MS) || undefined,
+    });
+  }
+
+  /**
+   * Public URL of a document on the primary gateway
+   */
+  url(ipfsURI) {
+    return ipfsURI ? `${this.gateways[0]}/${ipfsURI.replace("ipfs://", "")}` : null;
+  }
+
+  /**
+   * Read a JSON document, trying each gateway in order
+   */
+  async fetchJSON(ipfsURI) {
+    const cid = ipfsURI.replace("ipfs://", "");
+    const errors = [];
+
+    for (const gateway of this.gateways) {
+      const stats = this.stats[gateway];
+      const startedAt = Date.now();
+      stats.requests++;
+
+      try {
+        const response = await axios.get(`${gateway}/${cid}`, {
+          timeout: this.timeoutMs,
+          headers: {
+            "User-Agent": "BlackSwanOracle/1.0",
+          },
+        });
+
+        const latency = Date.now() - startedAt;
+        stats.lastLatencyMs = latency;
+        // Average over successful requests only
+        const successes = stats.requests - stats.errors;
+        stats.averageLatencyMs =
+          stats.averageLatencyMs === null
+            ? latency
+            : Math.round(
+                stats.averageLatencyMs + (latency - stats.averageLatencyMs) / successes
+              );
+        stats.lastSuccessAt = new Date();
+        stats.errorRate = stats.errors / stats.requests;
+        return response.data;
+      } catch (error) {
+        const message =
+          error.code === "ECONNABORTED"
+            ? "request timed out"
+            : error.response
+            ? `returned error ${error.response.status}`
+            : error.message;
+
+        stats.errors++;
+        stats.errorRate = stats.errors / stats.requests;
+        stats.lastError = message;
+        stats.lastErrorAt = new Date();
+        errors.push(`${gateway}: ${message}`);
+        this.logger.warn(`IPFS gateway ${gateway} failed for ${cid}: ${message}`);
+      }
+    }
+
+    throw new Error(`All IPFS gateways failed for ${cid} (${errors.join("; ")})`);
+  }
+
+  getStatus() {
+    return {
+      primary: this.gateways[0],
+      timeoutMs: this.timeoutMs,
+      gateways: this.stats,
+    };
+  }
+}
+
+module.exports = IpfsGateways;
@@ -0,0 +1,174 @@
+/*
+ * BLACKSWAN ORACLE LOGGING
+ * ====================
+ *
+ * Builds the winston logger shared by every module:
+ * - LOG_FORMAT:    pretty (emoji text, default) or json (one object per line)
+ * - LOG_LEVEL:     error, warn, info (default), verbose or debug
+ * - LOG_FILE_PATH: also write to a file, rotated once it reaches
+ *                  LOG_FILE_MAX_SIZE_MB, keeping LOG_FILE_MAX_FILES files.
+ *                  Files are written as JSON unless LOG_FILE_FORMAT=pretty.
+ *
+ * Structured fields are passed as metadata, e.g.
+ *   logger.info("✅ Update confirmed", { txHash, blockNumber, gasUsed })
+ * and rendered as key=value pairs in pretty format or as properties in JSON.
+ *
+ * Correlation: withCorrelation({ correlationId }, fn) runs fn in an async
+ * context, and every line logged inside it - by any module - carries the
+ * context's fields. Nested contexts add to the outer one (a transaction
+ * inside a poll cycle logs both IDs).
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const winston = require("winston");
+
+const FORMATS = ["pretty", "json"];
+const LEVELS = ["error", "warn", "info", "verbose", "debug"];
+
+const EMOJI = {
+  error: "❌",
+  warn: "⚠️ ",
+  info: "📊",
+  verbose: "🔍",
+  debug: "🐛",
+};
+
+// Context fields shown before the message in pretty format
+const PREFIX_FIELDS = ["correlationId", "txId"];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run fn with extra correlation fields attached to every log line it produces
+ */
+const withCorrelation = (fields, fn) =>
+  context.run({ ...(context.getStore() || {}), ...fields }, fn);
+
+const getCorrelation = () => context.getStore() || {};
+
+// e.g. "cycle-3f9a1c2e"
+const newCorrelationId = (prefix) =>
+  `${prefix}-${crypto.randomBytes(4).toString("hex")}`;
+
+// Explicit fields of a log call win over the context
+const correlation = winston.format((info) => {
+  for (const [field, value] of Object.entries(getCorrelation())) {
+    if (info[field] === undefined) {
+      info[field] = value;
+    }
+  }
+  return info;
+});
+
+const formatField = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value, (key, item) =>
+      typeof item === "bigint" ? item.toString() : item
+    );
+  }
+  return String(value);
+};
+
+const pretty = () =>
+  winston.format.combine(
+    winston.format.timestamp({ format: "YYYY-MM-DD HH:mm:ss" }),
+    winston.format.printf(({ timestamp, level, message, ...fields }) => {
+      const prefix = PREFIX_FIELDS.filter((field) => fields[field])
+        .map((field) => fields[field])
+        .join(" ");
+      const extra = Object.entries(fields)
+        .filter(
+          ([field, value]) =>
+            !PREFIX_FIELDS.includes(field) &&
+            value !== undefined &&
+            value !== null
+        )
+        .map(([field, value]) => `${field}=${formatField(value)}`)
+        .join(" ");
+
+      return `${timestamp} ${EMOJI[level] || "📝"} [${level.toUpperCase()}]${
+        prefix ? ` [${prefix}]` : ""
+      } ${message}${extra ? ` ${extra}` : ""}`;
+    })
+  );
+
+const json = () =>
+  winston.format.combine(winston.format.timestamp(), winston.format.json());
+
+const createFormat = (name) => (name === "json" ? json() : pretty());
+
+/**
+ * Create the logger; unknown formats and levels fall back to the defaults
+ */
+const createLogger = (options = {}) => {
+  const invalid = [];
+  const pick = (value, allowed, fallback, variable) => {
+    if (!value) {
+      return fallback;
+    }
+    if (!allowed.includes(value.toLowerCase())) {
+      invalid.push(
+        `Invalid ${variable} "${value}", expected ${allowed.join(", ")} - using ${fallback}`
+      );
+      return fallback;
+    }
+    return value.toLowerCase();
+  };
+
+  const format = pick(options.format, FORMATS, "pretty", "LOG_FORMAT");
+  const fileFormat = pick(options.fileFormat, FORMATS, "json", "LOG_FILE_FORMAT");
+  const level = pick(options.level, LEVELS, "info", "LOG_LEVEL");
+
+  const transports = [
+    new winston.transports.Console({ format: createFormat(format) }),
+  ];
+  if (options.filePath) {
+    fs.mkdirSync(path.dirname(options.filePath), { recursive: true });
+    transports.push(
+      new winston.transports.File({
+        filename: options.filePath,
+        format: createFormat(fileFormat),
+        maxsize: (options.maxSizeMb || 10) * 1024 * 1024,
+        maxFiles: options.maxFiles || 5,
+        // The newest lines are always in filePath, older files get numbered
+        tailable: true,
+      })
+    );
+  }
+
+  const logger = winston.createLogger({
+    level,
+    format: correlation(),
+    transports,
+  });
+  invalid.forEach((message) => logger.warn(message));
+  return logger;
+};
+
+const createLoggerFromEnv = () =>
+  createLogger({
+    format: process.env.LOG_FORMAT,
+    level: process.env.LOG_LEVEL,
+    filePath: process.env.LOG_FILE_PATH,
+    fileFormat: process.env.LOG_FILE_FORMAT,
+    maxSizeMb: parseInt(process.env.LOG_FILE_MAX_SIZE_MB) || undefined,
+    maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES) || undefined,
+  });
+
+module.exports = {
+  createLogger,
+  createLoggerFromEnv,
+  withCorrelation,
+  getCorrelation,
+  newCorrelationId,
+};
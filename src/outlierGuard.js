@@ -0,0 +1,194 @@
+/*
+ * BLACKSWAN ORACLE OUTLIER GUARD
+ * ====================
+ *
+ * Safety layer between the analysis API and the contract. A new score is only
+ * published once it has been seen in N consecutive polls and for a minimum dwell
+ * time. Jumps larger than the configured maximum are rejected until an operator
+ * approves the value through the HTTP API.
+ *
+ * Held and rejected values are kept per analysis type for /status.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const HISTORY_LIMIT = 20;
+const ANALYSIS_TYPES = ["blackswan", "marketPeak"];
+
+class OutlierGuard {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      confirmationPolls: options.confirmationPolls || 1,
+      minDwellMs: options.minDwellMs || 0,
+      maxJump:
+        options.maxJump !== undefined && options.maxJump !== null
+          ? options.maxJump
+          : null,
+    };
+    this.state = {
+      blackswan: { held: null, rejected: null, approved: null },
+      marketPeak: { held: null, rejected: null, approved: null },
+    };
+    this.events = [];
+  }
+
+  static isAnalysisType(type) {
+    return ANALYSIS_TYPES.includes(type);
+  }
+
+  static fromEnv(logger) {
+    return new OutlierGuard(logger, {
+      confirmationPolls: parseInt(process.env.SCORE_CONFIRMATION_POLLS) || 1,
+      minDwellMs: parseInt(process.env.SCORE_MIN_DWELL_MS) || 0,
+      maxJump: process.env.SCORE_MAX_JUMP
+        ? parseFloat(process.env.SCORE_MAX_JUMP)
+        : null,
+    });
+  }
+
+  /**
+   * Check a freshly fetched score against the last published one
+   * Returns { accepted, reason, detail }
+   */
+  check(type, score, publishedScore) {
+    const state = this.state[type];
+
+    // Nothing published yet, or no change - nothing to guard
+    if (publishedScore === null || publishedScore === undefined) {
+      return { accepted: true, reason: null };
+    }
+    if (score === publishedScore) {
+      state.held = null;
+      state.rejected = null;
+      return { accepted: true, reason: null };
+    }
+
+    // An operator approved exactly this value
+    if (state.approved && state.approved.score === score) {
+      this.record(type, "approved", score, publishedScore, "Operator approved");
+      state.approved = null;
+      state.held = null;
+      state.rejected = null;
+      return { accepted: true, reason: "approved" };
+    }
+
+    const jump = Math.abs(score - publishedScore);
+    if (this.options.maxJump !== null && jump > this.options.maxJump) {
+      const detail = `Jump ${publishedScore} → ${score} exceeds maximum of ${this.options.maxJump}`;
+      if (!state.rejected || state.rejected.score !== score) {
+        state.rejected = {
+          score,
+          previous: publishedScore,
+          reason: "max-jump",
+          detail,
+          firstSeenAt: new Date(),
+          seenCount: 0,
+        };
+        this.record(type, "rejected", score, publishedScore, detail);
+        this.logger.warn(`🛑 ${type} score rejected: ${detail}`);
+      }
+      state.rejected.seenCount++;
+      state.rejected.lastSeenAt = new Date();
+      state.held = null;
+      return { accepted: false, reason: "max-jump", detail };
+    }
+    state.rejected = null;
+
+    // Require the same value across N polls and the minimum dwell time
+    if (!state.held || state.held.score !== score) {
+      state.held = {
+        score,
+        previous: publishedScore,
+        firstSeenAt: new Date(),
+        seenCount: 0,
+      };
+    }
+    state.held.seenCount++;
+    state.held.lastSeenAt = new Date();
+
+    const dwellMs = Date.now() - state.held.firstSeenAt;
+    const confirmed =
+      state.held.seenCount >= this.options.confirmationPolls &&
+      dwellMs >= this.options.minDwellMs;
+
+    if (confirmed) {
+      if (state.held.seenCount > 1 || this.options.minDwellMs > 0) {
+        this.record(
+          type,
+          "confirmed",
+          score,
+          publishedScore,
+          `Seen in ${state.held.seenCount} polls over ${Math.floor(
+            dwellMs / 1000
+          )}s`
+        );
+      }
+      state.held = null;
+      return { accepted: true, reason: "confirmed" };
+    }
+
+    const detail = `Waiting for confirmation (${state.held.seenCount}/${
+      this.options.confirmationPolls
+    } polls, ${Math.floor(dwellMs / 1000)}/${Math.floor(
+      this.options.minDwellMs / 1000
+    )}s)`;
+    state.held.reason = "confirmation";
+    state.held.detail = detail;
+    this.logger.info(`⏳ ${type} score ${score} held: ${detail}`);
+    return { accepted: false, reason: "confirmation", detail };
+  }
+
+  /**
+   * Operator approval of a rejected (or any future) value for one analysis type
+   */
+  approve(type, score) {
+    // type comes from a URL, so it must never index state unchecked
+    if (!OutlierGuard.isAnalysisType(type)) {
+      throw new Error(`Unknown analysis type: ${type}`);
+    }
+    const state = this.state[type];
+
+    const approvedScore =
+      score !== undefined && score !== null
+        ? Number(score)
+        : state.rejected
+        ? state.rejected.score
+        : null;
+
+    if (approvedScore === null || Number.isNaN(approvedScore)) {
+      throw new Error(`No rejected ${type} score to approve`);
+    }
+
+    state.approved = { score: approvedScore, approvedAt: new Date() };
+    this.logger.info(`✅ Operator approved ${type} score ${approvedScore}`);
+    return state.approved;
+  }
+
+  record(type, action, score, previous, detail) {
+    this.events.push({
+      type,
+      action,
+      score,
+      previous,
+      detail,
+      timestamp: new Date(),
+    });
+    if (this.events.length > HISTORY_LIMIT) {
+      this.events.shift();
+    }
+  }
+
+  getStatus() {
+    return {
+      configuration: this.options,
+      blackswan: this.state.blackswan,
+      marketPeak: this.state.marketPeak,
+      recentEvents: this.events.slice(-10),
+    };
+  }
+}
+
+module.exports = OutlierGuard;
@@ -0,0 +1,181 @@
+/*
+ * BLACKSWAN ORACLE PIN RETENTION
+ * ====================
+ *
+ * Garbage collection for superseded analysis documents. The oracle's pins are
+ * found by name (blackswan-analysis-<ts>.json / marketpeak-analysis-<ts>.json) on
+ * every storage backend, and per analysis type a pin is kept if it is:
+ * - protected: currently on-chain or part of an unfinished outbox update
+ * - one of the PIN_RETENTION_KEEP_VERSIONS most recent versions
+ * - newer than PIN_RETENTION_MIN_AGE_MS
+ *
+ * Everything else is unpinned. plan() produces the same report without unpinning
+ * anything (dry run). Pins with other names are never touched.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const NAME_FILTER = "-analysis-";
+const DOCUMENT_NAME = /^(blackswan|marketpeak)-analysis-(\d+)\.json$/;
+
+class PinRetention {
+  constructor(contentStorage, logger, options = {}) {
+    this.contentStorage = contentStorage;
+    this.logger = logger;
+    this.options = {
+      keepVersions:
+        options.keepVersions !== undefined ? options.keepVersions : 10,
+      minAgeMs:
+        options.minAgeMs !== undefined
+          ? options.minAgeMs
+          : 7 * 24 * 60 * 60 * 1000, // 7 days
+      intervalMs: options.intervalMs || null,
+    };
+    this.running = false;
+    this.lastRun = null;
+    this.totalUnpinned = 0;
+  }
+
+  static fromEnv(contentStorage, logger) {
+    return new PinRetention(contentStorage, logger, {
+      keepVersions: process.env.PIN_RETENTION_KEEP_VERSIONS
+        ? parseInt(process.env.PIN_RETENTION_KEEP_VERSIONS)
+        : undefined,
+      minAgeMs: process.env.PIN_RETENTION_MIN_AGE_MS
+        ? parseInt(process.env.PIN_RETENTION_MIN_AGE_MS)
+        : undefined,
+      intervalMs: parseInt(process.env.PIN_GC_INTERVAL_MS) || null,
+    });
+  }
+
+  /**
+   * Decide which pins to keep and which to unpin, without changing anything
+   * protectedCIDs: CIDs that must never be unpinned (on-chain and in-flight)
+   */
+  async plan(protectedCIDs) {
+    const now = Date.now();
+    const protectedSet = new Set(
+      protectedCIDs.filter(Boolean).map((uri) => uri.replace("ipfs://", ""))
+    );
+    const listings = await this.contentStorage.listPins(NAME_FILTER);
+    const report = {
+      generatedAt: new Date(),
+      policy: this.options,
+      protected: [...protectedSet],
+      backends: {},
+      totals: { keep: 0, unpin: 0 },
+    };
+
+    for (const [backend, listing] of Object.entries(listings)) {
+      const result = { error: listing.error, keep: [], unpin: [], skipped: 0 };
+      const byType = {};
+
+      for (const pin of listing.pins) {
+        const match = pin.name ? DOCUMENT_NAME.exec(pin.name) : null;
+        if (!match) {
+          result.skipped++;
+          continue;
+        }
+        const createdAt = pin.pinnedAt
+          ? new Date(pin.pinnedAt).getTime()
+          : parseInt(match[2]);
+        (byType[match[1]] = byType[match[1]] || []).push({
+          cid: pin.cid,
+          name: pin.name,
+          type: match[1],
+          createdAt,
+        });
+      }
+
+      for (const pins of Object.values(byType)) {
+        pins.sort((a, b) => b.createdAt - a.createdAt);
+        pins.forEach((pin, index) => {
+          const entry = {
+            cid: pin.cid,
+            name: pin.name,
+            type: pin.type,
+            pinnedAt: new Date(pin.createdAt),
+          };
+          if (protectedSet.has(pin.cid)) {
+            result.keep.push({ ...entry, reason: "current" });
+          } else if (index < this.options.keepVersions) {
+            result.keep.push({ ...entry, reason: "recent-version" });
+          } else if (now - pin.createdAt < this.options.minAgeMs) {
+            result.keep.push({ ...entry, reason: "min-age" });
+          } else {
+            result.unpin.push({ ...entry, reason: "expired" });
+          }
+        });
+      }
+
+      report.backends[backend] = result;
+      report.totals.keep += result.keep.length;
+      report.totals.unpin += result.unpin.length;
+    }
+
+    return report;
+  }
+
+  /**
+   * Apply the retention policy, unpinning everything the plan marks as expired
+   */
+  async run(protectedCIDs) {
+    if (this.running) {
+      throw new Error("Pin garbage collection is already running");
+    }
+
+    this.running = true;
+    try {
+      const report = await this.plan(protectedCIDs);
+      let unpinned = 0;
+      let failed = 0;
+
+      for (const [backend, result] of Object.entries(report.backends)) {
+        for (const pin of result.unpin) {
+          try {
+            await this.contentStorage.unpin(backend, pin.cid);
+            pin.unpinned = true;
+            unpinned++;
+            this.logger.info(
+              `🗑️  Unpinned ${pin.cid} (${pin.name}, pinned ${pin.pinnedAt.toISOString()}) from ${backend}`
+            );
+          } catch (error) {
+            pin.unpinned = false;
+            pin.error = error.message;
+            failed++;
+            this.logger.error(
+              `Failed to unpin ${pin.cid} from ${backend}: ${error.message}`
+            );
+          }
+        }
+      }
+
+      this.totalUnpinned += unpinned;
+      this.lastRun = {
+        timestamp: new Date(),
+        kept: report.totals.keep,
+        unpinned,
+        failed,
+      };
+      this.logger.info(
+        `🧹 Pin garbage collection finished - kept ${report.totals.keep}, unpinned ${unpinned}, failed ${failed}`
+      );
+      return { ...report, unpinned, failed };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      policy: this.options,
+      running: this.running,
+      lastRun: this.lastRun,
+      totalUnpinned: this.totalUnpinned,
+    };
+  }
+}
+
+module.exports = PinRetention;
@@ -0,0 +1,146 @@
+/*
+ * BLACKSWAN ORACLE READINESS CHECKS
+ * ====================
+ *
+ * Runs the readiness checks every READINESS_CHECK_INTERVAL_MS and keeps the
+ * results for GET /health/ready, so probes never wait on the network.
+ *
+ * Each check is { name, run } where run() resolves with { status, detail }:
+ * - pass: fine
+ * - warn: degraded, but the service can still do its job
+ * - fail: the service cannot publish correct data right now
+ * A check that throws or takes longer than READINESS_CHECK_TIMEOUT_MS fails.
+ *
+ * The service is ready once every check has run and none of them fails.
+ * Changes in readiness are logged once.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const STATUSES = ["pass", "warn", "fail"];
+
+class ReadinessChecks {
+  constructor(logger, checks, options = {}) {
+    this.logger = logger;
+    this.checks = checks;
+    this.options = {
+      intervalMs: options.intervalMs || 30000,
+      timeoutMs: options.timeoutMs || 10000,
+      maxDataAgeMs: options.maxDataAgeMs || 90000000,
+    };
+
+    this.results = {};
+    this.ready = false;
+    this.lastCheck = null;
+    this.running = null;
+  }
+
+  static fromEnv(logger, checks) {
+    return new ReadinessChecks(logger, checks, {
+      intervalMs: parseInt(process.env.READINESS_CHECK_INTERVAL_MS) || undefined,
+      timeoutMs: parseInt(process.env.READINESS_CHECK_TIMEOUT_MS) || undefined,
+      maxDataAgeMs: parseInt(process.env.READINESS_MAX_DATA_AGE_MS) || undefined,
+    });
+  }
+
+  /**
+   * Run every check in parallel and update readiness
+   * Concurrent calls share the run that is already in progress
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.runChecks().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runChecks() {
+    const results = await Promise.all(
+      this.checks.map(async (check) => {
+        const startedAt = Date.now();
+        let result;
+        try {
+          result = await this.withTimeout(check);
+          if (!STATUSES.includes(result.status)) {
+            throw new Error(`returned unknown status "${result.status}"`);
+          }
+        } catch (error) {
+          result = { status: "fail", detail: error.message };
+        }
+        return [
+          check.name,
+          {
+            ...result,
+            durationMs: Date.now() - startedAt,
+            checkedAt: new Date(),
+          },
+        ];
+      })
+    );
+
+    const firstRun = this.lastCheck === null;
+    this.results = Object.fromEntries(results);
+    this.lastCheck = new Date();
+
+    const failing = results.filter(([, result]) => result.status === "fail");
+    const ready = failing.length === 0;
+    if (ready !== this.ready || firstRun) {
+      if (ready) {
+        this.logger.info("🚦 Service ready - all readiness checks pass");
+      } else {
+        this.logger.warn(
+          `🚦 Service not ready: ${failing
+            .map(([name, result]) => `${name} (${result.detail})`)
+            .join(", ")}`
+        );
+      }
+    }
+    this.ready = ready;
+    return this.getStatus();
+  }
+
+  withTimeout(check) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`timed out after ${this.options.timeoutMs}ms`)),
+        this.options.timeoutMs
+      );
+    });
+    return Promise.race([check.run(), timeout]).finally(() =>
+      clearTimeout(timer)
+    );
+  }
+
+  isReady() {
+    return this.ready;
+  }
+
+  start() {
+    this.run();
+    this.intervalId = setInterval(() => this.run(), this.options.intervalMs);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+    }
+  }
+
+  getStatus() {
+    return {
+      ready: this.ready,
+      status: this.ready ? "ready" : "not_ready",
+      checks: this.results,
+      lastCheck: this.lastCheck,
+      intervalMs: this.options.intervalMs,
+      maxDataAgeMs: this.options.maxDataAgeMs,
+    };
+  }
+}
+
+module.exports = ReadinessChecks;
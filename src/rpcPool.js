@@ -0,0 +1,447 @@
+/*
+ * BLACKSWAN ORACLE RPC POOL
+ * ====================
+ *
+ * Failover across several RPC endpoints (RPC_URLS, falling back to RPC_URL).
+ *
+ * - Requests go to the first healthy endpoint in configured order and fail over
+ *   to the next one on a network error, timeout or HTTP error. JSON-RPC errors
+ *   such as reverts are real answers and are returned as-is.
+ * - Reads that decide what the oracle does (eth_call, e.g. getAllData, and
+ *   eth_getTransactionReceipt) are sent to every healthy endpoint and need
+ *   RPC_READ_QUORUM matching answers. Receipts are compared on blockHash,
+ *   status, gasUsed and their logs, since endpoints order fields differently and
+ *   add their own (e.g. the L1 fee fields on Base). An endpoint that has no
+ *   receipt yet abstains; without a quorum the receipt counts as not mined.
+ * - A periodic health check records each endpoint's chain ID, block height, lag
+ *   behind the highest endpoint and recent error rate. Endpoints lagging more
+ *   than RPC_MAX_BLOCK_LAG blocks or failing are skipped until they recover, and
+ *   so are endpoints on another chain when RPC_CHAIN_ID is set. Without it the
+ *   provider uses the chain the endpoints report.
+ * - A broadcast rejected as "already known" or "nonce too low" because the
+ *   network already has that exact transaction (e.g. the endpoint that timed
+ *   out before the failover did send it) returns its hash, so the caller tracks
+ *   it instead of signing another transaction.
+ *
+ * `provider` is a regular ethers provider backed by the pool, so wallets and
+ * contracts use it unchanged.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+const axios = require("axios");
+
+const QUORUM_METHODS = ["eth_call", "eth_getTransactionReceipt"];
+const DUPLICATE_BROADCAST = /already known|known transaction|nonce too low/i;
+const ERROR_WINDOW = 50;
+
+const normalizeHex = (value) =>
+  value == null ? null : BigInt(value).toString();
+
+/**
+ * What endpoints must agree on for a quorum read
+ */
+const voteKey = (method, response) => {
+  if (response.error) {
+    return JSON.stringify({
+      error: { code: response.error.code, message: response.error.message },
+    });
+  }
+
+  const { result } = response;
+  if (method === "eth_getTransactionReceipt") {
+    const logs = (result.logs || []).map((log) => [
+      log.address.toLowerCase(),
+      log.topics.map((topic) => topic.toLowerCase()),
+      log.data.toLowerCase(),
+    ]);
+    return JSON.stringify({
+      blockHash: result.blockHash.toLowerCase(),
+      status: normalizeHex(result.status),
+      gasUsed: normalizeHex(result.gasUsed),
+      logs: ethers.id(JSON.stringify(logs)),
+    });
+  }
+  return JSON.stringify({
+    result: typeof result === "string" ? result.toLowerCase() : result,
+  });
+};
+
+/**
+ * ethers provider that hands every JSON-RPC payload to the pool
+ */
+class PooledProvider extends ethers.JsonRpcApiProvider {
+  // Without a network, ethers detects it from the endpoints
+  constructor(pool, network) {
+    super(network, { staticNetwork: network, batchMaxCount: 1 });
+    this.pool = pool;
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(requests.map((request) => this.pool.request(request)));
+  }
+}
+
+class RpcPool {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      chainId: options.chainId ? BigInt(options.chainId) : null,
+      readQuorum: options.readQuorum || 1,
+      maxBlockLag: options.maxBlockLag !== undefined ? options.maxBlockLag : 5,
+      timeoutMs: options.timeoutMs || 10000,
+      healthCheckIntervalMs: options.healthCheckIntervalMs || 30000,
+    };
+
+    const urls = options.urls || [];
+    if (urls.length === 0) {
+      throw new Error("At least one RPC endpoint must be configured");
+    }
+    if (this.options.readQuorum > urls.length) {
+      throw new Error(
+        `RPC_READ_QUORUM (${this.options.readQuorum}) exceeds the number of RPC endpoints (${urls.length})`
+      );
+    }
+
+    this.endpoints = urls.map((url, index) => ({
+      name: RpcPool.describe(url, index),
+      url,
+      healthy: true,
+      chainId: null,
+      blockNumber: null,
+      lag: null,
+      requests: 0,
+      errors: 0,
+      outcomes: [],
+      lastError: null,
+      lastErrorAt: null,
+      lastCheck: null,
+    }));
+    this.activeEndpoint = null;
+    this.failovers = 0;
+    this.quorumFailures = 0;
+    this.duplicateBroadcasts = 0;
+    this.nextId = 1;
+
+    this.provider = new PooledProvider(
+      this,
+      this.options.chainId !== null
+        ? ethers.Network.from(this.options.chainId)
+        : undefined
+    );
+  }
+
+  static fromEnv(logger) {
+    const urls = (process.env.RPC_URLS || process.env.RPC_URL || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+
+    return new RpcPool(logger, {
+      urls,
+      chainId: process.env.RPC_CHAIN_ID || undefined,
+      readQuorum: parseInt(process.env.RPC_READ_QUORUM) || undefined,
+      maxBlockLag: process.env.RPC_MAX_BLOCK_LAG
+        ? parseInt(process.env.RPC_MAX_BLOCK_LAG)
+        : undefined,
+      timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS) || undefined,
+      healthCheckIntervalMs:
+        parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS) || undefined,
+    });
+  }
+
+  // Endpoint URLs often embed API keys, so only the host is shown
+  static describe(url, index) {
+    try {
+      return `${index + 1}:${new URL(url).host}`;
+    } catch (error) {
+      return `${index + 1}:rpc`;
+    }
+  }
+
+  /**
+   * Endpoints to try, healthy ones first, in configured order
+   */
+  candidates() {
+    const healthy = this.endpoints.filter((endpoint) => endpoint.healthy);
+    const unhealthy = this.endpoints.filter((endpoint) => !endpoint.healthy);
+    return [...healthy, ...unhealthy];
+  }
+
+  async request(payload) {
+    if (
+      QUORUM_METHODS.includes(payload.method) &&
+      this.options.readQuorum > 1
+    ) {
+      return this.quorumRequest(payload);
+    }
+
+    const errors = [];
+    for (const endpoint of this.candidates()) {
+      try {
+        let response = await this.sendTo(endpoint, payload);
+        if (payload.method === "eth_sendRawTransaction" && response.error) {
+          const hash = await this.findBroadcast(endpoint, payload, response.error);
+          if (hash) {
+            response = { jsonrpc: "2.0", id: payload.id, result: hash };
+          }
+        }
+        if (this.activeEndpoint !== endpoint.name) {
+          if (this.activeEndpoint !== null) {
+            this.failovers++;
+            this.logger.warn(
+              `🔀 RPC failover: ${this.activeEndpoint} → ${endpoint.name}`
+            );
+          }
+          this.activeEndpoint = endpoint.name;
+        }
+        return response;
+      } catch (error) {
+        errors.push(`${endpoint.name}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`All RPC endpoints failed (${errors.join("; ")})`);
+  }
+
+  /**
+   * Hash of a raw transaction that was rejected only because the network
+   * already has it, or null for any other broadcast error
+   */
+  async findBroadcast(endpoint, payload, error) {
+    if (!DUPLICATE_BROADCAST.test(error.message || "")) {
+      return null;
+    }
+
+    const hash = ethers.keccak256(payload.params[0]);
+    // "already known" names this exact transaction; a used nonce may be another one
+    if (/nonce too low/i.test(error.message)) {
+      const lookup = await this.sendTo(endpoint, {
+        jsonrpc: "2.0",
+        id: this.nextId++,
+        method: "eth_getTransactionByHash",
+        params: [hash],
+      }).catch(() => null);
+      if (!lookup || !lookup.result) {
+        return null;
+      }
+    }
+
+    this.duplicateBroadcasts++;
+    this.logger.info(
+      `📡 Transaction already broadcast (${error.message}), tracking it`,
+      { txHash: hash }
+    );
+    return hash;
+  }
+
+  /**
+   * Send a read to every healthy endpoint and return the answer at least
+   * readQuorum of them agree on. A null result (e.g. no receipt yet) is an
+   * abstention: if nothing else reaches the quorum the result is null.
+   */
+  async quorumRequest(payload) {
+    const healthy = this.endpoints.filter((endpoint) => endpoint.healthy);
+    const targets =
+      healthy.length >= this.options.readQuorum ? healthy : this.endpoints;
+
+    const responses = await Promise.all(
+      targets.map((endpoint) =>
+        this.sendTo(endpoint, { ...payload, id: this.nextId++ }).catch(
+          () => null
+        )
+      )
+    );
+
+    const votes = new Map();
+    let abstentions = 0;
+    for (const response of responses.filter(Boolean)) {
+      if (!response.error && response.result === null) {
+        abstentions++;
+        continue;
+      }
+      const key = voteKey(payload.method, response);
+      const vote = votes.get(key) || { response, count: 0 };
+      vote.count++;
+      votes.set(key, vote);
+    }
+
+    const winner = [...votes.values()].sort((a, b) => b.count - a.count)[0];
+    if (!winner || winner.count < this.options.readQuorum) {
+      if (abstentions > 0) {
+        return { jsonrpc: "2.0", id: payload.id, result: null };
+      }
+      this.quorumFailures++;
+      throw new Error(
+        `RPC quorum not reached for ${payload.method}: best agreement ${
+          winner ? winner.count : 0
+        }/${targets.length}, ${this.options.readQuorum} required`
+      );
+    }
+
+    return { ...winner.response, id: payload.id };
+  }
+
+  async sendTo(endpoint, payload) {
+    endpoint.requests++;
+    try {
+      const response = await axios.post(endpoint.url, payload, {
+        timeout: this.options.timeoutMs,
+        headers: { "Content-Type": "application/json" },
+      });
+      this.recordOutcome(endpoint, true);
+      return response.data;
+    } catch (error) {
+      const message =
+        error.code === "ECONNABORTED"
+          ? "request timed out"
+          : error.response
+          ? `HTTP ${error.response.status}`
+          : error.message;
+      this.recordOutcome(endpoint, false, message);
+      if (endpoint.healthy) {
+        endpoint.healthy = false;
+        this.logger.warn(`RPC endpoint ${endpoint.name} failed: ${message}`);
+      }
+      throw new Error(message);
+    }
+  }
+
+  recordOutcome(endpoint, success, message) {
+    endpoint.outcomes.push(success);
+    if (endpoint.outcomes.length > ERROR_WINDOW) {
+      endpoint.outcomes.shift();
+    }
+    if (!success) {
+      endpoint.errors++;
+      endpoint.lastError = message;
+      endpoint.lastErrorAt = new Date();
+    }
+  }
+
+  /**
+   * Check chain ID and block height of every endpoint and update their health
+   */
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          const [chainId, blockNumber] = await Promise.all(
+            ["eth_chainId", "eth_blockNumber"].map(async (method) => {
+              const response = await this.sendTo(endpoint, {
+                jsonrpc: "2.0",
+                id: this.nextId++,
+                method,
+                params: [],
+              });
+              if (response.error) {
+                throw new Error(response.error.message);
+              }
+              return BigInt(response.result);
+            })
+          );
+          endpoint.chainId = chainId.toString();
+          endpoint.blockNumber = Number(blockNumber);
+          if (
+            this.options.chainId !== null &&
+            chainId !== this.options.chainId
+          ) {
+            throw new Error(
+              `wrong chain ID ${chainId}, expected ${this.options.chainId}`
+            );
+          }
+        } catch (error) {
+          endpoint.blockNumber = endpoint.chainId ? endpoint.blockNumber : null;
+          endpoint.lastError = error.message;
+          endpoint.lastErrorAt = new Date();
+          endpoint.unreachable = true;
+        }
+        endpoint.lastCheck = new Date();
+      })
+    );
+
+    const heights = this.endpoints
+      .filter((endpoint) => !endpoint.unreachable)
+      .map((endpoint) => endpoint.blockNumber);
+    const highest = heights.length > 0 ? Math.max(...heights) : null;
+
+    for (const endpoint of this.endpoints) {
+      const wasHealthy = endpoint.healthy;
+      if (endpoint.unreachable) {
+        endpoint.healthy = false;
+        endpoint.lag = null;
+      } else {
+        endpoint.lag = highest - endpoint.blockNumber;
+        endpoint.healthy = endpoint.lag <= this.options.maxBlockLag;
+        if (!endpoint.healthy) {
+          endpoint.lastError = `${endpoint.lag} blocks behind`;
+          endpoint.lastErrorAt = new Date();
+        }
+      }
+      delete endpoint.unreachable;
+
+      if (wasHealthy !== endpoint.healthy) {
+        if (endpoint.healthy) {
+          this.logger.info(`✅ RPC endpoint ${endpoint.name} recovered`);
+        } else {
+          this.logger.warn(
+            `RPC endpoint ${endpoint.name} unhealthy: ${endpoint.lastError}`
+          );
+        }
+      }
+    }
+
+    return this.getStatus();
+  }
+
+  start() {
+    this.checkHealth();
+    this.healthCheckIntervalId = setInterval(
+      () => this.checkHealth(),
+      this.options.healthCheckIntervalMs
+    );
+  }
+
+  stop() {
+    if (this.healthCheckIntervalId) {
+      clearInterval(this.healthCheckIntervalId);
+    }
+    this.provider.destroy();
+  }
+
+  getStatus() {
+    return {
+      activeEndpoint: this.activeEndpoint,
+      chainId:
+        this.options.chainId !== null ? this.options.chainId.toString() : null,
+      readQuorum: this.options.readQuorum,
+      maxBlockLag: this.options.maxBlockLag,
+      failovers: this.failovers,
+      quorumFailures: this.quorumFailures,
+      duplicateBroadcasts: this.duplicateBroadcasts,
+      endpoints: this.endpoints.map((endpoint) => ({
+        name: endpoint.name,
+        healthy: endpoint.healthy,
+        chainId: endpoint.chainId,
+        blockNumber: endpoint.blockNumber,
+        lag: endpoint.lag,
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        errorRate:
+          endpoint.outcomes.length > 0
+            ? endpoint.outcomes.filter((success) => !success).length /
+              endpoint.outcomes.length
+            : 0,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt,
+        lastCheck: endpoint.lastCheck,
+      })),
+    };
+  }
+}
+
+module.exports = RpcPool;
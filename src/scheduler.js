@@ -0,0 +1,341 @@
+/*
+ * BLACKSWAN ORACLE SCHEDULER
+ * ====================
+ *
+ * Runs the update check on a schedule with at most one cycle in flight:
+ * - interval: POLL_INTERVAL ms after the previous cycle finished
+ * - cron:     POLL_CRON, a five-field cron expression evaluated in UTC
+ *             (e.g. "0 * * * *" at the top of every hour), parsed by cron-parser
+ *
+ * POLL_JITTER_MS adds a random delay of up to that many ms to every scheduled
+ * run. After consecutive failed cycles the next run waits at least
+ * POLL_BACKOFF_INITIAL_MS, doubling with every further failure up to
+ * POLL_BACKOFF_MAX_MS; one successful cycle resets it.
+ *
+ * Manual triggers (POST /update) never run next to another cycle. With
+ * POLL_MANUAL_TRIGGER=queue (default) a trigger waits for the running cycle and
+ * then runs; triggers arriving while one is queued share it and resolve with
+ * the correlationId of the context it runs with. With POLL_MANUAL_TRIGGER=reject
+ * it fails with code CYCLE_IN_PROGRESS instead. A scheduled run that comes due
+ * while a manual cycle is running is skipped.
+ *
+ * exclusive(name, fn) runs other work that must not overlap a check (pin
+ * garbage collection) under the same single-cycle lock, without counting it as
+ * a check or feeding the backoff.
+ *
+ * The task reports a failed cycle by throwing.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { CronExpressionParser } = require("cron-parser");
+
+const MANUAL_TRIGGER_MODES = ["queue", "reject"];
+const HISTORY_LIMIT = 20;
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+ * or a macro such as @hourly with cron-parser
+ * Returns a function giving the first matching minute after a date, or null
+ */
+const parseCron = (expression) => {
+  const text = expression.trim();
+  if (!text.startsWith("@") && text.split(/\s+/).length !== 5) {
+    throw new Error(
+      `Invalid POLL_CRON "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`
+    );
+  }
+  try {
+    CronExpressionParser.parse(text, { tz: "UTC" });
+  } catch (error) {
+    throw new Error(`Invalid POLL_CRON "${expression}": ${error.message}`);
+  }
+
+  return (after) => {
+    try {
+      return CronExpressionParser.parse(text, { currentDate: after, tz: "UTC" })
+        .next()
+        .toDate();
+    } catch (error) {
+      return null;
+    }
+  };
+};
+
+class Scheduler {
+  constructor(logger, task, options = {}) {
+    this.logger = logger;
+    this.task = task;
+    this.options = {
+      intervalMs: options.intervalMs || 60000,
+      cron: options.cron || null,
+      jitterMs: options.jitterMs || 0,
+      backoffInitialMs: options.backoffInitialMs || 60000,
+      backoffMaxMs: options.backoffMaxMs || 900000,
+      manualTrigger: options.manualTrigger || "queue",
+    };
+
+    if (!MANUAL_TRIGGER_MODES.includes(this.options.manualTrigger)) {
+      throw new Error(
+        `Invalid POLL_MANUAL_TRIGGER "${this.options.manualTrigger}", expected ${MANUAL_TRIGGER_MODES.join(" or ")}`
+      );
+    }
+    this.nextCronRun = this.options.cron ? parseCron(this.options.cron) : null;
+    if (this.nextCronRun && !this.nextCronRun(new Date())) {
+      throw new Error(`POLL_CRON "${this.options.cron}" never matches`);
+    }
+
+    this.running = null;
+    this.current = null;
+    this.queued = null;
+    this.queuedContext = null;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.started = false;
+    this.consecutiveFailures = 0;
+    this.history = [];
+    this.counters = {
+      scheduled: 0,
+      manual: 0,
+      failed: 0,
+      skipped: 0,
+      rejected: 0,
+    };
+  }
+
+  static fromEnv(logger, task) {
+    return new Scheduler(logger, task, {
+      intervalMs: parseInt(process.env.POLL_INTERVAL) || undefined,
+      cron: process.env.POLL_CRON,
+      jitterMs: parseInt(process.env.POLL_JITTER_MS) || undefined,
+      backoffInitialMs:
+        parseInt(process.env.POLL_BACKOFF_INITIAL_MS) || undefined,
+      backoffMaxMs: parseInt(process.env.POLL_BACKOFF_MAX_MS) || undefined,
+      manualTrigger: process.env.POLL_MANUAL_TRIGGER
+        ? process.env.POLL_MANUAL_TRIGGER.toLowerCase()
+        : undefined,
+    });
+  }
+
+  get mode() {
+    return this.options.cron ? "cron" : "interval";
+  }
+
+  /**
+   * Run the first cycle now, then keep scheduling
+   */
+  async start() {
+    this.started = true;
+    this.logger.info(
+      this.options.cron
+        ? `⏰ Scheduling checks with cron "${this.options.cron}" (UTC)`
+        : `⏰ Polling interval: ${this.options.intervalMs / 1000} seconds`
+    );
+    try {
+      await this.execute("startup", {});
+    } catch (error) {
+      // Already reported by the task; the failure only feeds the backoff
+    }
+    this.scheduleNext();
+  }
+
+  stop() {
+    this.started = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Run a manual cycle, queued behind or rejected next to a running cycle
+   * Resolves with { queued, correlationId } once the cycle finished, where
+   * correlationId is that of the cycle that ran; rejects if it failed
+   */
+  async trigger(context = {}) {
+    if (!this.running) {
+      await this.execute("manual", context);
+      return { queued: false, correlationId: context.correlationId };
+    }
+
+    if (this.options.manualTrigger === "reject") {
+      this.counters.rejected++;
+      const error = new Error(
+        `An update check (${this.current.trigger}) is already running since ${this.current.startedAt.toISOString()}`
+      );
+      error.code = "CYCLE_IN_PROGRESS";
+      error.current = this.current;
+      throw error;
+    }
+
+    // One queued cycle serves every trigger that arrives while it waits
+    if (!this.queued) {
+      this.queuedContext = context;
+      this.queued = (async () => {
+        // Re-checked after every wait: exclusive work may take the lock first
+        while (this.running) {
+          await this.running.catch(() => {});
+        }
+        this.queued = null;
+        this.queuedContext = null;
+        if (!this.started) {
+          throw new Error("Service stopped before the queued update check ran");
+        }
+        return this.execute("manual", context);
+      })();
+      this.logger.info("📥 Manual update queued behind the running check");
+    }
+    const { correlationId } = this.queuedContext;
+    await this.queued;
+    return { queued: true, correlationId };
+  }
+
+  /**
+   * Run fn as the single in-flight cycle once the running one has finished
+   * Resolves or rejects with fn's result
+   */
+  async exclusive(name, fn) {
+    // Re-checked after every wait: a queued check may have taken the lock first
+    while (this.running) {
+      await this.running.catch(() => {});
+    }
+    this.current = { trigger: name, startedAt: new Date() };
+    this.running = (async () => {
+      try {
+        return await fn();
+      } finally {
+        this.running = null;
+        this.current = null;
+      }
+    })();
+    return this.running;
+  }
+
+  /**
+   * Run the task as the single in-flight cycle and record the result
+   */
+  execute(trigger, context) {
+    this.current = { trigger, startedAt: new Date() };
+    this.counters[trigger === "manual" ? "manual" : "scheduled"]++;
+
+    this.running = (async () => {
+      let error = null;
+      try {
+        await this.task({ ...context, trigger });
+        this.consecutiveFailures = 0;
+      } catch (taskError) {
+        error = taskError;
+        this.consecutiveFailures++;
+        this.counters.failed++;
+        throw taskError;
+      } finally {
+        this.record(error);
+        this.running = null;
+        this.current = null;
+      }
+    })();
+    return this.running;
+  }
+
+  record(error) {
+    const finishedAt = new Date();
+    this.history.push({
+      trigger: this.current.trigger,
+      startedAt: this.current.startedAt,
+      finishedAt,
+      durationMs: finishedAt - this.current.startedAt,
+      error: error ? error.message : null,
+    });
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+  }
+
+  scheduleNext() {
+    if (!this.started) {
+      return;
+    }
+
+    const now = new Date();
+    const backoffMs = this.getBackoffMs();
+    const earliest = new Date(now.getTime() + backoffMs);
+    const base = this.nextCronRun
+      ? this.nextCronRun(new Date(earliest.getTime() - 1))
+      : new Date(now.getTime() + Math.max(this.options.intervalMs, backoffMs));
+    const jitter = Math.floor(Math.random() * this.options.jitterMs);
+
+    this.nextRunAt = new Date(base.getTime() + jitter);
+    if (backoffMs > 0) {
+      this.logger.warn(
+        `⏳ Backing off after ${this.consecutiveFailures} failed check(s) - next check at ${this.nextRunAt.toISOString()}`
+      );
+    }
+
+    this.timer = setTimeout(
+      () => this.runScheduled(),
+      // setTimeout overflows above ~24.8 days; re-plan when it fires early
+      Math.min(this.nextRunAt - now, 2147483647)
+    );
+  }
+
+  async runScheduled() {
+    this.timer = null;
+    if (!this.started) {
+      return;
+    }
+    if (Date.now() < this.nextRunAt.getTime()) {
+      this.timer = setTimeout(
+        () => this.runScheduled(),
+        Math.min(this.nextRunAt - Date.now(), 2147483647)
+      );
+      return;
+    }
+
+    if (this.running) {
+      this.counters.skipped++;
+      this.logger.info(
+        `⏭️  Skipping scheduled check - a ${this.current.trigger} check is still running`
+      );
+    } else {
+      try {
+        await this.execute("scheduled", {});
+      } catch (error) {
+        // Already reported by the task; the failure only feeds the backoff
+      }
+    }
+    this.scheduleNext();
+  }
+
+  getBackoffMs() {
+    if (this.consecutiveFailures === 0) {
+      return 0;
+    }
+    return Math.min(
+      this.options.backoffInitialMs * 2 ** (this.consecutiveFailures - 1),
+      this.options.backoffMaxMs
+    );
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      intervalMs: this.options.cron ? null : this.options.intervalMs,
+      cron: this.options.cron,
+      timezone: this.options.cron ? "UTC" : null,
+      jitterMs: this.options.jitterMs,
+      manualTrigger: this.options.manualTrigger,
+      nextRunAt: this.nextRunAt,
+      running: this.current,
+      manualQueued: Boolean(this.queued),
+      consecutiveFailures: this.consecutiveFailures,
+      backoffMs: this.getBackoffMs(),
+      counters: this.counters,
+      recent: this.history.slice(-10),
+    };
+  }
+}
+
+module.exports = Scheduler;
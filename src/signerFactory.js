@@ -0,0 +1,129 @@
+/*
+ * BLACKSWAN ORACLE SIGNER FACTORY
+ * ====================
+ *
+ * Creates the signer for oracle transactions and document signatures, chosen with
+ * SIGNER_TYPE:
+ * - key:      raw private key in DEV_WALLET_PRIVATE_KEY (development)
+ * - keystore: encrypted JSON keystore (SIGNER_KEYSTORE_PATH) unlocked with the
+ *             passphrase stored in SIGNER_KEYSTORE_PASSWORD_FILE
+ * - remote:   external signing service speaking eth_signTransaction over JSON-RPC
+ *             (SIGNER_REMOTE_URL) for the account SIGNER_ADDRESS
+ *
+ * Several dev wallets can be configured for the wallet pool with the plural
+ * variables DEV_WALLET_PRIVATE_KEYS, SIGNER_KEYSTORE_PATHS (sharing one passphrase
+ * file) and SIGNER_ADDRESSES, comma-separated.
+ *
+ * Every signer exposes `address` synchronously, like an ethers Wallet.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const RemoteSigner = require("./signers/remoteSigner");
+
+// A pool of dev wallets is configured with the plural variable
+const LISTS = {
+  DEV_WALLET_PRIVATE_KEY: "DEV_WALLET_PRIVATE_KEYS",
+  SIGNER_KEYSTORE_PATH: "SIGNER_KEYSTORE_PATHS",
+  SIGNER_ADDRESS: "SIGNER_ADDRESSES",
+};
+
+/**
+ * Values of a signer variable: the comma-separated plural form if set,
+ * otherwise the single value
+ */
+const envList = (variable) =>
+  (process.env[LISTS[variable]] || process.env[variable] || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const SIGNERS = {
+  key: {
+    required: ["DEV_WALLET_PRIVATE_KEY"],
+    validate: () =>
+      envList("DEV_WALLET_PRIVATE_KEY").every((key) =>
+        /^[0-9a-fA-F]{64}$/.test(key)
+      )
+        ? null
+        : "Invalid private key format. Should be 64 hex characters without 0x prefix",
+    create: (provider) =>
+      envList("DEV_WALLET_PRIVATE_KEY").map(
+        (key) => new ethers.Wallet(`0x${key}`, provider)
+      ),
+  },
+  keystore: {
+    required: ["SIGNER_KEYSTORE_PATH", "SIGNER_KEYSTORE_PASSWORD_FILE"],
+    validate: () => {
+      const files = [
+        ...envList("SIGNER_KEYSTORE_PATH"),
+        process.env.SIGNER_KEYSTORE_PASSWORD_FILE,
+      ];
+      const missing = files.find((file) => !fs.existsSync(file));
+      return missing ? `Signer keystore file not found: ${missing}` : null;
+    },
+    create: (provider, logger) => {
+      // Passphrase files usually end with a newline that is not part of it
+      const passphrase = fs
+        .readFileSync(process.env.SIGNER_KEYSTORE_PASSWORD_FILE, "utf8")
+        .replace(/\r?\n$/, "");
+      return envList("SIGNER_KEYSTORE_PATH").map((keystorePath) => {
+        logger.info(`🔓 Unlocking keystore ${keystorePath}`);
+        const keystore = fs.readFileSync(keystorePath, "utf8");
+        return ethers.Wallet.fromEncryptedJsonSync(keystore, passphrase).connect(
+          provider
+        );
+      });
+    },
+  },
+  remote: {
+    required: ["SIGNER_REMOTE_URL", "SIGNER_ADDRESS"],
+    validate: () =>
+      envList("SIGNER_ADDRESS").every((address) => ethers.isAddress(address))
+        ? null
+        : "Invalid address format in SIGNER_ADDRESS",
+    create: (provider, logger) =>
+      envList("SIGNER_ADDRESS").map((address) =>
+        RemoteSigner.fromEnv(provider, logger, address)
+      ),
+  },
+};
+
+/**
+ * Signer type requested by SIGNER_TYPE (default: key)
+ */
+const configuredSignerType = () =>
+  (process.env.SIGNER_TYPE || "key").trim().toLowerCase();
+
+/**
+ * Check the configuration of the chosen signer type
+ * Returns { missing: [variables], error: message or null }
+ */
+const validateSignerConfig = (type = configuredSignerType()) => {
+  const signer = SIGNERS[type];
+  if (!signer) {
+    return {
+      missing: [],
+      error: `Unknown SIGNER_TYPE "${type}", expected: ${Object.keys(
+        SIGNERS
+      ).join(", ")}`,
+    };
+  }
+
+  const missing = signer.required.filter(
+    (variable) => envList(variable).length === 0
+  );
+  return { missing, error: missing.length > 0 ? null : signer.validate() };
+};
+
+/**
+ * Create the configured signers connected to the provider, one per dev wallet
+ */
+const createSigners = (provider, logger) =>
+  SIGNERS[configuredSignerType()].create(provider, logger);
+
+module.exports = { configuredSignerType, validateSignerConfig, createSigners };
@@ -0,0 +1,173 @@
+/*
+ * BLACKSWAN ORACLE REMOTE SIGNER
+ * ====================
+ *
+ * ethers signer whose key lives in an external signing service that speaks
+ * JSON-RPC (Web3Signer, Clef or a compatible stand-in):
+ * - eth_signTransaction: sign a transaction, returning the raw signed transaction
+ * - eth_signTypedData:   EIP-712 signatures for analysis documents
+ * - eth_sign:            plain messages
+ *
+ * The key never leaves the signing service. Every signature is recovered locally
+ * and rejected unless it belongs to the configured address.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+const axios = require("axios");
+
+const QUANTITY_FIELDS = {
+  chainId: "chainId",
+  type: "type",
+  nonce: "nonce",
+  gasLimit: "gas",
+  gasPrice: "gasPrice",
+  maxFeePerGas: "maxFeePerGas",
+  maxPriorityFeePerGas: "maxPriorityFeePerGas",
+  value: "value",
+};
+
+class RemoteSigner extends ethers.AbstractSigner {
+  constructor(address, provider, logger, options = {}) {
+    super(provider);
+    this.address = ethers.getAddress(address);
+    this.logger = logger;
+    this.options = {
+      url: options.url,
+      authorization: options.authorization || null,
+      timeoutMs: options.timeoutMs || 10000,
+    };
+    this.nextId = 1;
+  }
+
+  static fromEnv(provider, logger, address = process.env.SIGNER_ADDRESS) {
+    return new RemoteSigner(address, provider, logger, {
+      url: process.env.SIGNER_REMOTE_URL,
+      authorization: process.env.SIGNER_REMOTE_AUTHORIZATION,
+      timeoutMs: parseInt(process.env.SIGNER_REMOTE_TIMEOUT_MS) || undefined,
+    });
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.address, provider, this.logger, this.options);
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async call(method, params) {
+    let response;
+    try {
+      response = await axios.post(
+        this.options.url,
+        { jsonrpc: "2.0", id: this.nextId++, method, params },
+        {
+          timeout: this.options.timeoutMs,
+          headers: {
+            "Content-Type": "application/json",
+            ...(this.options.authorization
+              ? { Authorization: this.options.authorization }
+              : {}),
+          },
+        }
+      );
+    } catch (error) {
+      const message =
+        error.code === "ECONNABORTED"
+          ? "request timed out"
+          : error.response
+          ? `returned error ${error.response.status}`
+          : error.message;
+      throw new Error(`Remote signer ${method} failed: ${message}`);
+    }
+
+    if (response.data.error) {
+      throw new Error(
+        `Remote signer ${method} failed: ${response.data.error.message}`
+      );
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Sign a populated transaction with eth_signTransaction
+   */
+  async signTransaction(transaction) {
+    const tx = ethers.Transaction.from(transaction);
+    const request = { from: this.address.toLowerCase() };
+    for (const [field, rpcField] of Object.entries(QUANTITY_FIELDS)) {
+      if (tx[field] !== null && tx[field] !== undefined) {
+        request[rpcField] = ethers.toQuantity(tx[field]);
+      }
+    }
+    if (tx.to) {
+      request.to = tx.to.toLowerCase();
+    }
+    request.data = tx.data;
+    if (tx.type >= 1) {
+      request.accessList = tx.accessList || [];
+    }
+
+    const result = await this.call("eth_signTransaction", [request]);
+    // Web3Signer returns the raw transaction, Clef returns { raw, tx }
+    const raw = typeof result === "string" ? result : result && result.raw;
+    if (!raw) {
+      throw new Error("Remote signer returned no signed transaction");
+    }
+
+    const signed = ethers.Transaction.from(raw);
+    if (signed.from !== this.address) {
+      throw new Error(
+        `Remote signer signed as ${signed.from}, expected ${this.address}`
+      );
+    }
+    if (signed.unsignedHash !== tx.unsignedHash) {
+      throw new Error("Remote signer changed the transaction before signing");
+    }
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data =
+      typeof message === "string" ? ethers.toUtf8Bytes(message) : message;
+    const signature = await this.call("eth_sign", [
+      this.address.toLowerCase(),
+      ethers.hexlify(data),
+    ]);
+
+    if (ethers.verifyMessage(data, signature) !== this.address) {
+      throw new Error("Remote signer returned a signature for another address");
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const signature = await this.call("eth_signTypedData", [
+      this.address.toLowerCase(),
+      JSON.stringify(ethers.TypedDataEncoder.getPayload(domain, types, value)),
+    ]);
+
+    if (ethers.verifyTypedData(domain, types, value, signature) !== this.address) {
+      throw new Error("Remote signer returned a signature for another address");
+    }
+    return signature;
+  }
+
+  /**
+   * Confirm the signing service is reachable and manages the configured address
+   */
+  async checkHealth() {
+    const accounts = await this.call("eth_accounts", []);
+    const managed = (accounts || []).map((account) => ethers.getAddress(account));
+    if (!managed.includes(this.address)) {
+      throw new Error(`Remote signer does not manage ${this.address}`);
+    }
+    return `manages ${this.address}`;
+  }
+}
+
+module.exports = RemoteSigner;
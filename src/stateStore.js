@@ -0,0 +1,82 @@
+/*
+ * BLACKSWAN ORACLE STATE STORE
+ * ====================
+ *
+ * Durable local storage for the oracle's last published state (scores, IPFS URIs,
+ * cached analyses and the last transaction) so a restart does not republish
+ * data that is already on-chain.
+ *
+ * The state is kept in a single JSON file and written atomically (temp file +
+ * rename) so a crash mid-write never leaves a truncated file behind.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const STATE_VERSION = 1;
+
+class StateStore {
+  constructor(filePath, logger) {
+    this.filePath = path.resolve(filePath);
+    this.logger = logger;
+  }
+
+  /**
+   * Read the persisted state from disk
+   * Returns null if the file does not exist or cannot be parsed
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return null;
+      }
+
+      const state = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+
+      if (state.version !== STATE_VERSION) {
+        this.logger.warn(
+          `State file version ${state.version} is not supported (expected ${STATE_VERSION}), ignoring`
+        );
+        return null;
+      }
+
+      return state;
+    } catch (error) {
+      this.logger.warn(
+        `Failed to read state file ${this.filePath}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Atomically write the given state to disk
+   */
+  save(state) {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      const data = {
+        ...state,
+        version: STATE_VERSION,
+        savedAt: new Date().toISOString(),
+      };
+
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `Failed to write state file ${this.filePath}: ${error.message}`
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,272 @@
+/*
+ * BLACKSWAN ORACLE CID ENCODING
+ * ====================
+ *
+ * Minimal IPFS encoding helpers:
+ * - deterministic JSON serialization (sorted keys) so a document always has the
+ *   same bytes, and therefore the same CID, wherever it is pinned
+ * - the CID `ipfs add` produces for a small file: CIDv0 (dag-pb UnixFS node) or
+ *   CIDv1 (raw leaf, base32), matching the defaults of Kubo and Pinata
+ * - a CARv1 file containing that single block for `ipfs dag import`
+ * - isValidCID() to reject anything that is not a well-formed CIDv0 / base32
+ *   CIDv1 before it reaches a file path or a gateway URL
+ *
+ * Only single-block files (up to the default 256 KiB chunk size) are supported,
+ * which comfortably covers the analysis documents.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const crypto = require("crypto");
+
+const CHUNK_SIZE = 262144;
+const RAW_CODEC = 0x55;
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const varint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining = Math.floor(remaining / 128);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+};
+
+// Protobuf length-delimited field
+const bytesField = (fieldNumber, bytes) =>
+  Buffer.concat([Buffer.from([(fieldNumber << 3) | 2]), varint(bytes.length), bytes]);
+
+// Protobuf varint field
+const varintField = (fieldNumber, value) =>
+  Buffer.concat([Buffer.from([fieldNumber << 3]), varint(value)]);
+
+const base58btc = (bytes) => {
+  let value = BigInt(`0x${bytes.toString("hex") || "0"}`);
+  let encoded = "";
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) {
+      break;
+    }
+    encoded = `1${encoded}`;
+  }
+  return encoded;
+};
+
+// RFC 4648 base32, lowercase without padding
+const base32 = (bytes) => {
+  let encoded = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      encoded += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    encoded += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return encoded;
+};
+
+const decodeBase58btc = (text) => {
+  let value = 0n;
+  for (const character of text) {
+    const digit = BASE58_ALPHABET.indexOf(character);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+  let hex = value > 0n ? value.toString(16) : "";
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+  const zeros = text.length - text.replace(/^1+/, "").length;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, "hex")]);
+};
+
+const decodeBase32 = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const character of text) {
+    const digit = BASE32_ALPHABET.indexOf(character);
+    if (digit === -1) {
+      return null;
+    }
+    buffer = ((buffer << 5) | digit) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Returns [value, nextOffset], or null if the varint runs past the end
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  let shift = 0;
+  for (let index = offset; index < bytes.length && shift < 63; index++) {
+    value += (bytes[index] & 0x7f) * 2 ** shift;
+    if ((bytes[index] & 0x80) === 0) {
+      return [value, index + 1];
+    }
+    shift += 7;
+  }
+  return null;
+};
+
+// A multihash whose digest length matches the declared length exactly
+const isMultihash = (bytes, offset) => {
+  const code = readVarint(bytes, offset);
+  const length = code && readVarint(bytes, code[1]);
+  return Boolean(length) && length[0] > 0 && bytes.length - length[1] === length[0];
+};
+
+/**
+ * Whether a string is a well-formed CIDv0 ("Qm...") or base32 CIDv1 ("b...")
+ */
+const isValidCID = (value) => {
+  if (typeof value !== "string") {
+    return false;
+  }
+
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(value)) {
+    const bytes = decodeBase58btc(value);
+    return bytes.length === 34 && bytes[0] === 0x12 && bytes[1] === 0x20;
+  }
+
+  if (/^b[a-z2-7]{10,200}$/.test(value)) {
+    const bytes = decodeBase32(value.slice(1));
+    const version = bytes && readVarint(bytes, 0);
+    const codec = version && version[0] === 1 && readVarint(bytes, version[1]);
+    return Boolean(codec) && isMultihash(bytes, codec[1]);
+  }
+
+  return false;
+};
+
+/**
+ * Serialize JSON with object keys sorted recursively
+ * Values are otherwise encoded exactly as JSON.stringify would
+ */
+const canonicalJSON = (value) =>
+  JSON.stringify(value, (key, item) => {
+    if (item && typeof item === "object" && !Array.isArray(item)) {
+      return Object.keys(item)
+        .sort()
+        .reduce((sorted, name) => {
+          sorted[name] = item[name];
+          return sorted;
+        }, {});
+    }
+    return item;
+  });
+
+const sha256Multihash = (bytes) =>
+  Buffer.concat([
+    Buffer.from([0x12, 0x20]),
+    crypto.createHash("sha256").update(bytes).digest(),
+  ]);
+
+/**
+ * Encode file content as a dag-pb node holding a UnixFS file, as `ipfs add` does
+ * for a file that fits in one chunk
+ */
+const encodeUnixFSFile = (content) => {
+  if (content.length > CHUNK_SIZE) {
+    throw new Error(
+      `Content of ${content.length} bytes exceeds the single block limit of ${CHUNK_SIZE} bytes`
+    );
+  }
+
+  // UnixFS Data { Type = File, Data, filesize }
+  const unixfs = Buffer.concat([
+    varintField(1, 2),
+    content.length > 0 ? bytesField(2, content) : Buffer.alloc(0),
+    varintField(3, content.length),
+  ]);
+  // PBNode { Data } (no links)
+  return bytesField(1, unixfs);
+};
+
+/**
+ * Compute the CID of file content and return it with the encoded block
+ *   version 0: dag-pb UnixFS node, base58btc ("Qm...")
+ *   version 1: raw leaf, base32 ("bafkrei...")
+ */
+const computeCID = (content, version = 0) => {
+  const bytes = Buffer.from(content);
+
+  if (version === 0) {
+    const block = encodeUnixFSFile(bytes);
+    const multihash = sha256Multihash(block);
+    return { cid: base58btc(multihash), cidBytes: multihash, block };
+  }
+
+  if (version === 1) {
+    if (bytes.length > CHUNK_SIZE) {
+      throw new Error(
+        `Content of ${bytes.length} bytes exceeds the single block limit of ${CHUNK_SIZE} bytes`
+      );
+    }
+    const cidBytes = Buffer.concat([
+      varint(1),
+      varint(RAW_CODEC),
+      sha256Multihash(bytes),
+    ]);
+    return { cid: `b${base32(cidBytes)}`, cidBytes, block: bytes };
+  }
+
+  throw new Error(`Unsupported CID version: ${version}`);
+};
+
+/**
+ * Build a CARv1 file with a single root block
+ */
+const encodeCAR = (cidBytes, block) => {
+  // dag-cbor header { roots: [CID], version: 1 } - CIDs are tag 42 with a 0x00 prefix
+  const rootBytes = Buffer.concat([Buffer.from([0x00]), cidBytes]);
+  const header = Buffer.concat([
+    Buffer.from([0xa2]), // map(2)
+    Buffer.from([0x65]), // text(5)
+    Buffer.from("roots"),
+    Buffer.from([0x81]), // array(1)
+    Buffer.from([0xd8, 0x2a]), // tag(42)
+    Buffer.from([0x58, rootBytes.length]), // bytes(n)
+    rootBytes,
+    Buffer.from([0x67]), // text(7)
+    Buffer.from("version"),
+    Buffer.from([0x01]),
+  ]);
+
+  const section = Buffer.concat([cidBytes, block]);
+  return Buffer.concat([
+    varint(header.length),
+    header,
+    varint(section.length),
+    section,
+  ]);
+};
+
+module.exports = {
+  canonicalJSON,
+  computeCID,
+  encodeCAR,
+  isValidCID,
+};
@@ -0,0 +1,118 @@
+/*
+ * BLACKSWAN ORACLE FILESYSTEM STORAGE BACKEND
+ * ====================
+ *
+ * Development backend that needs no IPFS node or pinning account. Each document
+ * is written to STORAGE_FS_DIR as <cid>.json together with <cid>.car, a CARv1
+ * file that can later be imported into a real node with `ipfs dag import`.
+ * The CID is computed locally and matches what `ipfs add` would produce.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { computeCID, encodeCAR, isValidCID } = require("./cid");
+
+class FilesystemBackend {
+  constructor(logger, options = {}) {
+    this.name = "filesystem";
+    this.logger = logger;
+    this.directory = options.directory || path.join("data", "ipfs");
+  }
+
+  static fromEnv(logger) {
+    return new FilesystemBackend(logger, {
+      directory: process.env.STORAGE_FS_DIR,
+    });
+  }
+
+  /**
+   * Write the document and its CAR file, returning the computed CID
+   */
+  async pin(content, fileName, { cidVersion = 0 } = {}) {
+    const { cid, cidBytes, block } = computeCID(content, cidVersion);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(path.join(this.directory, `${cid}.json`), content);
+    await fs.promises.writeFile(
+      path.join(this.directory, `${cid}.car`),
+      encodeCAR(cidBytes, block)
+    );
+    return cid;
+  }
+
+  /**
+   * List stored documents; names come from the pin registry
+   */
+  async listPins() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const pins = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      const stats = await fs.promises.stat(path.join(this.directory, file));
+      pins.push({
+        cid: file.slice(0, -".json".length),
+        name: null,
+        pinnedAt: stats.mtime,
+      });
+    }
+    return pins;
+  }
+
+  // CIDs become file names, so anything else must never reach path.join
+  assertCID(cid) {
+    if (!isValidCID(cid)) {
+      throw new Error(`Invalid CID "${cid}"`);
+    }
+  }
+
+  async isPinned(cid) {
+    this.assertCID(cid);
+    try {
+      await fs.promises.access(path.join(this.directory, `${cid}.json`));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async unpin(cid) {
+    this.assertCID(cid);
+    for (const extension of [".json", ".car"]) {
+      await fs.promises.rm(path.join(this.directory, `${cid}${extension}`), {
+        force: true,
+      });
+    }
+  }
+
+  async fetchJSON(cid) {
+    this.assertCID(cid);
+    const content = await fs.promises.readFile(
+      path.join(this.directory, `${cid}.json`),
+      "utf8"
+    );
+    return JSON.parse(content);
+  }
+
+  async checkHealth() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.access(this.directory, fs.constants.W_OK);
+    return `writable directory ${path.resolve(this.directory)}`;
+  }
+}
+
+module.exports = FilesystemBackend;
@@ -0,0 +1,120 @@
+/*
+ * BLACKSWAN ORACLE KUBO STORAGE BACKEND
+ * ====================
+ *
+ * Pins analysis documents on an IPFS Kubo node through its HTTP RPC API
+ * (/api/v0/add with pin=true). Documents can also be read back from the node.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const axios = require("axios");
+const FormData = require("form-data");
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+class KuboBackend {
+  constructor(logger, options = {}) {
+    this.name = "kubo";
+    this.logger = logger;
+    this.apiUrl = (options.apiUrl || "http://127.0.0.1:5001").replace(/\/$/, "");
+    this.headers = options.authorization
+      ? { Authorization: options.authorization }
+      : {};
+  }
+
+  static fromEnv(logger) {
+    return new KuboBackend(logger, {
+      apiUrl: process.env.KUBO_API_URL,
+      authorization: process.env.KUBO_API_AUTHORIZATION,
+    });
+  }
+
+  /**
+   * Add and pin the document and return the CID reported by the node
+   */
+  async pin(content, fileName, { cidVersion = 0 } = {}) {
+    const form = new FormData();
+    form.append("file", content, {
+      filename: fileName,
+      contentType: "application/json",
+    });
+
+    const response = await axios.post(`${this.apiUrl}/api/v0/add`, form, {
+      params: { pin: true, "cid-version": cidVersion },
+      headers: { ...form.getHeaders(), ...this.headers },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+    });
+    return response.data.Hash;
+  }
+
+  /**
+   * List recursive pins on the node. Kubo keeps no names or dates, so these are
+   * filled in from the pin registry by the caller.
+   */
+  async listPins() {
+    const response = await axios.post(`${this.apiUrl}/api/v0/pin/ls`, null, {
+      params: { type: "recursive" },
+      headers: this.headers,
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return Object.keys(response.data.Keys || {}).map((cid) => ({
+      cid,
+      name: null,
+      pinnedAt: null,
+    }));
+  }
+
+  /**
+   * Whether the node holds a recursive pin for the CID
+   */
+  async isPinned(cid) {
+    try {
+      const response = await axios.post(`${this.apiUrl}/api/v0/pin/ls`, null, {
+        params: { arg: cid, type: "recursive" },
+        headers: this.headers,
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+      return Boolean(response.data.Keys && response.data.Keys[cid]);
+    } catch (error) {
+      // Kubo answers an unpinned CID with an error instead of an empty list
+      const message =
+        error.response && error.response.data && error.response.data.Message;
+      if (message && /not pinned/i.test(message)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async unpin(cid) {
+    await axios.post(`${this.apiUrl}/api/v0/pin/rm`, null, {
+      params: { arg: cid },
+      headers: this.headers,
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+  }
+
+  async fetchJSON(cid) {
+    const response = await axios.post(`${this.apiUrl}/api/v0/cat`, null, {
+      params: { arg: cid },
+      headers: this.headers,
+      timeout: REQUEST_TIMEOUT_MS,
+      responseType: "json",
+    });
+    return response.data;
+  }
+
+  async checkHealth() {
+    const response = await axios.post(`${this.apiUrl}/api/v0/version`, null, {
+      headers: this.headers,
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    return `Kubo ${response.data.Version}`;
+  }
+}
+
+module.exports = KuboBackend;
@@ -0,0 +1,99 @@
+/*
+ * BLACKSWAN ORACLE PINATA STORAGE BACKEND
+ * ====================
+ *
+ * Pins analysis documents through the Pinata pinning service.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { Readable } = require("stream");
+const pinataSDK = require("@pinata/sdk");
+
+const PAGE_LIMIT = 1000;
+
+class PinataBackend {
+  constructor(logger, options = {}) {
+    this.name = "pinata";
+    this.logger = logger;
+    this.pinata = new pinataSDK(options.apiKey, options.secretApiKey);
+  }
+
+  static fromEnv(logger) {
+    return new PinataBackend(logger, {
+      apiKey: process.env.PINATA_API_KEY,
+      secretApiKey: process.env.PINATA_SECRET_API_KEY,
+    });
+  }
+
+  /**
+   * Pin the document and return the CID reported by Pinata
+   * The exact bytes are uploaded as a file so Pinata cannot re-serialize them
+   */
+  async pin(content, fileName, { cidVersion = 0 } = {}) {
+    const result = await this.pinata.pinFileToIPFS(Readable.from([content]), {
+      pinataMetadata: {
+        name: fileName,
+      },
+      pinataOptions: {
+        cidVersion,
+      },
+    });
+    return result.IpfsHash;
+  }
+
+  /**
+   * List pinned documents whose name contains `nameFilter`
+   * Returns [{ cid, name, pinnedAt }]
+   */
+  async listPins(nameFilter) {
+    const pins = [];
+    for (let offset = 0; ; offset += PAGE_LIMIT) {
+      const filters = {
+        status: "pinned",
+        pageLimit: PAGE_LIMIT,
+        metadata: { name: nameFilter },
+      };
+      if (offset > 0) {
+        filters.pageOffset = offset;
+      }
+
+      const result = await this.pinata.pinList(filters);
+      for (const row of result.rows) {
+        pins.push({
+          cid: row.ipfs_pin_hash,
+          name: row.metadata ? row.metadata.name : null,
+          pinnedAt: new Date(row.date_pinned),
+        });
+      }
+      if (result.rows.length < PAGE_LIMIT) {
+        return pins;
+      }
+    }
+  }
+
+  /**
+   * Whether Pinata currently holds a pin for the CID
+   */
+  async isPinned(cid) {
+    // hashContains matches substrings, so the hash is compared exactly
+    const result = await this.pinata.pinList({
+      status: "pinned",
+      hashContains: cid,
+    });
+    return result.rows.some((row) => row.ipfs_pin_hash === cid);
+  }
+
+  async unpin(cid) {
+    await this.pinata.unpin(cid);
+  }
+
+  async checkHealth() {
+    await this.pinata.testAuthentication();
+    return "authenticated";
+  }
+}
+
+module.exports = PinataBackend;
@@ -0,0 +1,264 @@
+/*
+ * BLACKSWAN ORACLE TRACING
+ * ====================
+ *
+ * OpenTelemetry tracing with the Node SDK, exporting spans over OTLP/HTTP
+ * (JSON encoding) to a collector:
+ * - OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: full URL, e.g. http://localhost:4318/v1/traces
+ * - OTEL_EXPORTER_OTLP_ENDPOINT:        base URL, /v1/traces is appended
+ * Tracing is disabled unless one of them is set (or OTEL_SDK_DISABLED=true);
+ * the @opentelemetry/api calls are then no-ops.
+ *
+ * startActiveSpan(name, options, fn) runs fn(span) with the span as the active
+ * span, so spans started inside it - in any module - become its children. The
+ * span ends when fn settles and is marked as an error if fn throws. Spans are
+ * regular @opentelemetry/api spans.
+ *
+ * Trace context crosses process boundaries as a W3C traceparent header:
+ * injectHeaders() adds it to outbound requests, extract() reads it from an
+ * incoming one.
+ *
+ * Finished spans go through the SDK's batch span processor (OTEL_BSP_* settings)
+ * and OTEL_EXPORTER_OTLP_HEADERS is read by the exporter. Export failures are
+ * logged and counted, never thrown.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const {
+  context,
+  diag,
+  propagation,
+  trace,
+  DiagLogLevel,
+  INVALID_SPAN_CONTEXT,
+  ROOT_CONTEXT,
+  SpanKind,
+  SpanStatusCode,
+} = require("@opentelemetry/api");
+const { ExportResultCode } = require("@opentelemetry/core");
+const { resourceFromAttributes } = require("@opentelemetry/resources");
+const { BatchSpanProcessor } = require("@opentelemetry/sdk-trace-base");
+const { NodeTracerProvider } = require("@opentelemetry/sdk-trace-node");
+const {
+  OTLPTraceExporter,
+} = require("@opentelemetry/exporter-trace-otlp-http");
+const { version } = require("../package.json");
+
+const SPAN_KINDS = {
+  internal: SpanKind.INTERNAL,
+  server: SpanKind.SERVER,
+  client: SpanKind.CLIENT,
+};
+
+// Returned by activeSpan() outside of any span, so callers never need to check
+const NOOP_SPAN = trace.wrapSpanContext(INVALID_SPAN_CONTEXT);
+
+/**
+ * Exporter wrapper that keeps the export counters and logs failures
+ */
+class CountingExporter {
+  constructor(tracer, exporter) {
+    this.tracer = tracer;
+    this.exporter = exporter;
+  }
+
+  export(spans, resultCallback) {
+    this.exporter.export(spans, (result) => {
+      this.tracer.recordExport(spans.length, result);
+      resultCallback(result);
+    });
+  }
+
+  shutdown() {
+    return this.exporter.shutdown();
+  }
+
+  forceFlush() {
+    return this.exporter.forceFlush();
+  }
+}
+
+class Tracer {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      endpoint: options.endpoint || null,
+      serviceName: options.serviceName || "blackswan-oracle",
+    };
+    this.counters = { started: 0, exported: 0, failed: 0 };
+    this.lastExport = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+
+    // Spans of the startup check are recorded, so the SDK is set up right away
+    if (this.enabled) {
+      this.provider = new NodeTracerProvider({
+        resource: resourceFromAttributes({
+          "service.name": this.options.serviceName,
+          "service.version": version,
+        }),
+        spanProcessors: [
+          new BatchSpanProcessor(
+            new CountingExporter(
+              this,
+              new OTLPTraceExporter({ url: this.options.endpoint })
+            )
+          ),
+        ],
+      });
+      // Installs the AsyncLocalStorage context manager and W3C propagator
+      this.provider.register();
+      diag.setLogger(
+        {
+          error: (message) => this.logger.warn(`OpenTelemetry: ${message}`),
+          warn: (message) => this.logger.warn(`OpenTelemetry: ${message}`),
+          info: () => {},
+          debug: () => {},
+          verbose: () => {},
+        },
+        DiagLogLevel.WARN
+      );
+    }
+    this.tracer = trace.getTracer("blackswan-oracle", version);
+  }
+
+  static fromEnv(logger) {
+    const disabled = process.env.OTEL_SDK_DISABLED === "true";
+    const endpoint =
+      process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+      (process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+        ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, "")}/v1/traces`
+        : null);
+
+    const protocol = process.env.OTEL_EXPORTER_OTLP_PROTOCOL;
+    if (endpoint && !disabled && protocol && protocol !== "http/json") {
+      logger.warn(
+        `OTEL_EXPORTER_OTLP_PROTOCOL "${protocol}" is not supported - exporting with http/json`
+      );
+    }
+
+    return new Tracer(logger, {
+      endpoint: disabled ? null : endpoint,
+      serviceName: process.env.OTEL_SERVICE_NAME,
+    });
+  }
+
+  get enabled() {
+    return Boolean(this.options.endpoint);
+  }
+
+  /**
+   * Run fn(span) inside a new span and end it when fn settles
+   * options: { kind: "internal" | "client" | "server", attributes, parent }
+   * parent defaults to the active context; pass extract(headers) for a remote parent
+   */
+  startActiveSpan(name, options, fn) {
+    this.counters.started++;
+    return this.tracer.startActiveSpan(
+      name,
+      {
+        kind: SPAN_KINDS[options.kind] || SpanKind.INTERNAL,
+        attributes: options.attributes,
+      },
+      options.parent || context.active(),
+      async (span) => {
+        try {
+          return await fn(span);
+        } catch (error) {
+          // Keep a status set on purpose by fn (e.g. a deferral that is not a failure)
+          if (!span.status || span.status.code === SpanStatusCode.UNSET) {
+            span.recordException(error);
+            span.setStatus({
+              code: SpanStatusCode.ERROR,
+              message: error.message,
+            });
+          }
+          throw error;
+        } finally {
+          span.end();
+        }
+      }
+    );
+  }
+
+  activeSpan() {
+    return trace.getActiveSpan() || NOOP_SPAN;
+  }
+
+  /**
+   * Add the traceparent header of the active span to outbound request headers
+   */
+  injectHeaders(headers = {}) {
+    const carrier = { ...headers };
+    propagation.inject(context.active(), carrier);
+    return carrier;
+  }
+
+  /**
+   * Parent context from an incoming traceparent header, or null
+   */
+  extract(headers = {}) {
+    const parent = propagation.extract(ROOT_CONTEXT, headers);
+    return trace.getSpanContext(parent) ? parent : null;
+  }
+
+  recordExport(count, result) {
+    if (result.code === ExportResultCode.SUCCESS) {
+      this.counters.exported += count;
+      this.lastExport = new Date();
+      if (this.lastError) {
+        this.logger.info("🛰️  Trace export recovered");
+        this.lastError = null;
+      }
+      return;
+    }
+
+    const message = result.error ? result.error.message : "export failed";
+    this.counters.failed += count;
+    // The collector is retried on every batch, so only changes are logged
+    if (message !== this.lastError) {
+      this.logger.warn(
+        `Trace export to ${this.options.endpoint} failed: ${message}`
+      );
+    }
+    this.lastError = message;
+    this.lastErrorAt = new Date();
+  }
+
+  start() {
+    if (this.enabled) {
+      this.logger.info(`🛰️  Exporting traces to ${this.options.endpoint}`);
+    }
+  }
+
+  /**
+   * Export the remaining spans and stop the SDK
+   */
+  async shutdown() {
+    if (!this.provider) {
+      return;
+    }
+    try {
+      await this.provider.shutdown();
+    } catch (error) {
+      this.logger.warn(`Trace export on shutdown failed: ${error.message}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      endpoint: this.options.endpoint,
+      serviceName: this.options.serviceName,
+      counters: this.counters,
+      lastExport: this.lastExport,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+    };
+  }
+}
+
+module.exports = Tracer;
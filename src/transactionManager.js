@@ -0,0 +1,578 @@
+/*
+ * BLACKSWAN ORACLE TRANSACTION MANAGER
+ * ====================
+ *
+ * Sends oracle transactions and sees them through to confirmation:
+ * - Tracks the local nonce so consecutive sends never collide
+ * - Waits for a configurable number of confirmations with a hard timeout
+ * - Replaces stuck or underpriced transactions by re-sending the same nonce
+ *   with bumped fees
+ * - Detects when an earlier (replaced) transaction was the one that got mined
+ * - Cancels a stuck nonce with a zero-value transfer to itself, so the stuck
+ *   transaction can no longer be mined before the update is sent elsewhere
+ * - Runs every fee-bumped replacement and cancellation through the optional
+ *   checkReplacement(request, { label }) hook (the gas budget) before sending
+ *
+ * Every pending transaction is finalized once, and only after the configured
+ * number of confirmations, whichever path (send, resume or checkPending) sees
+ * its receipt first. The hashes of finalized transactions are remembered, so a
+ * later resume of the same hashes returns the receipt without reporting it
+ * again.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+
+const HISTORY_LIMIT = 20;
+// Hashes of finalized transactions kept to recognize them on resume
+const FINALIZED_HASH_LIMIT = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class TransactionManager {
+  constructor(signer, provider, logger, options = {}) {
+    this.signer = signer;
+    this.provider = provider;
+    this.logger = logger;
+    this.options = {
+      confirmations: options.confirmations || 1,
+      confirmationTimeoutMs: options.confirmationTimeoutMs || 180000,
+      stuckTimeoutMs: options.stuckTimeoutMs || 60000,
+      pollIntervalMs: options.pollIntervalMs || 3000,
+      maxReplacements:
+        options.maxReplacements !== undefined ? options.maxReplacements : 3,
+      feeBumpPercent: options.feeBumpPercent || 15,
+      capFees: options.capFees || null,
+      checkReplacement: options.checkReplacement || null,
+      onReceipt: options.onReceipt || null,
+    };
+    this.nextNonce = null;
+    this.pending = null;
+    this.lastResult = null;
+    this.history = [];
+    this.finalizedHashes = new Set();
+    this.counters = {
+      sent: 0,
+      replaced: 0,
+      confirmed: 0,
+      reverted: 0,
+      timedOut: 0,
+      cancelled: 0,
+    };
+  }
+
+  static fromEnv(
+    signer,
+    provider,
+    logger,
+    { capFees, checkReplacement, onReceipt } = {}
+  ) {
+    return new TransactionManager(signer, provider, logger, {
+      confirmations: parseInt(process.env.TX_CONFIRMATIONS) || undefined,
+      confirmationTimeoutMs:
+        parseInt(process.env.TX_CONFIRMATION_TIMEOUT_MS) || undefined,
+      stuckTimeoutMs: parseInt(process.env.TX_STUCK_TIMEOUT_MS) || undefined,
+      pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS) || undefined,
+      maxReplacements: process.env.TX_MAX_REPLACEMENTS
+        ? parseInt(process.env.TX_MAX_REPLACEMENTS)
+        : undefined,
+      feeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT) || undefined,
+      capFees,
+      checkReplacement,
+      onReceipt,
+    });
+  }
+
+  /**
+   * Next nonce to use: the higher of the node's pending count and our local counter
+   */
+  async getNextNonce() {
+    const address = await this.signer.getAddress();
+    const chainNonce = await this.provider.getTransactionCount(
+      address,
+      "pending"
+    );
+
+    if (this.nextNonce === null || chainNonce > this.nextNonce) {
+      this.nextNonce = chainNonce;
+    }
+    return this.nextNonce;
+  }
+
+  resetNonce() {
+    this.nextNonce = null;
+  }
+
+  /**
+   * Send a populated transaction request and wait until it is confirmed
+   * onSent(tx) is called for the original broadcast and every replacement
+   * Resolves with the receipt (status 0 for a revert), throws on timeout
+   */
+  async send(txRequest, { label = "transaction", onSent = null } = {}) {
+    if (this.pending) {
+      throw new Error(
+        `Transaction ${this.pending.hashes.at(-1)} (nonce ${this.pending.nonce}) is still pending`
+      );
+    }
+
+    let tx;
+    try {
+      const nonce = await this.getNextNonce();
+      tx = await this.signer.sendTransaction({ ...txRequest, nonce });
+    } catch (error) {
+      if (!this.isNonceError(error)) {
+        throw error;
+      }
+
+      // Our local nonce is out of sync with the chain - resync and try once more
+      this.logger.warn(`Nonce conflict sending ${label}, resyncing nonce`);
+      this.resetNonce();
+      const nonce = await this.getNextNonce();
+      tx = await this.signer.sendTransaction({ ...txRequest, nonce });
+    }
+
+    this.nextNonce = tx.nonce + 1;
+    this.counters.sent++;
+
+    const now = Date.now();
+    this.pending = {
+      label,
+      nonce: tx.nonce,
+      request: this.toRequest(tx),
+      hashes: [tx.hash],
+      replacements: 0,
+      firstSentAt: now,
+      lastSentAt: now,
+      onSent,
+    };
+
+    this.logger.info(`⏳ ${label} sent`, { txHash: tx.hash, nonce: tx.nonce });
+    if (onSent) {
+      onSent(tx);
+    }
+
+    return this.waitForPending();
+  }
+
+  /**
+   * Resume monitoring transactions sent before a restart
+   * Returns null if none of the hashes were mined and none is known to the node
+   */
+  async resume(hashes, { label = "transaction", onSent = null } = {}) {
+    const receipt = await this.findReceipt(hashes);
+    // Already settled by checkPending (e.g. after a timeout) - nothing to report
+    if (receipt && this.finalizedHashes.has(receipt.hash)) {
+      return receipt;
+    }
+    if (receipt && (await this.isConfirmed(receipt))) {
+      return this.finalize(
+        { label, nonce: null, hashes, replacements: hashes.length - 1 },
+        receipt
+      );
+    }
+
+    let tx = null;
+    for (const hash of [...hashes].reverse()) {
+      tx = await this.provider.getTransaction(hash);
+      if (tx) {
+        break;
+      }
+    }
+
+    if (!tx) {
+      return null;
+    }
+
+    const now = Date.now();
+    this.pending = {
+      label,
+      nonce: tx.nonce,
+      request: this.toRequest(tx),
+      hashes: [...hashes],
+      replacements: hashes.length - 1,
+      firstSentAt: now,
+      lastSentAt: now,
+      resumed: true,
+      onSent,
+    };
+    this.logger.info(`⏳ Resuming ${label} - still pending`, {
+      txHash: tx.hash,
+      nonce: tx.nonce,
+    });
+
+    return this.waitForPending();
+  }
+
+  /**
+   * Settle a pending transaction that timed out earlier, without waiting
+   * Returns the receipt once one of its hashes was mined, otherwise null
+   */
+  async checkPending() {
+    const pending = this.pending;
+    if (!pending) {
+      return null;
+    }
+    const receipt = await this.findReceipt(pending.hashes);
+    if (!receipt || !(await this.isConfirmed(receipt))) {
+      return null;
+    }
+    return this.finalize(pending, receipt);
+  }
+
+  async isConfirmed(receipt) {
+    return (await receipt.confirmations()) >= this.options.confirmations;
+  }
+
+  async waitForPending() {
+    const pending = this.pending;
+    const deadline = pending.firstSentAt + this.options.confirmationTimeoutMs;
+
+    while (Date.now() < deadline) {
+      const receipt = await this.findReceipt(pending.hashes);
+
+      if (receipt) {
+        if (await this.isConfirmed(receipt)) {
+          return this.finalize(pending, receipt);
+        }
+      } else if (
+        Date.now() - pending.lastSentAt >= this.options.stuckTimeoutMs &&
+        pending.replacements < this.options.maxReplacements
+      ) {
+        await this.replace(pending);
+      }
+
+      await sleep(this.options.pollIntervalMs);
+    }
+
+    this.counters.timedOut++;
+    this.recordResult(pending, "timeout", null);
+
+    const error = new Error(
+      `${pending.label} not confirmed within ${
+        this.options.confirmationTimeoutMs / 1000
+      }s (nonce ${pending.nonce}, hashes: ${pending.hashes.join(", ")})`
+    );
+    error.code = "TX_TIMEOUT";
+    throw error;
+  }
+
+  /**
+   * Re-send the pending nonce with bumped fees
+   */
+  async replace(pending) {
+    const bumped = this.bumpFees(pending.request);
+
+    if (!this.isFeeIncrease(pending.request, bumped)) {
+      // Already at the configured fee ceiling - keep waiting instead
+      pending.lastSentAt = Date.now();
+      this.logger.warn(
+        `${pending.label} (nonce ${pending.nonce}) is stuck but fees are at the configured ceiling`
+      );
+      return;
+    }
+
+    try {
+      if (this.options.checkReplacement) {
+        await this.options.checkReplacement(bumped, {
+          label: `${pending.label} replacement`,
+        });
+      }
+      const tx = await this.signer.sendTransaction(bumped);
+      pending.request = bumped;
+      pending.hashes.push(tx.hash);
+      pending.replacements++;
+      pending.lastSentAt = Date.now();
+      this.counters.replaced++;
+
+      this.logger.warn(`🔁 Replaced stuck ${pending.label}`, {
+        txHash: tx.hash,
+        nonce: pending.nonce,
+        replacements: pending.replacements,
+      });
+      this.logFees(bumped);
+
+      if (pending.onSent) {
+        pending.onSent(tx);
+      }
+    } catch (error) {
+      if (error.code === "BUDGET_DEFERRED") {
+        // Keep waiting on the current fees and check the budget again later
+        pending.lastSentAt = Date.now();
+      } else if (this.isNonceError(error)) {
+        // The nonce was consumed in the meantime - one of our hashes should have a receipt
+        this.logger.info(
+          `Nonce ${pending.nonce} already used, waiting for the mined transaction`
+        );
+      } else if (this.isUnderpricedError(error)) {
+        // Keep the bumped fees so the next attempt bumps again from there
+        pending.request = bumped;
+        pending.lastSentAt = Date.now();
+        this.logger.warn(
+          `Replacement for nonce ${pending.nonce} underpriced, will bump again`
+        );
+      } else {
+        this.logger.error(
+          `Failed to replace ${pending.label} (nonce ${pending.nonce}): ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Replace a stuck transaction with a zero-value transfer to ourselves at the
+   * same nonce and bumped fees. Resolves with the cancellation transaction, or
+   * null if none of the hashes is known to the node any more (nothing to cancel).
+   * Throws if the fees are already at the configured ceiling or the gas budget
+   * does not allow the cancellation (BUDGET_DEFERRED).
+   */
+  async cancel(hashes, { label = "transaction" } = {}) {
+    let tx = null;
+    for (const hash of [...hashes].reverse()) {
+      tx = await this.provider.getTransaction(hash);
+      if (tx) {
+        break;
+      }
+    }
+    if (!tx) {
+      return null;
+    }
+
+    const previous = this.toRequest(tx);
+    const bumped = this.bumpFees(previous);
+    if (!this.isFeeIncrease(previous, bumped)) {
+      throw new Error(
+        `Cannot cancel ${label} (nonce ${tx.nonce}): fees are at the configured ceiling`
+      );
+    }
+
+    const address = await this.signer.getAddress();
+    const request = {
+      ...bumped,
+      to: address,
+      data: "0x",
+      value: 0n,
+      gasLimit: 21000n,
+    };
+    if (this.options.checkReplacement) {
+      await this.options.checkReplacement(request, {
+        label: `${label} cancellation`,
+      });
+    }
+    const cancellation = await this.signer.sendTransaction(request);
+    this.counters.cancelled++;
+
+    // Waiting on the pending nonce now also watches for the cancellation
+    if (this.pending && this.pending.nonce === tx.nonce) {
+      this.pending.hashes.push(cancellation.hash);
+      this.pending.request = bumped;
+      this.pending.lastSentAt = Date.now();
+    }
+
+    this.logger.warn(`🚫 Cancelling stuck ${label}`, {
+      txHash: cancellation.hash,
+      cancelledHash: tx.hash,
+      nonce: tx.nonce,
+    });
+    this.logFees(bumped);
+    return cancellation;
+  }
+
+  bumpFees(request) {
+    const bump = (value) =>
+      (BigInt(value) * BigInt(100 + this.options.feeBumpPercent)) / 100n + 1n;
+    let fees = {};
+
+    if (request.maxFeePerGas != null) {
+      fees = {
+        maxFeePerGas: bump(request.maxFeePerGas),
+        maxPriorityFeePerGas: bump(request.maxPriorityFeePerGas),
+      };
+    } else if (request.gasPrice != null) {
+      fees = { gasPrice: bump(request.gasPrice) };
+    }
+
+    if (this.options.capFees) {
+      fees = this.options.capFees(fees);
+    }
+
+    return { ...request, ...fees };
+  }
+
+  isFeeIncrease(previous, next) {
+    if (previous.maxFeePerGas != null) {
+      return (
+        BigInt(next.maxFeePerGas) > BigInt(previous.maxFeePerGas) &&
+        BigInt(next.maxPriorityFeePerGas) >
+          BigInt(previous.maxPriorityFeePerGas)
+      );
+    }
+    if (previous.gasPrice != null) {
+      return BigInt(next.gasPrice) > BigInt(previous.gasPrice);
+    }
+    return false;
+  }
+
+  async findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  finalize(pending, receipt) {
+    // send(), checkPending() and resume() can all see the receipt of the same
+    // transaction
+    if (pending.finalized || this.finalizedHashes.has(receipt.hash)) {
+      return receipt;
+    }
+    pending.finalized = true;
+    for (const hash of [...pending.hashes, receipt.hash]) {
+      this.finalizedHashes.add(hash);
+    }
+    // Sets iterate in insertion order, so the oldest hashes go first
+    for (const hash of this.finalizedHashes) {
+      if (this.finalizedHashes.size <= FINALIZED_HASH_LIMIT) {
+        break;
+      }
+      this.finalizedHashes.delete(hash);
+    }
+
+    const latestHash = pending.hashes.at(-1);
+    const replaced = receipt.hash !== latestHash;
+
+    if (replaced) {
+      this.logger.info("🔁 Earlier transaction was mined instead of the latest", {
+        txHash: receipt.hash,
+        latestHash,
+      });
+    }
+
+    const state = receipt.status === 1 ? "confirmed" : "reverted";
+    this.counters[state]++;
+    this.recordResult(pending, state, receipt);
+
+    // Reverted transactions still cost gas, so report every mined receipt.
+    // Send-to-confirm latency is unknown for transactions sent before a restart.
+    if (this.options.onReceipt) {
+      this.options.onReceipt(receipt, {
+        label: pending.label,
+        confirmationMs:
+          pending.firstSentAt && !pending.resumed
+            ? Date.now() - pending.firstSentAt
+            : null,
+      });
+    }
+    return receipt;
+  }
+
+  recordResult(pending, state, receipt) {
+    if (state !== "timeout") {
+      this.pending = null;
+    }
+
+    this.lastResult = {
+      label: pending.label,
+      state,
+      nonce: pending.nonce,
+      hash: receipt ? receipt.hash : pending.hashes.at(-1),
+      hashes: pending.hashes,
+      replacements: pending.replacements,
+      minedReplaced: receipt ? receipt.hash !== pending.hashes.at(-1) : false,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      timestamp: new Date(),
+    };
+
+    this.history.push(this.lastResult);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+  }
+
+  toRequest(tx) {
+    const request = {
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit,
+      chainId: tx.chainId,
+      type: tx.type,
+    };
+
+    if (tx.maxFeePerGas != null) {
+      request.maxFeePerGas = tx.maxFeePerGas;
+      request.maxPriorityFeePerGas = tx.maxPriorityFeePerGas;
+    } else {
+      request.gasPrice = tx.gasPrice;
+    }
+
+    return request;
+  }
+
+  logFees(request) {
+    if (request.maxFeePerGas != null) {
+      this.logger.info(
+        `   Fees: maxFee ${ethers.formatUnits(
+          request.maxFeePerGas,
+          "gwei"
+        )} gwei, priority ${ethers.formatUnits(
+          request.maxPriorityFeePerGas,
+          "gwei"
+        )} gwei`
+      );
+    } else if (request.gasPrice != null) {
+      this.logger.info(
+        `   Gas price: ${ethers.formatUnits(request.gasPrice, "gwei")} gwei`
+      );
+    }
+  }
+
+  isNonceError(error) {
+    return (
+      error.code === "NONCE_EXPIRED" ||
+      /nonce too low|already known/i.test(error.message || "")
+    );
+  }
+
+  isUnderpricedError(error) {
+    return (
+      error.code === "REPLACEMENT_UNDERPRICED" ||
+      /underpriced/i.test(error.message || "")
+    );
+  }
+
+  getStatus() {
+    return {
+      nextNonce: this.nextNonce,
+      pending: this.pending
+        ? {
+            label: this.pending.label,
+            nonce: this.pending.nonce,
+            hashes: this.pending.hashes,
+            replacements: this.pending.replacements,
+            firstSentAt: new Date(this.pending.firstSentAt),
+            lastSentAt: new Date(this.pending.lastSentAt),
+          }
+        : null,
+      lastResult: this.lastResult,
+      counters: this.counters,
+      recent: this.history.slice(-5),
+      configuration: {
+        confirmations: this.options.confirmations,
+        confirmationTimeoutMs: this.options.confirmationTimeoutMs,
+        stuckTimeoutMs: this.options.stuckTimeoutMs,
+        pollIntervalMs: this.options.pollIntervalMs,
+        maxReplacements: this.options.maxReplacements,
+        feeBumpPercent: this.options.feeBumpPercent,
+      },
+    };
+  }
+}
+
+module.exports = TransactionManager;
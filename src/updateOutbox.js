@@ -0,0 +1,279 @@
+/*
+ * BLACKSWAN ORACLE UPDATE OUTBOX
+ * ====================
+ *
+ * Persisted queue of on-chain updates that have been started but not yet confirmed.
+ * Each entry records which scores and documents are written, the documents being
+ * published, the IPFS CIDs once pinned and the transaction hash once sent, so a
+ * crash between pinning and the on-chain write can be resumed without pinning
+ * duplicates or sending a second transaction.
+ *
+ * Entry lifecycle:
+ *   pending   -> documents created, nothing pinned yet (or partially pinned)
+ *   pinned    -> all documents pinned, transaction not sent (or dropped / cancelled)
+ *   sent      -> transaction (and any replacements) broadcast, waiting for a receipt;
+ *                a stuck transaction may be cancelled before the update is re-sent.
+ *                An update can take more than one transaction (`step` holds the
+ *                writes of the one in flight); each confirmed step is added to
+ *                `written` and the entry returns to "pinned" for the next one
+ *   failed    -> transaction reverted; the same update would revert again, so it
+ *                is parked until an operator retries it or newer data supersedes it
+ *   confirmed -> receipt confirmed, entry is finished
+ *   superseded -> replaced by a newer update before it was sent
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const crypto = require("crypto");
+const StateStore = require("./stateStore");
+
+// Number of finished entries kept in the file for troubleshooting
+const FINISHED_HISTORY_LIMIT = 20;
+
+// A failed entry stays active so the same update is not recreated and resent
+const ACTIVE_STATUSES = ["pending", "pinned", "sent", "failed"];
+
+const NOTHING_WRITTEN = {
+  blackswan: { score: false, document: false },
+  marketPeak: { score: false, document: false },
+};
+
+class UpdateOutbox {
+  constructor(filePath, logger) {
+    this.store = new StateStore(filePath, logger);
+    this.logger = logger;
+    this.entries = [];
+  }
+
+  get filePath() {
+    return this.store.filePath;
+  }
+
+  load() {
+    const saved = this.store.load();
+    this.entries = saved && Array.isArray(saved.entries) ? saved.entries : [];
+    // Entries written before per-type updates always wrote everything
+    for (const entry of this.entries) {
+      if (!entry.writes) {
+        entry.writes = {
+          blackswan: { score: true, document: true },
+          marketPeak: { score: true, document: true },
+        };
+      }
+    }
+
+    const active = this.getActive();
+    if (active) {
+      this.logger.info(
+        `📮 Outbox has an unfinished update ${active.id} (status: ${active.status})`
+      );
+    }
+  }
+
+  save() {
+    const finished = this.entries.filter(
+      (entry) => !ACTIVE_STATUSES.includes(entry.status)
+    );
+    const active = this.entries.filter((entry) =>
+      ACTIVE_STATUSES.includes(entry.status)
+    );
+
+    this.entries = [...finished.slice(-FINISHED_HISTORY_LIMIT), ...active];
+    this.store.save({ entries: this.entries });
+  }
+
+  /**
+   * The single in-flight update, if any
+   */
+  getActive() {
+    return (
+      this.entries.find((entry) => ACTIVE_STATUSES.includes(entry.status)) ||
+      null
+    );
+  }
+
+  create({ scores, analyses, documents, cids = {}, writes, reasons = {} }) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      // Updates that only write scores have nothing to pin
+      status: cids.blackswan && cids.marketPeak ? "pinned" : "pending",
+      createdAt: now,
+      updatedAt: now,
+      scores,
+      analyses,
+      documents,
+      cids: {
+        blackswan: cids.blackswan || null,
+        marketPeak: cids.marketPeak || null,
+      },
+      writes,
+      written: NOTHING_WRITTEN,
+      step: null,
+      reasons,
+      txHash: null,
+      txHashes: [],
+      attempts: 0,
+      lastError: null,
+    };
+
+    this.entries.push(entry);
+    this.save();
+    return entry;
+  }
+
+  update(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return entry;
+  }
+
+  setCID(entry, type, ipfsURI) {
+    entry.cids[type] = ipfsURI;
+    const allPinned = entry.cids.blackswan && entry.cids.marketPeak;
+    return this.update(entry, allPinned ? { status: "pinned" } : {});
+  }
+
+  /**
+   * Record a broadcast transaction; replacements for the same nonce are appended
+   * so every hash that could be mined is checked on resume
+   */
+  markSent(entry, txHash) {
+    return this.update(entry, {
+      status: "sent",
+      txHash,
+      txHashes: [...(entry.txHashes || []), txHash],
+      attempts: entry.attempts + 1,
+    });
+  }
+
+  /**
+   * Record the cancellation of a stuck transaction; the entry stays "sent" and
+   * the cancellation is receipt-checked together with the update's hashes
+   */
+  markCancelling(entry, txHash) {
+    return this.update(entry, {
+      cancelTxHash: txHash,
+      txHashes: [...(entry.txHashes || []), txHash],
+    });
+  }
+
+  /**
+   * Writes of the entry that are not confirmed on-chain yet
+   */
+  getRemainingWrites(entry) {
+    const written = entry.written || NOTHING_WRITTEN;
+    const remaining = {};
+    for (const key of Object.keys(entry.writes)) {
+      remaining[key] = {
+        score: entry.writes[key].score && !written[key].score,
+        document: entry.writes[key].document && !written[key].document,
+      };
+    }
+    return remaining;
+  }
+
+  /**
+   * Record the writes covered by the transaction about to be sent
+   */
+  setStep(entry, step) {
+    return this.update(entry, { step });
+  }
+
+  /**
+   * Record a confirmed step. The entry is confirmed once nothing remains,
+   * otherwise it returns to "pinned" for the next step.
+   * Returns true when the entry is finished.
+   */
+  markStepConfirmed(entry, receipt) {
+    const written = entry.written || NOTHING_WRITTEN;
+    const step = entry.step || entry.writes;
+    const merged = {};
+    for (const key of Object.keys(written)) {
+      merged[key] = {
+        score: written[key].score || step[key].score,
+        document: written[key].document || step[key].document,
+      };
+    }
+    entry.written = merged;
+
+    const remaining = Object.values(this.getRemainingWrites(entry));
+    if (remaining.every((writes) => !writes.score && !writes.document)) {
+      this.markConfirmed(entry, receipt);
+      return true;
+    }
+
+    this.update(entry, {
+      status: "pinned",
+      step: null,
+      txHash: null,
+      txHashes: [],
+      cancelTxHash: null,
+    });
+    return false;
+  }
+
+  markConfirmed(entry, receipt) {
+    return this.update(entry, {
+      status: "confirmed",
+      blockNumber: receipt.blockNumber,
+      confirmedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Park an entry whose transaction reverted
+   */
+  markFailed(entry, reason) {
+    return this.update(entry, {
+      status: "failed",
+      cancelTxHash: null,
+      lastError: { message: reason, timestamp: new Date().toISOString() },
+    });
+  }
+
+  /**
+   * Return a sent (or failed) entry to "pinned" so its CIDs are reused on the
+   * next attempt
+   */
+  markRetry(entry, reason) {
+    return this.update(entry, {
+      status: "pinned",
+      txHash: null,
+      txHashes: [],
+      cancelTxHash: null,
+      lastError: { message: reason, timestamp: new Date().toISOString() },
+    });
+  }
+
+  markSuperseded(entry) {
+    return this.update(entry, { status: "superseded" });
+  }
+
+  getSummary() {
+    const active = this.getActive();
+    return {
+      file: this.filePath,
+      active: active
+        ? {
+            id: active.id,
+            status: active.status,
+            scores: active.scores,
+            writes: active.writes,
+            written: active.written,
+            reasons: active.reasons,
+            cids: active.cids,
+            txHash: active.txHash,
+            txHashes: active.txHashes,
+            attempts: active.attempts,
+            createdAt: active.createdAt,
+            lastError: active.lastError,
+          }
+        : null,
+    };
+  }
+}
+
+module.exports = UpdateOutbox;
@@ -0,0 +1,185 @@
+/*
+ * BLACKSWAN ORACLE UPDATE POLICY
+ * ====================
+ *
+ * Decides when an analysis is pushed on-chain, using price-feed style semantics:
+ * - deviation: the score moved by at least the configured absolute points or percent
+ * - heartbeat: the configured interval has passed since the last on-chain write
+ * - content:   the analysis content changed (or the score moved below the deviation
+ *              threshold) and the slower content cadence has elapsed
+ * - manual:    an operator triggered the update through the HTTP API
+ *
+ * Each analysis type (blackswan, marketPeak) has its own configuration, read from
+ * BLACKSWAN_* and MARKETPEAK_* environment variables.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const HISTORY_LIMIT = 20;
+
+const DEFAULTS = {
+  deviationAbsolute: null,
+  deviationPercent: null,
+  heartbeatMs: 24 * 60 * 60 * 1000, // 24 hours
+  contentIntervalMs: 60 * 60 * 1000, // 1 hour
+};
+
+const parseOptionalFloat = (value) =>
+  value !== undefined && value !== "" ? parseFloat(value) : null;
+
+class UpdatePolicy {
+  constructor(logger, config = {}) {
+    this.logger = logger;
+    this.config = {
+      blackswan: { ...DEFAULTS, ...config.blackswan },
+      marketPeak: { ...DEFAULTS, ...config.marketPeak },
+    };
+    this.lastDecisions = { blackswan: null, marketPeak: null };
+    this.pushes = [];
+  }
+
+  static fromEnv(logger) {
+    const read = (prefix) => {
+      const config = {
+        deviationAbsolute: parseOptionalFloat(
+          process.env[`${prefix}_DEVIATION_ABSOLUTE`]
+        ),
+        deviationPercent: parseOptionalFloat(
+          process.env[`${prefix}_DEVIATION_PERCENT`]
+        ),
+      };
+      if (process.env[`${prefix}_HEARTBEAT_MS`]) {
+        config.heartbeatMs = parseInt(process.env[`${prefix}_HEARTBEAT_MS`]);
+      }
+      if (process.env[`${prefix}_CONTENT_INTERVAL_MS`]) {
+        config.contentIntervalMs = parseInt(
+          process.env[`${prefix}_CONTENT_INTERVAL_MS`]
+        );
+      }
+      return config;
+    };
+
+    return new UpdatePolicy(logger, {
+      blackswan: read("BLACKSWAN"),
+      marketPeak: read("MARKETPEAK"),
+    });
+  }
+
+  /**
+   * Decide whether one analysis type should be pushed
+   * Returns { push, reason, detail }
+   */
+  evaluate(
+    type,
+    { score, lastScore, contentChanged, lastPushAt, manual = false }
+  ) {
+    const config = this.config[type];
+    const now = Date.now();
+    const sinceLastPush = lastPushAt ? now - new Date(lastPushAt) : null;
+    let decision;
+
+    if (manual && contentChanged) {
+      decision = {
+        push: true,
+        reason: "manual",
+        detail: "Manual update requested",
+      };
+    } else if (this.isDeviation(config, score, lastScore)) {
+      decision = {
+        push: true,
+        reason: "deviation",
+        detail: `Score moved ${lastScore} → ${score}`,
+      };
+    } else if (
+      config.heartbeatMs &&
+      sinceLastPush !== null &&
+      sinceLastPush >= config.heartbeatMs
+    ) {
+      decision = {
+        push: true,
+        reason: "heartbeat",
+        detail: `${Math.floor(sinceLastPush / 1000)}s since last on-chain write`,
+      };
+    } else if (contentChanged) {
+      const due =
+        sinceLastPush === null || sinceLastPush >= config.contentIntervalMs;
+      decision = due
+        ? {
+            push: true,
+            reason: "content",
+            detail: "Analysis content changed",
+          }
+        : {
+            push: false,
+            reason: null,
+            detail: `Content change held until content interval (${Math.ceil(
+              (config.contentIntervalMs - sinceLastPush) / 1000
+            )}s remaining)`,
+          };
+    } else {
+      decision = { push: false, reason: null, detail: "No change" };
+    }
+
+    this.lastDecisions[type] = { ...decision, score, timestamp: new Date() };
+    return decision;
+  }
+
+  /**
+   * A score change counts as a deviation if it meets either configured threshold.
+   * With no thresholds configured, any score change is a deviation.
+   */
+  isDeviation(config, score, lastScore) {
+    if (lastScore === null || lastScore === undefined) {
+      return true;
+    }
+
+    const delta = Math.abs(score - lastScore);
+    if (delta === 0) {
+      return false;
+    }
+
+    if (config.deviationAbsolute === null && config.deviationPercent === null) {
+      return true;
+    }
+
+    if (config.deviationAbsolute !== null && delta >= config.deviationAbsolute) {
+      return true;
+    }
+
+    if (config.deviationPercent !== null) {
+      const percent = lastScore === 0 ? Infinity : (delta / lastScore) * 100;
+      if (percent >= config.deviationPercent) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  recordPush(reasons) {
+    const push = { reasons, timestamp: new Date() };
+    this.pushes.push(push);
+    if (this.pushes.length > HISTORY_LIMIT) {
+      this.pushes.shift();
+    }
+
+    this.logger.info(
+      `📌 On-chain push reasons - BlackSwan: ${
+        reasons.blackswan || "none"
+      }, MarketPeak: ${reasons.marketPeak || "none"}`
+    );
+  }
+
+  getStatus() {
+    return {
+      configuration: this.config,
+      lastDecisions: this.lastDecisions,
+      lastPush: this.pushes.at(-1) || null,
+      recentPushes: this.pushes.slice(-10),
+    };
+  }
+}
+
+module.exports = UpdatePolicy;
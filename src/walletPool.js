@@ -0,0 +1,359 @@
+/*
+ * BLACKSWAN ORACLE WALLET POOL
+ * ====================
+ *
+ * Pool of dev wallets (signers) that oracle updates are sent from. Each wallet
+ * has its own transaction manager, so nonces are tracked per wallet.
+ *
+ * - At startup every wallet is checked against the contract's isDevWallet;
+ *   wallets that are not authorized are never used.
+ * - Updates are sent from the active wallet. Before each send the pool rotates
+ *   to the next usable wallet if the active one is below WALLET_MIN_BALANCE_ETH
+ *   or has a stuck transaction (a pending nonce that timed out).
+ * - A stuck wallet becomes usable again once its transaction is mined.
+ * - A stuck transaction can be cancelled (same nonce, zero-value self transfer)
+ *   before its update is re-sent from another wallet.
+ *
+ * Balance, nonces and gas spent since start are tracked per wallet for /status.
+ *
+ * Author: Muhammad Bilal Motiwala
+ * Project: Black Swan
+ * License: MIT
+ */
+
+const { ethers } = require("ethers");
+const TransactionManager = require("./transactionManager");
+
+class WalletPool {
+  constructor(signers, provider, logger, options = {}) {
+    if (signers.length === 0) {
+      throw new Error("At least one dev wallet must be configured");
+    }
+
+    this.provider = provider;
+    this.logger = logger;
+    this.options = {
+      minBalance:
+        options.minBalance !== undefined
+          ? options.minBalance
+          : ethers.parseEther("0.001"),
+    };
+
+    const addresses = signers.map((signer) => signer.address);
+    const duplicate = addresses.find(
+      (address, index) => addresses.indexOf(address) !== index
+    );
+    if (duplicate) {
+      throw new Error(`Dev wallet ${duplicate} is configured more than once`);
+    }
+
+    const createTxManager =
+      options.createTxManager ||
+      ((signer, hooks) =>
+        new TransactionManager(signer, provider, logger, hooks));
+
+    this.wallets = signers.map((signer) => {
+      const wallet = {
+        address: signer.address,
+        signer,
+        authorized: null,
+        balance: null,
+        nonce: { latest: null, pending: null },
+        spent: 0n,
+        transactions: 0,
+        sending: false,
+        lastRefresh: null,
+        lastError: null,
+      };
+      wallet.txManager = createTxManager(signer, {
+        capFees: options.capFees,
+        checkReplacement: options.checkReplacement,
+        onReceipt: (receipt, details) => {
+          wallet.spent +=
+            BigInt(receipt.gasUsed) * BigInt(receipt.gasPrice ?? 0);
+          wallet.transactions++;
+          if (options.onReceipt) {
+            options.onReceipt(receipt, details);
+          }
+        },
+      });
+      return wallet;
+    });
+
+    this.activeIndex = 0;
+    this.rotations = 0;
+    this.lastRotation = null;
+    this.contractDevWallets = null;
+  }
+
+  static fromEnv(
+    signers,
+    provider,
+    logger,
+    { capFees, checkReplacement, onReceipt } = {}
+  ) {
+    return new WalletPool(signers, provider, logger, {
+      minBalance: process.env.WALLET_MIN_BALANCE_ETH
+        ? ethers.parseEther(process.env.WALLET_MIN_BALANCE_ETH)
+        : undefined,
+      capFees,
+      checkReplacement,
+      onReceipt,
+      createTxManager: (signer, hooks) =>
+        TransactionManager.fromEnv(signer, provider, logger, hooks),
+    });
+  }
+
+  get active() {
+    return this.wallets[this.activeIndex];
+  }
+
+  /**
+   * Check every wallet against the contract and load balances and nonces
+   */
+  async initialize(contract) {
+    await Promise.all(
+      this.wallets.map(async (wallet) => {
+        try {
+          wallet.authorized = await contract.isDevWallet(wallet.address);
+        } catch (error) {
+          wallet.lastError = `isDevWallet check failed: ${error.message}`;
+          this.logger.error(
+            `Could not check dev wallet ${wallet.address}: ${error.message}`
+          );
+        }
+        if (wallet.authorized === false) {
+          this.logger.error(
+            `❌ Wallet ${wallet.address} is not an authorized dev wallet on the contract - it will not be used`
+          );
+        }
+      })
+    );
+
+    // Wallets the contract authorizes, to spot ones missing from the pool
+    try {
+      const count = Number(await contract.getDevWalletCount());
+      this.contractDevWallets = await Promise.all(
+        Array.from({ length: count }, (_, index) =>
+          contract.getDevWalletByIndex(index)
+        )
+      );
+      this.logger.info(
+        `🔑 Contract authorizes ${count} dev wallet(s), ${
+          this.wallets.filter((wallet) => wallet.authorized).length
+        } of them in the wallet pool`
+      );
+    } catch (error) {
+      this.logger.warn(`Could not list contract dev wallets: ${error.message}`);
+    }
+
+    await this.refresh();
+
+    const first = this.wallets.findIndex((wallet) => this.isUsable(wallet));
+    if (first === -1) {
+      this.logger.error(
+        "No usable dev wallet in the pool - updates will fail until one is funded and authorized"
+      );
+    } else {
+      this.activeIndex = first;
+    }
+
+    for (const wallet of this.wallets) {
+      this.logger.info(
+        `💰 Dev wallet ${wallet.address}: ${
+          wallet.balance !== null ? ethers.formatEther(wallet.balance) : "?"
+        } ETH${wallet === this.active ? " (active)" : ""}`
+      );
+      if (wallet.balance === 0n) {
+        this.logger.warn(
+          `Dev wallet ${wallet.address} has zero balance. Ensure it has sufficient funds for transactions.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Reload balances and nonces and settle stuck transactions that were mined
+   * A wallet that is sending is left to its own send(), which finalizes the
+   * transaction itself.
+   */
+  async refresh() {
+    await Promise.all(
+      this.wallets.map(async (wallet) => {
+        try {
+          if (!wallet.sending) {
+            await wallet.txManager.checkPending();
+          }
+          const [balance, latest, pending] = await Promise.all([
+            this.provider.getBalance(wallet.address),
+            this.provider.getTransactionCount(wallet.address, "latest"),
+            this.provider.getTransactionCount(wallet.address, "pending"),
+          ]);
+          wallet.balance = balance;
+          wallet.nonce = { latest, pending };
+          wallet.lastRefresh = new Date();
+        } catch (error) {
+          wallet.lastError = error.message;
+          this.logger.warn(
+            `Could not refresh dev wallet ${wallet.address}: ${error.message}`
+          );
+        }
+      })
+    );
+  }
+
+  /**
+   * Why a wallet cannot send right now, or null if it can
+   */
+  unusableReason(wallet) {
+    if (wallet.authorized === false) {
+      return "not authorized";
+    }
+    if (wallet.sending) {
+      return "sending";
+    }
+    if (wallet.txManager.pending) {
+      return `stuck transaction (nonce ${wallet.txManager.pending.nonce})`;
+    }
+    if (wallet.balance !== null && wallet.balance < this.options.minBalance) {
+      return `low balance (${ethers.formatEther(wallet.balance)} ETH)`;
+    }
+    return null;
+  }
+
+  isUsable(wallet) {
+    return this.unusableReason(wallet) === null;
+  }
+
+  /**
+   * Wallet to send the next update from, rotating away from an unusable one
+   * Throws if no wallet in the pool can send
+   */
+  async select() {
+    await this.refresh();
+
+    const current = this.active;
+    const reason = this.unusableReason(current);
+    if (!reason) {
+      return current;
+    }
+
+    for (let step = 1; step < this.wallets.length; step++) {
+      const index = (this.activeIndex + step) % this.wallets.length;
+      if (this.isUsable(this.wallets[index])) {
+        this.activeIndex = index;
+        this.rotations++;
+        this.lastRotation = {
+          from: current.address,
+          to: this.active.address,
+          reason,
+          timestamp: new Date(),
+        };
+        this.logger.warn(
+          `🔄 Rotating dev wallet ${current.address} → ${this.active.address} (${reason})`
+        );
+        return this.active;
+      }
+    }
+
+    throw new Error(
+      `No usable dev wallet: ${this.wallets
+        .map((wallet) => `${wallet.address} ${this.unusableReason(wallet)}`)
+        .join("; ")}`
+    );
+  }
+
+  /**
+   * Send a transaction from a wallet returned by select() and wait for it
+   */
+  async send(wallet, request, options) {
+    wallet.sending = true;
+    try {
+      return await wallet.txManager.send(request, options);
+    } catch (error) {
+      if (/insufficient funds/i.test(error.message || "")) {
+        // Reload the balance so the next select() rotates away from this wallet
+        await this.refresh();
+      }
+      throw error;
+    } finally {
+      wallet.sending = false;
+    }
+  }
+
+  /**
+   * Whether another wallet could take over from the given address
+   */
+  hasAlternative(address) {
+    return this.wallets.some(
+      (wallet) => wallet.address !== address && this.isUsable(wallet)
+    );
+  }
+
+  /**
+   * Resume monitoring transactions sent before a restart with the wallet that
+   * sent them. A TX_TIMEOUT error carries the sender as error.wallet.
+   */
+  async resume(hashes, options) {
+    let wallet = this.active;
+    for (const hash of [...hashes].reverse()) {
+      const tx = await this.provider.getTransaction(hash);
+      if (tx) {
+        wallet =
+          this.wallets.find((candidate) => candidate.address === tx.from) ||
+          wallet;
+        break;
+      }
+    }
+
+    wallet.sending = true;
+    try {
+      return await wallet.txManager.resume(hashes, options);
+    } catch (error) {
+      error.wallet = wallet.address;
+      throw error;
+    } finally {
+      wallet.sending = false;
+    }
+  }
+
+  /**
+   * Cancel the stuck transaction (any of hashes) of the wallet with the given
+   * address. Resolves with the cancellation transaction, or null if the stuck
+   * transaction was dropped.
+   */
+  async cancel(address, hashes, options) {
+    const wallet = this.wallets.find((candidate) => candidate.address === address);
+    if (!wallet) {
+      throw new Error(`Unknown dev wallet ${address}`);
+    }
+    return wallet.txManager.cancel(hashes, options);
+  }
+
+  getStatus() {
+    return {
+      active: this.active.address,
+      minBalanceEth: ethers.formatEther(this.options.minBalance),
+      rotations: this.rotations,
+      lastRotation: this.lastRotation,
+      contractDevWallets: this.contractDevWallets,
+      wallets: this.wallets.map((wallet) => ({
+        address: wallet.address,
+        active: wallet === this.active,
+        authorized: wallet.authorized,
+        usable: this.isUsable(wallet),
+        unusableReason: this.unusableReason(wallet),
+        balanceEth:
+          wallet.balance !== null ? ethers.formatEther(wallet.balance) : null,
+        nonce: wallet.nonce,
+        spentSinceStartEth: ethers.formatEther(wallet.spent),
+        transactions: wallet.transactions,
+        pending: wallet.txManager.getStatus().pending,
+        lastRefresh: wallet.lastRefresh,
+        lastError: wallet.lastError,
+      })),
+    };
+  }
+}
+
+module.exports = WalletPool;
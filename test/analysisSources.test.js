@@ -0,0 +1,170 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const AnalysisSources = require("../src/analysisSources");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const payload = (blackswan, marketPeak = blackswan) => ({
+  blackswan: {
+    score: blackswan,
+    analysis: `BlackSwan analysis at ${blackswan}`,
+    reasoning: ["reason"],
+  },
+  marketPeak: {
+    score: marketPeak,
+    summary: `Market Peak summary at ${marketPeak}`,
+    reasoning: ["reason"],
+  },
+});
+
+/**
+ * Sources named a, b, c, ... answering from responses by name: a payload, or
+ * an Error thrown by axios
+ */
+const createSources = (t, responses, options = {}) => {
+  const names = Object.keys(responses);
+  t.mock.method(axios, "get", async (url) => {
+    const response = responses[new URL(url).host];
+    if (response instanceof Error) {
+      throw response;
+    }
+    return { status: 200, data: response };
+  });
+  return new AnalysisSources(logger, {
+    sources: names.map((name) => ({ name, url: `http://${name}/analysis` })),
+    ...options,
+  });
+};
+
+const httpError = (status, statusText) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, statusText },
+  });
+
+test("an odd number of sources publishes the middle score", async (t) => {
+  const sources = createSources(
+    t,
+    { a: payload(40), b: payload(47), c: payload(42) },
+    { tolerance: 10 }
+  );
+
+  const { blackswan } = await sources.fetch();
+
+  assert.equal(blackswan.score, 42);
+  assert.equal(blackswan.analysis, "BlackSwan analysis at 42");
+  assert.equal(blackswan.sources.documentSource, "c");
+  assert.equal(blackswan.sources.contributing.length, 3);
+});
+
+test("an even number of sources publishes the rounded mean of the middle scores", async (t) => {
+  const sources = createSources(
+    t,
+    { a: payload(40, 60), b: payload(45, 62) },
+    { tolerance: 10 }
+  );
+
+  const { blackswan, marketPeak } = await sources.fetch();
+
+  // 42.5 rounds up; the document comes from the source closest to 43
+  assert.equal(blackswan.score, 43);
+  assert.equal(blackswan.sources.documentSource, "b");
+  assert.equal(blackswan.analysis, "BlackSwan analysis at 45");
+  assert.equal(marketPeak.score, 61);
+  assert.deepEqual(sources.getStatus().lastAggregate.blackswan, {
+    score: 43,
+    sources: ["a", "b"],
+  });
+});
+
+test("sources outside the tolerance are left out of the median", async (t) => {
+  const sources = createSources(
+    t,
+    { a: payload(40), b: payload(42), c: payload(90) },
+    { tolerance: 5 }
+  );
+
+  const { blackswan } = await sources.fetch();
+
+  assert.equal(blackswan.score, 41);
+  assert.deepEqual(
+    blackswan.sources.contributing.map((source) => source.name),
+    ["a", "b"]
+  );
+  assert.deepEqual(sources.getStatus().sources.c.agreed, {
+    blackswan: false,
+    marketPeak: false,
+  });
+});
+
+test("the check fails when too few sources agree", async (t) => {
+  const sources = createSources(
+    t,
+    { a: payload(10), b: payload(90) },
+    { quorum: 2, tolerance: 5 }
+  );
+
+  await assert.rejects(
+    sources.fetch(),
+    /Analysis quorum not reached for blackswan: 0 sources agree within 5, 2 required/
+  );
+});
+
+test("failed and invalid sources drop out and can break the quorum", async (t) => {
+  const responses = {
+    a: payload(40),
+    b: httpError(500, "Internal Server Error"),
+    c: { blackswan: { score: 140 }, marketPeak: payload(40).marketPeak },
+  };
+  const sources = createSources(t, responses, { quorum: 2, tolerance: 5 });
+
+  await assert.rejects(
+    sources.fetch(),
+    /Analysis quorum not reached: 1\/3 sources responded, 2 required/
+  );
+  const status = sources.getStatus().sources;
+  assert.equal(
+    status.b.lastError,
+    "returned error 500: Internal Server Error"
+  );
+  assert.match(status.c.lastError, /blackswan\.score 140 is above 100/);
+  assert.equal(status.a.lastError, null);
+});
+
+test("the remaining sources are aggregated when the quorum still holds", async (t) => {
+  const requests = [];
+  const sources = createSources(
+    t,
+    {
+      a: payload(40),
+      b: Object.assign(new Error("timeout"), { code: "ECONNABORTED" }),
+      c: payload(44),
+    },
+    { quorum: 2, tolerance: 5, onRequest: (request) => requests.push(request) }
+  );
+
+  const { blackswan } = await sources.fetch();
+
+  assert.equal(blackswan.score, 42);
+  assert.equal(sources.getStatus().lastAggregate.respondingSources, 2);
+  assert.equal(sources.getStatus().sources.b.lastError, "request timed out");
+  assert.deepEqual(
+    requests.map((request) => [request.source, request.error]),
+    [
+      ["a", null],
+      ["b", "request timed out"],
+      ["c", null],
+    ]
+  );
+});
+
+test("a quorum larger than the number of sources is rejected", () => {
+  assert.throws(
+    () =>
+      new AnalysisSources(logger, {
+        sources: [{ name: "a", url: "http://a/analysis" }],
+        quorum: 2,
+      }),
+    /SOURCE_QUORUM \(2\) exceeds the number of analysis sources \(1\)/
+  );
+});
@@ -0,0 +1,141 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const AnalysisValidator = require("../src/analysisValidator");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const validPayload = () => ({
+  blackswan: {
+    score: 42,
+    confidence: "medium",
+    certainty: 70,
+    analysis: "Liquidity is thinning across major venues",
+    reasoning: ["Funding rates flipped negative"],
+    currentMarketIndicators: ["VIX above 30"],
+    primaryRiskFactors: ["Credit spreads widening"],
+    timestamp: 1760000000000,
+  },
+  marketPeak: {
+    score: 63,
+    summary: "Valuations are stretched",
+    keyFactors: ["Record margin debt"],
+    reasoning: ["Breadth is narrowing"],
+    timestamp: "2026-10-19T00:00:00.000Z",
+  },
+});
+
+const fieldErrors = (validator, payload) => {
+  try {
+    validator.assertValid(payload, "test source");
+  } catch (error) {
+    assert.equal(error.code, "SCHEMA_INVALID");
+    return error.errors;
+  }
+  assert.fail("expected the payload to be rejected");
+};
+
+test("a complete payload is accepted", () => {
+  const validator = new AnalysisValidator(logger);
+
+  validator.assertValid(validPayload());
+
+  assert.deepEqual(validator.validate("blackswan", validPayload().blackswan), []);
+  assert.equal(validator.getStatus().validatedCount, 1);
+  assert.equal(validator.getStatus().rejectedCount, 0);
+});
+
+test("a payload with only the required fields is accepted", () => {
+  const validator = new AnalysisValidator(logger);
+
+  validator.assertValid({
+    blackswan: { score: 0, analysis: "Calm", reasoning: ["Low volatility"] },
+    marketPeak: { score: 100, summary: "Euphoric", reasoning: ["Record highs"] },
+  });
+});
+
+test("missing required fields are reported per field", () => {
+  const validator = new AnalysisValidator(logger);
+  const payload = validPayload();
+  delete payload.blackswan.score;
+  delete payload.blackswan.analysis;
+  payload.marketPeak.summary = null;
+
+  assert.deepEqual(fieldErrors(validator, payload), [
+    { field: "blackswan.score", message: "is required" },
+    { field: "blackswan.analysis", message: "is required" },
+    { field: "marketPeak.summary", message: "is required" },
+  ]);
+});
+
+test("a missing analysis type is rejected", () => {
+  const validator = new AnalysisValidator(logger);
+
+  assert.deepEqual(
+    fieldErrors(validator, { blackswan: validPayload().blackswan }),
+    [{ field: "marketPeak", message: "expected object, got undefined" }]
+  );
+});
+
+test("fields of the wrong type are rejected", () => {
+  const validator = new AnalysisValidator(logger);
+  const payload = validPayload();
+  payload.blackswan.score = "42";
+  payload.blackswan.reasoning = "Funding rates flipped negative";
+  payload.marketPeak.keyFactors = ["Record margin debt", 7];
+  payload.marketPeak.timestamp = true;
+
+  assert.deepEqual(fieldErrors(validator, payload), [
+    { field: "blackswan.score", message: "expected number, got string" },
+    { field: "blackswan.reasoning", message: "expected array, got string" },
+    { field: "marketPeak.keyFactors[1]", message: "expected string, got number" },
+    {
+      field: "marketPeak.timestamp",
+      message: "expected number or string, got boolean",
+    },
+  ]);
+});
+
+test("scores outside 0-100 and non-finite scores are rejected", () => {
+  const validator = new AnalysisValidator(logger);
+  const payload = validPayload();
+  payload.blackswan.score = -1;
+  payload.blackswan.certainty = 101;
+  payload.marketPeak.score = NaN;
+
+  assert.deepEqual(fieldErrors(validator, payload), [
+    { field: "blackswan.score", message: "-1 is below 0" },
+    { field: "blackswan.certainty", message: "101 is above 100" },
+    { field: "marketPeak.score", message: "must be a finite number" },
+  ]);
+});
+
+test("empty strings and empty reasoning lists are rejected", () => {
+  const validator = new AnalysisValidator(logger);
+  const payload = validPayload();
+  payload.blackswan.analysis = "   ";
+  payload.marketPeak.reasoning = [];
+
+  assert.deepEqual(fieldErrors(validator, payload), [
+    { field: "blackswan.analysis", message: "must not be empty" },
+    { field: "marketPeak.reasoning", message: "must contain at least 1 item(s)" },
+  ]);
+});
+
+test("rejections are counted and kept in the status", () => {
+  const validator = new AnalysisValidator(logger);
+  const payload = validPayload();
+  payload.marketPeak.score = 250;
+
+  assert.throws(
+    () => validator.assertValid(payload, "primary"),
+    /Invalid analysis payload from primary: marketPeak\.score 250 is above 100/
+  );
+
+  const status = validator.getStatus();
+  assert.equal(status.validatedCount, 1);
+  assert.equal(status.rejectedCount, 1);
+  assert.equal(status.lastFailure.source, "primary");
+  assert.deepEqual(status.lastFailure.errors, [
+    { field: "marketPeak.score", message: "250 is above 100" },
+  ]);
+});
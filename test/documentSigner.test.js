@@ -0,0 +1,225 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ethers } = require("ethers");
+const DocumentSigner = require("../src/documentSigner");
+const { canonicalJSON, computeCID } = require("../src/storage/cid");
+
+const CONTRACT = "0x00000000000000000000000000000000000000C0";
+
+const logger = { info() {}, warn() {}, error() {} };
+
+/**
+ * Signer for an in-memory chain and contract; documents are "pinned" to a map
+ */
+const setup = ({ chainId = 8453n, contractAddress = CONTRACT } = {}) => {
+  const wallet = ethers.Wallet.createRandom();
+  const devWallets = new Set([wallet.address]);
+  const signer = {
+    provider: { getNetwork: async () => ({ chainId }) },
+    getAddress: async () => wallet.address,
+    signTypedData: (domain, types, value) =>
+      wallet.signTypedData(domain, types, value),
+  };
+  const contract = {
+    getAddress: async () => contractAddress,
+    isDevWallet: async (address) => devWallets.has(address),
+  };
+  const documentSigner = new DocumentSigner(signer, contract, logger, {
+    chainDepth: 3,
+  });
+
+  const documents = new Map();
+  const pin = (document) => {
+    const { cid } = computeCID(Buffer.from(canonicalJSON(document)), 0);
+    documents.set(cid, document);
+    return cid;
+  };
+  const fetchDocument = async (uri) => {
+    const document = documents.get(uri.replace("ipfs://", ""));
+    if (!document) {
+      throw new Error(`${uri} not found`);
+    }
+    return document;
+  };
+  const publish = async (type, score, previous) =>
+    pin(
+      await documentSigner.sign({
+        type,
+        score,
+        generatedAt: "2026-01-01T00:00:00.000Z",
+        previous: previous ? `ipfs://${previous}` : null,
+      })
+    );
+
+  return {
+    wallet,
+    devWallets,
+    documentSigner,
+    documents,
+    pin,
+    fetchDocument,
+    publish,
+  };
+};
+
+test("a signed document verifies", async () => {
+  const { wallet, documentSigner, documents, publish } = setup();
+  const cid = await publish("blackswan", 42);
+
+  const result = await documentSigner.verifyDocument(cid, documents.get(cid));
+
+  assert.equal(result.valid, true, result.error);
+  assert.equal(result.signer, wallet.address);
+  assert.deepEqual(result.checks, {
+    contentMatchesCID: true,
+    contentHash: true,
+    domain: true,
+    signature: true,
+    isDevWallet: true,
+  });
+});
+
+test("a contract address written in lowercase still verifies", async () => {
+  const { documentSigner, documents, publish } = setup({
+    contractAddress: CONTRACT.toLowerCase(),
+  });
+  const cid = await publish("blackswan", 42);
+
+  const result = await documentSigner.verifyDocument(cid, documents.get(cid));
+
+  assert.equal(result.checks.domain, true);
+  assert.equal(result.valid, true, result.error);
+  assert.equal(
+    documents.get(cid).signature.domain.verifyingContract,
+    ethers.getAddress(CONTRACT)
+  );
+});
+
+test("the signature is over everything except itself", async () => {
+  const { documentSigner } = setup();
+  const signed = await documentSigner.sign({ type: "blackswan", score: 42 });
+
+  assert.equal(signed.signature.scheme, "EIP-712");
+  assert.equal(signed.signature.domain.chainId, "8453");
+  assert.equal(
+    signed.signature.contentHash,
+    documentSigner.hashContent({ type: "blackswan", score: 42 })
+  );
+});
+
+test("a document that does not match its CID fails before any other check", async () => {
+  const { documentSigner, documents, publish } = setup();
+  const cid = await publish("blackswan", 42);
+
+  const result = await documentSigner.verifyDocument(cid, {
+    ...documents.get(cid),
+    score: 99,
+  });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, "Content does not match CID");
+  assert.deepEqual(result.checks, { contentMatchesCID: false });
+});
+
+test("a re-signed tampered document fails the content hash", async () => {
+  const { documentSigner, documents, pin, publish } = setup();
+  const original = documents.get(await publish("blackswan", 42));
+  // Pinned under its own CID, but the signature belongs to the original content
+  const cid = pin({ ...original, score: 99 });
+
+  const result = await documentSigner.verifyDocument(cid, documents.get(cid));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.contentMatchesCID, true);
+  assert.equal(result.checks.contentHash, false);
+});
+
+test("a signer that is not a dev wallet fails", async () => {
+  const { wallet, devWallets, documentSigner, documents, publish } = setup();
+  const cid = await publish("blackswan", 42);
+  devWallets.delete(wallet.address);
+
+  const result = await documentSigner.verifyDocument(cid, documents.get(cid));
+
+  assert.equal(result.valid, false);
+  assert.equal(result.checks.signature, true);
+  assert.equal(result.checks.isDevWallet, false);
+});
+
+test("an unsigned document fails", async () => {
+  const { documentSigner, pin } = setup();
+  const document = { type: "blackswan", score: 42 };
+
+  const result = await documentSigner.verifyDocument(pin(document), document);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, "Document is not signed");
+});
+
+test("verifyChain walks previous links up to the configured depth", async () => {
+  const { documentSigner, fetchDocument, publish } = setup();
+  const first = await publish("blackswan", 10);
+  const second = await publish("blackswan", 20, first);
+  const third = await publish("blackswan", 30, second);
+
+  const complete = await documentSigner.verifyChain(
+    `ipfs://${third}`,
+    fetchDocument
+  );
+  assert.equal(complete.valid, true);
+  assert.equal(complete.complete, true);
+  assert.deepEqual(
+    complete.links.map((link) => link.cid),
+    [third, second, first]
+  );
+
+  const fourth = await publish("blackswan", 40, third);
+  const truncated = await documentSigner.verifyChain(fourth, fetchDocument);
+  assert.equal(truncated.depth, 3);
+  assert.equal(truncated.complete, false);
+});
+
+test("verifyChain rejects a chain that switches analysis type", async () => {
+  const { documentSigner, fetchDocument, publish } = setup();
+  const marketPeak = await publish("marketPeak", 10);
+  const blackswan = await publish("blackswan", 20, marketPeak);
+
+  const result = await documentSigner.verifyChain(blackswan, fetchDocument);
+
+  assert.equal(result.valid, false);
+  assert.match(result.links[1].error, /switches from blackswan to marketPeak/);
+});
+
+test("verifyChain stops at a malformed previous link", async () => {
+  const { documentSigner, fetchDocument, pin } = setup();
+  const cid = pin(
+    await documentSigner.sign({
+      type: "blackswan",
+      previous: "ipfs://../../etc/passwd",
+    })
+  );
+
+  const result = await documentSigner.verifyChain(cid, fetchDocument);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.links[0].valid, true);
+  assert.deepEqual(result.links.at(-1), {
+    cid: "../../etc/passwd",
+    valid: false,
+    error: "Malformed CID",
+  });
+});
+
+test("verifyChain does not follow links of a document that does not match its CID", async () => {
+  const { documentSigner, documents, fetchDocument, publish } = setup();
+  const previous = await publish("blackswan", 10);
+  const cid = await publish("blackswan", 20);
+  // Served content claims a history the requested CID never had
+  documents.set(cid, { ...documents.get(cid), previous: `ipfs://${previous}` });
+
+  const result = await documentSigner.verifyChain(cid, fetchDocument);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.depth, 1);
+  assert.equal(result.links[0].checks.contentMatchesCID, false);
+});
@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const FeeStrategy = require("../src/feeStrategy");
+
+const GWEI = 1000000000n;
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const REQUEST = { to: "0x0000000000000000000000000000000000000001", data: "0x" };
+
+/**
+ * Provider answering eth_feeHistory with the given base fees and rewards, or
+ * failing it when feeHistory is null
+ */
+const createProvider = ({
+  estimate = 80000n,
+  feeHistory = { baseFeePerGas: ["0x1", "0x3b9aca00"], reward: [["0x77359400"]] },
+  feeData = {
+    maxFeePerGas: 20n * GWEI,
+    maxPriorityFeePerGas: 2n * GWEI,
+    gasPrice: 7n * GWEI,
+  },
+} = {}) => ({
+  estimateGas: async () => {
+    if (estimate instanceof Error) {
+      throw estimate;
+    }
+    return estimate;
+  },
+  send: async (method) => {
+    assert.equal(method, "eth_feeHistory");
+    if (!feeHistory) {
+      throw new Error("method not supported");
+    }
+    return feeHistory;
+  },
+  getFeeData: async () => feeData,
+});
+
+test("fixed mode uses the configured fees and the fallback gas limit", async () => {
+  const strategy = new FeeStrategy(createProvider(), logger, {
+    mode: "fixed",
+    fallbackGasLimit: 150000,
+    maxFeePerGas: 5n * GWEI,
+  });
+
+  const request = await strategy.apply(REQUEST);
+
+  assert.equal(request.gasLimit, 150000n);
+  assert.equal(request.maxFeePerGas, 5n * GWEI);
+  // Without a priority fee the whole max fee may go to the validator
+  assert.equal(request.maxPriorityFeePerGas, 5n * GWEI);
+  assert.equal(strategy.getStatus().lastFees.estimatedGas, null);
+});
+
+test("fixed mode sends a legacy gas price or leaves fees to the node", async () => {
+  const legacy = new FeeStrategy(createProvider(), logger, {
+    mode: "fixed",
+    gasPrice: 3n * GWEI,
+  });
+  const unset = new FeeStrategy(createProvider(), logger, { mode: "fixed" });
+
+  assert.equal((await legacy.apply(REQUEST)).gasPrice, 3n * GWEI);
+  const request = await unset.apply(REQUEST);
+  assert.equal(request.gasPrice, undefined);
+  assert.equal(request.maxFeePerGas, undefined);
+  assert.equal(request.gasLimit, 200000n);
+});
+
+test("eip1559 fees are derived from the fee history", async () => {
+  const strategy = new FeeStrategy(createProvider(), logger, {
+    baseFeeMultiplier: 2,
+  });
+
+  const request = await strategy.apply(REQUEST);
+
+  // 1 gwei next base fee * 2 + 2 gwei median priority fee
+  assert.equal(request.maxFeePerGas, 4n * GWEI);
+  assert.equal(request.maxPriorityFeePerGas, 2n * GWEI);
+  // 80000 estimate + 25% margin
+  assert.equal(request.gasLimit, 100000n);
+});
+
+test("dynamic fees are capped at the configured ceilings", async () => {
+  const strategy = new FeeStrategy(createProvider(), logger, {
+    maxFeePerGas: 3n * GWEI,
+    maxPriorityFeePerGas: 5n * GWEI,
+  });
+
+  const request = await strategy.apply(REQUEST);
+
+  assert.equal(request.maxFeePerGas, 3n * GWEI);
+  // The priority fee never exceeds the max fee
+  assert.equal(request.maxPriorityFeePerGas, 2n * GWEI);
+  assert.deepEqual(
+    strategy.capFees({ maxFeePerGas: 9n * GWEI, maxPriorityFeePerGas: 6n * GWEI }),
+    { maxFeePerGas: 3n * GWEI, maxPriorityFeePerGas: 3n * GWEI }
+  );
+});
+
+test("eip1559 falls back to the node's fee data without fee history", async () => {
+  const strategy = new FeeStrategy(
+    createProvider({ feeHistory: null }),
+    logger
+  );
+
+  const request = await strategy.apply(REQUEST);
+
+  assert.equal(request.maxFeePerGas, 20n * GWEI);
+  assert.equal(request.maxPriorityFeePerGas, 2n * GWEI);
+});
+
+test("legacy mode uses the node's gas price up to the ceiling", async () => {
+  const strategy = new FeeStrategy(createProvider(), logger, {
+    mode: "legacy",
+    gasPrice: 5n * GWEI,
+  });
+
+  const request = await strategy.apply(REQUEST);
+
+  assert.equal(request.gasPrice, 5n * GWEI);
+  assert.equal(request.maxFeePerGas, undefined);
+});
+
+test("the gas limit is capped, falls back on errors and surfaces reverts", async () => {
+  const capped = new FeeStrategy(createProvider({ estimate: 900000n }), logger, {
+    maxGasLimit: 1000000,
+  });
+  const fallback = new FeeStrategy(
+    createProvider({ estimate: new Error("timeout") }),
+    logger,
+    { fallbackGasLimit: 120000 }
+  );
+  const revert = Object.assign(new Error("execution reverted"), {
+    code: "CALL_EXCEPTION",
+  });
+  const reverting = new FeeStrategy(createProvider({ estimate: revert }), logger);
+
+  assert.deepEqual(await capped.getGasLimit(REQUEST), {
+    gasLimit: 1000000n,
+    estimate: 900000n,
+  });
+  assert.deepEqual(await fallback.getGasLimit(REQUEST), {
+    gasLimit: 120000n,
+    estimate: null,
+  });
+  await assert.rejects(reverting.apply(REQUEST), { code: "CALL_EXCEPTION" });
+});
+
+test("an unknown fee mode is rejected", () => {
+  assert.throws(
+    () => new FeeStrategy(createProvider(), logger, { mode: "auto" }),
+    /Invalid FEE_MODE "auto", expected one of: eip1559, legacy, fixed/
+  );
+});
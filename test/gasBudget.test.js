@@ -0,0 +1,159 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const GasBudget = require("../src/gasBudget");
+const FeeStrategy = require("../src/feeStrategy");
+
+const GWEI = 1000000000n;
+const DAY = 24 * 60 * 60 * 1000;
+
+const logger = { info() {}, warn() {}, error() {} };
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "blackswan-gas-"));
+  filePath = path.join(directory, "gas-spend.json");
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const createProvider = ({
+  baseFeePerGas = 1n * GWEI,
+  feeData = { maxFeePerGas: 30n * GWEI, gasPrice: 12n * GWEI },
+} = {}) => ({
+  getBlock: async () => ({ baseFeePerGas }),
+  getFeeData: async () => feeData,
+});
+
+const createBudget = (options = {}, provider = createProvider()) =>
+  new GasBudget(provider, logger, { filePath, ...options });
+
+// 100000 gas at 10 gwei costs 0.001 ETH
+const REQUEST = { gasLimit: 100000n, maxFeePerGas: 10n * GWEI };
+
+const receipt = (hash, gasUsed = 100000n, gasPrice = 10n * GWEI) => ({
+  hash,
+  blockNumber: 100,
+  gasUsed,
+  gasPrice,
+});
+
+test("a transaction within every limit passes", async () => {
+  const budget = createBudget({
+    maxTxCost: ethers.parseEther("0.001"),
+    dailySpendCap: ethers.parseEther("0.01"),
+  });
+
+  await budget.check(REQUEST, { label: "update" });
+
+  assert.equal(budget.getStatus().deferralCount, 0);
+});
+
+test("a transaction above the per-transaction limit is deferred", async () => {
+  const budget = createBudget({ maxTxCost: ethers.parseEther("0.0009") });
+
+  await assert.rejects(budget.check(REQUEST, { label: "update" }), {
+    code: "BUDGET_DEFERRED",
+    reason: "max-tx-cost",
+    message:
+      "update deferred by gas budget: worst-case cost 0.001 ETH exceeds per-transaction limit 0.0009 ETH",
+  });
+  assert.equal(budget.getStatus().lastDeferral.reason, "max-tx-cost");
+});
+
+test("the daily cap is exhausted by recorded spend", async () => {
+  const budget = createBudget({ dailySpendCap: ethers.parseEther("0.0025") });
+
+  budget.recordReceipt(receipt("0x01"));
+  await budget.check(REQUEST);
+  budget.recordReceipt(receipt("0x02"));
+
+  await assert.rejects(budget.check(REQUEST), {
+    code: "BUDGET_DEFERRED",
+    reason: "daily-cap",
+  });
+  assert.equal(budget.getStatus().spent24hEth, "0.002");
+  assert.equal(budget.getStatus().remaining24hEth, "0.0005");
+});
+
+test("a receipt is only counted once", () => {
+  const budget = createBudget();
+
+  budget.recordReceipt(receipt("0x01"));
+  budget.recordReceipt(receipt("0x01"));
+
+  assert.equal(budget.getStatus().transactions24h, 1);
+  assert.equal(budget.getStatus().spent24hEth, "0.001");
+});
+
+test("spend survives a restart and leaves the window after 24 hours", async () => {
+  createBudget().recordReceipt(receipt("0x01"));
+  const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  saved.spend.push({
+    txHash: "0x00",
+    costWei: ethers.parseEther("1").toString(),
+    timestamp: Date.now() - DAY - 1000,
+  });
+  fs.writeFileSync(filePath, JSON.stringify(saved));
+
+  const restarted = createBudget({ dailySpendCap: ethers.parseEther("0.0015") });
+
+  assert.equal(restarted.getStatus().spent24hEth, "0.001");
+  await assert.rejects(restarted.check(REQUEST), { reason: "daily-cap" });
+});
+
+test("only content-only updates are deferred above the base fee threshold", async () => {
+  const budget = createBudget(
+    { deferContentAboveBaseFee: 5n * GWEI },
+    createProvider({ baseFeePerGas: 8n * GWEI })
+  );
+
+  await budget.check(REQUEST, { label: "score update" });
+  await assert.rejects(
+    budget.check(REQUEST, { label: "content update", contentOnly: true }),
+    { code: "BUDGET_DEFERRED", reason: "base-fee" }
+  );
+});
+
+test("fixed mode without configured fees is priced at the node's max fee", async () => {
+  const provider = {
+    ...createProvider(),
+    estimateGas: async () => assert.fail("fixed mode does not estimate gas"),
+  };
+  const strategy = new FeeStrategy(provider, logger, {
+    mode: "fixed",
+    fallbackGasLimit: 100000,
+  });
+  const budget = createBudget({ maxTxCost: ethers.parseEther("0.002") }, provider);
+
+  const request = await strategy.apply({ to: ethers.ZeroAddress });
+  assert.equal(request.maxFeePerGas, undefined);
+  assert.equal(request.gasPrice, undefined);
+
+  // 100000 gas at the node's 30 gwei max fee, not its 12 gwei gas price
+  assert.equal(await budget.getWorstCaseFee(request), 30n * GWEI);
+  await assert.rejects(budget.check(request), {
+    reason: "max-tx-cost",
+    message: /worst-case cost 0.003 ETH/,
+  });
+});
+
+test("the node's gas price is used when it reports no max fee", async () => {
+  const budget = createBudget(
+    {},
+    createProvider({ feeData: { maxFeePerGas: null, gasPrice: 12n * GWEI } })
+  );
+
+  assert.equal(await budget.getWorstCaseFee({ gasLimit: 21000n }), 12n * GWEI);
+  assert.equal(
+    await budget.getWorstCaseFee({ gasLimit: 21000n, gasPrice: 3n * GWEI }),
+    3n * GWEI
+  );
+});
@@ -0,0 +1,145 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const OutlierGuard = require("../src/outlierGuard");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+test("a score is accepted without a published one or without a change", () => {
+  const guard = new OutlierGuard(logger, { confirmationPolls: 3, maxJump: 5 });
+
+  assert.deepEqual(guard.check("blackswan", 90, null), {
+    accepted: true,
+    reason: null,
+  });
+  assert.deepEqual(guard.check("blackswan", 40, 40), {
+    accepted: true,
+    reason: null,
+  });
+});
+
+test("a new score is held until it was seen in enough consecutive polls", () => {
+  const guard = new OutlierGuard(logger, { confirmationPolls: 3 });
+
+  assert.equal(guard.check("blackswan", 45, 40).reason, "confirmation");
+  assert.equal(guard.check("blackswan", 45, 40).reason, "confirmation");
+  assert.equal(guard.getStatus().blackswan.held.seenCount, 2);
+
+  assert.deepEqual(guard.check("blackswan", 45, 40), {
+    accepted: true,
+    reason: "confirmed",
+  });
+  assert.equal(guard.getStatus().blackswan.held, null);
+  assert.equal(guard.getStatus().recentEvents.at(-1).action, "confirmed");
+});
+
+test("a different value restarts the confirmation count", () => {
+  const guard = new OutlierGuard(logger, { confirmationPolls: 2 });
+
+  guard.check("blackswan", 45, 40);
+  const held = guard.check("blackswan", 46, 40);
+
+  assert.equal(held.accepted, false);
+  assert.match(held.detail, /Waiting for confirmation \(1\/2 polls/);
+  assert.equal(guard.check("blackswan", 46, 40).accepted, true);
+});
+
+test("the score returning to the published value drops the held one", () => {
+  const guard = new OutlierGuard(logger, { confirmationPolls: 2 });
+
+  guard.check("blackswan", 45, 40);
+  guard.check("blackswan", 40, 40);
+
+  assert.equal(guard.getStatus().blackswan.held, null);
+  assert.equal(guard.check("blackswan", 45, 40).accepted, false);
+});
+
+test("a new score is held for the minimum dwell time", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 0 });
+  const guard = new OutlierGuard(logger, {
+    confirmationPolls: 2,
+    minDwellMs: 60000,
+  });
+
+  guard.check("marketPeak", 70, 60);
+  t.mock.timers.tick(30000);
+  const held = guard.check("marketPeak", 70, 60);
+  assert.equal(held.accepted, false);
+  assert.match(held.detail, /2\/2 polls, 30\/60s/);
+
+  t.mock.timers.tick(30000);
+  assert.deepEqual(guard.check("marketPeak", 70, 60), {
+    accepted: true,
+    reason: "confirmed",
+  });
+  assert.equal(
+    guard.getStatus().recentEvents.at(-1).detail,
+    "Seen in 3 polls over 60s"
+  );
+});
+
+test("a jump above the maximum is rejected on every poll", () => {
+  const guard = new OutlierGuard(logger, { confirmationPolls: 1, maxJump: 10 });
+
+  assert.equal(guard.check("blackswan", 50, 40).accepted, true);
+  const first = guard.check("blackswan", 95, 40);
+  const second = guard.check("blackswan", 95, 40);
+
+  assert.deepEqual(second, first);
+  assert.equal(first.reason, "max-jump");
+  assert.equal(first.detail, "Jump 40 → 95 exceeds maximum of 10");
+  const { rejected } = guard.getStatus().blackswan;
+  assert.equal(rejected.score, 95);
+  assert.equal(rejected.seenCount, 2);
+  // Logged once, not once per poll
+  assert.equal(
+    guard.getStatus().recentEvents.filter((event) => event.action === "rejected")
+      .length,
+    1
+  );
+});
+
+test("an operator approval publishes the rejected score on the next poll", () => {
+  const guard = new OutlierGuard(logger, { confirmationPolls: 3, maxJump: 10 });
+  guard.check("blackswan", 95, 40);
+
+  assert.equal(guard.approve("blackswan").score, 95);
+  // The approval also skips the confirmation polls
+  assert.deepEqual(guard.check("blackswan", 95, 40), {
+    accepted: true,
+    reason: "approved",
+  });
+
+  const status = guard.getStatus().blackswan;
+  assert.equal(status.approved, null);
+  assert.equal(status.rejected, null);
+  assert.equal(guard.getStatus().recentEvents.at(-1).action, "approved");
+  // The approval is used up
+  assert.equal(guard.check("blackswan", 95, 40).reason, "max-jump");
+});
+
+test("an operator can approve a specific score in advance", () => {
+  const guard = new OutlierGuard(logger, { maxJump: 10 });
+
+  guard.approve("marketPeak", "85");
+
+  assert.equal(guard.check("marketPeak", 90, 60).reason, "max-jump");
+  assert.equal(guard.check("marketPeak", 85, 60).reason, "approved");
+});
+
+test("approving without a rejected score or for an unknown type fails", () => {
+  const guard = new OutlierGuard(logger, { maxJump: 10 });
+
+  assert.throws(
+    () => guard.approve("blackswan"),
+    /No rejected blackswan score to approve/
+  );
+  assert.throws(
+    () => guard.approve("blackswan", "high"),
+    /No rejected blackswan score to approve/
+  );
+  assert.throws(
+    () => guard.approve("__proto__", 50),
+    /Unknown analysis type: __proto__/
+  );
+  assert.equal(OutlierGuard.isAnalysisType("constructor"), false);
+});
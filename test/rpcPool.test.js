@@ -0,0 +1,110 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const RpcPool = require("../src/rpcPool");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const BLOCK_HASH = `0x${"ab".repeat(32)}`;
+const TX_HASH = `0x${"cd".repeat(32)}`;
+
+const receipt = (extra = {}) => ({
+  transactionHash: TX_HASH,
+  blockHash: BLOCK_HASH,
+  blockNumber: "0x10",
+  status: "0x1",
+  gasUsed: "0x5208",
+  logs: [
+    {
+      address: "0x00000000000000000000000000000000000000C0",
+      topics: [`0x${"11".repeat(32)}`],
+      data: "0x",
+    },
+  ],
+  ...extra,
+});
+
+/**
+ * Pool whose endpoints answer with the given results instead of over HTTP
+ */
+const createPool = (results, readQuorum = 2) => {
+  const pool = new RpcPool(logger, {
+    urls: results.map((_, index) => `http://rpc${index}.test`),
+    readQuorum,
+  });
+  pool.sendTo = async (endpoint, payload) => {
+    const result = results[pool.endpoints.indexOf(endpoint)];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return { jsonrpc: "2.0", id: payload.id, result };
+  };
+  return pool;
+};
+
+const getReceipt = (pool) =>
+  pool.request({
+    jsonrpc: "2.0",
+    id: 1,
+    method: "eth_getTransactionReceipt",
+    params: [TX_HASH],
+  });
+
+test("receipts that differ only in field order and extra fields agree", async () => {
+  const { logs, ...rest } = receipt();
+  const pool = createPool(
+    [
+      receipt(),
+      { logs, ...rest, l1Fee: "0x10", l1GasUsed: "0x20" },
+      { ...receipt(), gasUsed: "0x05208", blockHash: `0x${"AB".repeat(32)}` },
+    ],
+    3
+  );
+
+  const response = await getReceipt(pool);
+  assert.equal(response.id, 1);
+  assert.equal(response.result.transactionHash, TX_HASH);
+});
+
+test("an endpoint without the receipt yet abstains", async () => {
+  const pool = createPool([receipt(), null, receipt()]);
+
+  const response = await getReceipt(pool);
+  assert.equal(response.result.blockHash, BLOCK_HASH);
+  assert.equal(pool.quorumFailures, 0);
+});
+
+test("a receipt seen by fewer than the quorum counts as not mined", async () => {
+  const pool = createPool([receipt(), null, null]);
+
+  const response = await getReceipt(pool);
+  assert.equal(response.result, null);
+  assert.equal(pool.quorumFailures, 0);
+});
+
+test("receipts from different blocks do not agree", async () => {
+  const pool = createPool([
+    receipt(),
+    receipt({ blockHash: `0x${"ef".repeat(32)}` }),
+  ]);
+
+  await assert.rejects(getReceipt(pool), /RPC quorum not reached/);
+  assert.equal(pool.quorumFailures, 1);
+});
+
+test("receipts with different logs do not agree", async () => {
+  const pool = createPool([receipt(), receipt({ logs: [] })]);
+  await assert.rejects(getReceipt(pool), /RPC quorum not reached/);
+});
+
+test("eth_call results need the quorum", async () => {
+  const call = (pool) =>
+    pool.request({ jsonrpc: "2.0", id: 7, method: "eth_call", params: [] });
+
+  const agreeing = await call(createPool(["0x01", "0x01", new Error("down")]));
+  assert.equal(agreeing.result, "0x01");
+
+  await assert.rejects(
+    call(createPool(["0x01", "0x02", new Error("down")])),
+    /RPC quorum not reached for eth_call/
+  );
+});
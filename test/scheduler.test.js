@@ -0,0 +1,279 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Scheduler = require("../src/scheduler");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Task that resolves (or rejects) when told to, so cycles can overlap on purpose
+ */
+const createTask = () => {
+  const task = async (context) => {
+    task.calls.push(context);
+    await new Promise((resolve, reject) =>
+      task.waiting.push({ resolve, reject })
+    );
+  };
+  task.calls = [];
+  task.waiting = [];
+  task.finish = async (error = null) => {
+    const { resolve, reject } = task.waiting.shift();
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+    await sleep(0);
+  };
+  return task;
+};
+
+const nextRun = (cron, after) =>
+  new Scheduler(logger, () => {}, { cron })
+    .nextCronRun(new Date(after))
+    .toISOString();
+
+test("cron expressions are evaluated in UTC", () => {
+  const after = "2026-10-19T10:17:30.000Z";
+  assert.equal(nextRun("*/15 * * * *", after), "2026-10-19T10:30:00.000Z");
+  assert.equal(nextRun("0 * * * *", after), "2026-10-19T11:00:00.000Z");
+  assert.equal(nextRun("@daily", after), "2026-10-20T00:00:00.000Z");
+  assert.equal(nextRun("30 9 * * 1-5", after), "2026-10-20T09:30:00.000Z");
+  assert.equal(nextRun("0 0 29 2 *", after), "2028-02-29T00:00:00.000Z");
+});
+
+test("invalid cron expressions are rejected", () => {
+  assert.throws(
+    () => new Scheduler(logger, () => {}, { cron: "* * *" }),
+    /expected 5 fields/
+  );
+  const invalid = ["61 * * * *", "a * * * *", "5-1 * * * *", "0 0 30 2 *"];
+  for (const cron of invalid) {
+    assert.throws(
+      () => new Scheduler(logger, () => {}, { cron }),
+      new RegExp(`POLL_CRON "${cron.replace(/\*/g, "\\*")}"`)
+    );
+  }
+});
+
+test("an unknown manual trigger mode is rejected", () => {
+  assert.throws(
+    () => new Scheduler(logger, () => {}, { manualTrigger: "drop" }),
+    /Invalid POLL_MANUAL_TRIGGER "drop"/
+  );
+});
+
+test("backoff doubles with every failure up to the maximum", () => {
+  const scheduler = new Scheduler(logger, () => {}, {
+    backoffInitialMs: 1000,
+    backoffMaxMs: 5000,
+  });
+
+  const backoff = [0, 1, 2, 3, 4].map((failures) => {
+    scheduler.consecutiveFailures = failures;
+    return scheduler.getBackoffMs();
+  });
+  assert.deepEqual(backoff, [0, 1000, 2000, 4000, 5000]);
+});
+
+test("a cron schedule waits for the first matching minute after the backoff", (t) => {
+  const scheduler = new Scheduler(logger, () => {}, {
+    cron: "*/5 * * * *",
+    backoffInitialMs: 60 * 60000,
+    backoffMaxMs: 120 * 60000,
+  });
+  scheduler.started = true;
+  t.after(() => scheduler.stop());
+
+  scheduler.consecutiveFailures = 1;
+  const before = Date.now();
+  scheduler.scheduleNext();
+
+  const waitMs = scheduler.nextRunAt.getTime() - before;
+  assert.ok(
+    waitMs >= 60 * 60000 && waitMs <= 65 * 60000,
+    `waited ${waitMs}ms`
+  );
+  assert.equal(scheduler.nextRunAt.getUTCMinutes() % 5, 0);
+});
+
+test("failed cycles feed the backoff and a success resets it", async (t) => {
+  let fail = true;
+  const scheduler = new Scheduler(
+    logger,
+    async () => {
+      if (fail) {
+        throw new Error("boom");
+      }
+    },
+    { intervalMs: 10, backoffInitialMs: 20, backoffMaxMs: 40 }
+  );
+  t.after(() => scheduler.stop());
+
+  await scheduler.start();
+  assert.equal(scheduler.consecutiveFailures, 1);
+  assert.equal(scheduler.getStatus().recent[0].error, "boom");
+
+  await sleep(100);
+  assert.ok(scheduler.consecutiveFailures >= 2);
+  assert.equal(scheduler.getBackoffMs(), 40);
+
+  fail = false;
+  await sleep(100);
+  assert.equal(scheduler.consecutiveFailures, 0);
+  assert.ok(scheduler.counters.failed >= 2);
+});
+
+test("manual triggers queue behind the running cycle and share one run", async () => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task);
+  scheduler.started = true;
+
+  const first = scheduler.trigger({ correlationId: "manual-1" });
+  const second = scheduler.trigger({ correlationId: "manual-2" });
+  const third = scheduler.trigger({ correlationId: "manual-3" });
+  assert.equal(scheduler.getStatus().manualQueued, true);
+
+  await task.finish();
+  assert.deepEqual(await first, { queued: false, correlationId: "manual-1" });
+  await task.finish();
+  // The third request is served by the cycle queued for the second
+  assert.deepEqual(await second, { queued: true, correlationId: "manual-2" });
+  assert.deepEqual(await third, { queued: true, correlationId: "manual-2" });
+
+  assert.deepEqual(
+    task.calls.map((context) => context.correlationId),
+    ["manual-1", "manual-2"]
+  );
+  assert.equal(scheduler.counters.manual, 2);
+});
+
+test("manual triggers fail with CYCLE_IN_PROGRESS in reject mode", async () => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task, { manualTrigger: "reject" });
+
+  const running = scheduler.trigger({});
+  await assert.rejects(scheduler.trigger({}), (error) => {
+    assert.equal(error.code, "CYCLE_IN_PROGRESS");
+    assert.equal(error.current.trigger, "manual");
+    return true;
+  });
+
+  await task.finish();
+  await running;
+  assert.equal(scheduler.counters.rejected, 1);
+});
+
+test("a failed manual cycle rejects its trigger", async () => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task);
+
+  const rejected = assert.rejects(scheduler.trigger({}), /revert/);
+  await task.finish(new Error("revert"));
+
+  await rejected;
+  assert.equal(scheduler.consecutiveFailures, 1);
+});
+
+test("a scheduled run is skipped while a manual cycle runs", async (t) => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task, { intervalMs: 10 });
+  scheduler.started = true;
+  t.after(() => scheduler.stop());
+
+  const manual = scheduler.trigger({});
+  scheduler.scheduleNext();
+  await sleep(50);
+
+  assert.ok(scheduler.counters.skipped >= 1);
+  assert.equal(task.calls.length, 1);
+
+  scheduler.stop();
+  await task.finish();
+  await manual;
+});
+
+test("a trigger queued when the service stops is rejected", async () => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task);
+  scheduler.started = true;
+
+  const running = scheduler.trigger({});
+  const queued = assert.rejects(
+    scheduler.trigger({}),
+    /Service stopped before the queued update check ran/
+  );
+  scheduler.stop();
+  await task.finish();
+
+  await running;
+  await queued;
+  assert.equal(task.calls.length, 1);
+});
+
+test("exclusive work waits for the running check and is not counted as one", async () => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task);
+  scheduler.started = true;
+
+  const events = [];
+  const check = scheduler.trigger({});
+  const exclusive = scheduler.exclusive("pin-gc", async () => {
+    events.push(`pin-gc while ${task.waiting.length} check(s) running`);
+    return "report";
+  });
+  await sleep(0);
+  assert.deepEqual(events, []);
+
+  await task.finish();
+  await check;
+  assert.equal(await exclusive, "report");
+  assert.deepEqual(events, ["pin-gc while 0 check(s) running"]);
+  assert.equal(scheduler.counters.manual, 1);
+  assert.equal(scheduler.history.length, 1);
+  assert.equal(scheduler.getStatus().running, null);
+});
+
+test("checks wait for exclusive work and never overlap it", async () => {
+  const task = createTask();
+  const scheduler = new Scheduler(logger, task);
+  scheduler.started = true;
+
+  let releaseGC;
+  const check = scheduler.trigger({ correlationId: "manual-1" });
+  // Both wait for the same check; the exclusive work takes the lock first
+  const exclusive = scheduler.exclusive(
+    "pin-gc",
+    () => new Promise((resolve) => (releaseGC = resolve))
+  );
+  const queued = scheduler.trigger({ correlationId: "manual-2" });
+
+  await task.finish();
+  await check;
+  await sleep(0);
+  assert.equal(scheduler.getStatus().running.trigger, "pin-gc");
+  assert.equal(task.calls.length, 1);
+
+  releaseGC();
+  await exclusive;
+  await sleep(0);
+  assert.equal(task.calls.length, 2);
+  await task.finish();
+  assert.deepEqual(await queued, { queued: true, correlationId: "manual-2" });
+});
+
+test("a failed exclusive run rejects without feeding the backoff", async () => {
+  const scheduler = new Scheduler(logger, createTask());
+
+  await assert.rejects(
+    scheduler.exclusive("pin-gc", async () => {
+      throw new Error("backend unreachable");
+    }),
+    /backend unreachable/
+  );
+  assert.equal(scheduler.consecutiveFailures, 0);
+  assert.equal(scheduler.counters.failed, 0);
+  assert.equal(scheduler.running, null);
+});
@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const StateStore = require("../src/stateStore");
+
+const createLogger = () => {
+  const messages = [];
+  const log = (level) => (message) => messages.push({ level, message });
+  return {
+    messages,
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+};
+
+let directory;
+let logger;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "blackswan-state-"));
+  logger = createLogger();
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("load returns null when the file does not exist", () => {
+  const store = new StateStore(path.join(directory, "state.json"), logger);
+  assert.equal(store.load(), null);
+  assert.equal(logger.messages.length, 0);
+});
+
+test("save and load round-trip the state with version and savedAt", () => {
+  const filePath = path.join(directory, "nested", "state.json");
+  const store = new StateStore(filePath, logger);
+
+  assert.equal(store.save({ blackswan: { score: 42 } }), true);
+  const state = store.load();
+
+  assert.deepEqual(state.blackswan, { score: 42 });
+  assert.equal(state.version, 1);
+  assert.ok(!Number.isNaN(Date.parse(state.savedAt)));
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test("save replaces the previous state", () => {
+  const store = new StateStore(path.join(directory, "state.json"), logger);
+  store.save({ blackswan: { score: 1 }, marketPeak: { score: 2 } });
+  store.save({ blackswan: { score: 3 } });
+
+  const state = store.load();
+  assert.deepEqual(state.blackswan, { score: 3 });
+  assert.equal(state.marketPeak, undefined);
+});
+
+test("load ignores a file with another version", () => {
+  const filePath = path.join(directory, "state.json");
+  fs.writeFileSync(filePath, JSON.stringify({ version: 2 }));
+
+  assert.equal(new StateStore(filePath, logger).load(), null);
+  assert.match(logger.messages[0].message, /version 2 is not supported/);
+});
+
+test("load ignores a corrupt file", () => {
+  const filePath = path.join(directory, "state.json");
+  fs.writeFileSync(filePath, "{ truncated");
+
+  assert.equal(new StateStore(filePath, logger).load(), null);
+  assert.equal(logger.messages[0].level, "warn");
+  assert.match(logger.messages[0].message, /Failed to read state file/);
+});
+
+test("save reports a failed write instead of throwing", () => {
+  // A regular file where the parent directory should be
+  const blocker = path.join(directory, "blocker");
+  fs.writeFileSync(blocker, "");
+  const store = new StateStore(path.join(blocker, "state.json"), logger);
+
+  assert.equal(store.save({ blackswan: { score: 1 } }), false);
+  assert.equal(logger.messages[0].level, "error");
+});
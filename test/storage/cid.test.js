@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  canonicalJSON,
+  computeCID,
+  encodeCAR,
+  isValidCID,
+} = require("../../src/storage/cid");
+
+// CIDs reported by `ipfs add` (Kubo defaults) for the same bytes
+const HELLO_WORLD_V0 = "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o";
+const EMPTY_V0 = "QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH";
+const EMPTY_V1 = "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+
+test("canonicalJSON sorts keys at every level", () => {
+  assert.equal(
+    canonicalJSON({ b: 1, a: { d: [{ z: 1, y: 2 }], c: null } }),
+    '{"a":{"c":null,"d":[{"y":2,"z":1}]},"b":1}'
+  );
+});
+
+test("canonicalJSON encodes values like JSON.stringify", () => {
+  const date = new Date("2026-01-01T00:00:00.000Z");
+  assert.equal(
+    canonicalJSON({ skipped: undefined, date, text: "é" }),
+    JSON.stringify({ date, text: "é" })
+  );
+});
+
+test("computeCID matches ipfs add for CIDv0", () => {
+  assert.equal(computeCID(Buffer.from("hello world\n"), 0).cid, HELLO_WORLD_V0);
+  assert.equal(computeCID(Buffer.alloc(0), 0).cid, EMPTY_V0);
+});
+
+test("computeCID matches ipfs add --cid-version=1", () => {
+  const { cid, block } = computeCID(Buffer.alloc(0), 1);
+  assert.equal(cid, EMPTY_V1);
+  assert.equal(block.length, 0);
+});
+
+test("computeCID rejects unsupported versions and oversized content", () => {
+  assert.throws(() => computeCID(Buffer.from("x"), 2), /Unsupported CID version/);
+  assert.throws(
+    () => computeCID(Buffer.alloc(262145), 0),
+    /exceeds the single block limit/
+  );
+  assert.throws(
+    () => computeCID(Buffer.alloc(262145), 1),
+    /exceeds the single block limit/
+  );
+});
+
+test("encodeCAR starts with the header and ends with the block", () => {
+  const { cidBytes, block } = computeCID(Buffer.from("hello world\n"), 0);
+  const car = encodeCAR(cidBytes, block);
+
+  assert.equal(car[0], car.indexOf(Buffer.from("version")) + 7);
+  assert.ok(car.subarray(-block.length).equals(block));
+  assert.ok(car.includes(cidBytes));
+});
+
+test("isValidCID accepts computed CIDs", () => {
+  const content = Buffer.from(canonicalJSON({ score: 42 }));
+  assert.equal(isValidCID(computeCID(content, 0).cid), true);
+  assert.equal(isValidCID(computeCID(content, 1).cid), true);
+  assert.equal(isValidCID(HELLO_WORLD_V0), true);
+});
+
+test("isValidCID rejects malformed CIDs", () => {
+  for (const value of [
+    undefined,
+    "",
+    "ipfs://" + HELLO_WORLD_V0,
+    "../../etc/passwd",
+    HELLO_WORLD_V0.slice(0, -1),
+    HELLO_WORLD_V0 + "a",
+    // 0 is not in the base58 alphabet
+    HELLO_WORLD_V0.slice(0, -1) + "0",
+    EMPTY_V1.toUpperCase(),
+    EMPTY_V1.slice(0, -4),
+    // CIDv1 with a version byte of 2
+    "bai" + EMPTY_V1.slice(3),
+  ]) {
+    assert.equal(isValidCID(value), false, `accepted ${value}`);
+  }
+});
@@ -0,0 +1,319 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const GasBudget = require("../src/gasBudget");
+const TransactionManager = require("../src/transactionManager");
+
+const ADDRESS = "0x000000000000000000000000000000000000dEaD";
+const GWEI = 1000000000n;
+
+const logger = { info() {}, warn() {}, error() {} };
+
+/**
+ * In-memory signer and provider: every send gets a hash, and onSend decides
+ * whether (and which) transaction is mined
+ */
+const createChain = ({ onSend } = {}) => {
+  const chain = {
+    pendingNonce: 0,
+    sent: [],
+    transactions: new Map(),
+    receipts: new Map(),
+  };
+
+  chain.mine = (hash, status = 1) => {
+    chain.receipts.set(hash, {
+      hash,
+      status,
+      blockNumber: 100,
+      confirmations: async () => 1,
+    });
+  };
+
+  chain.signer = {
+    getAddress: async () => ADDRESS,
+    sendTransaction: async (request) => {
+      const hash = `0x${(chain.sent.length + 1).toString(16).padStart(64, "0")}`;
+      const tx = { ...request, hash, chainId: 8453n, type: 2, value: 0n };
+      chain.sent.push(tx);
+      chain.transactions.set(hash, tx);
+      if (onSend) {
+        onSend(chain, tx);
+      }
+      return tx;
+    },
+  };
+
+  chain.provider = {
+    getTransactionCount: async () => chain.pendingNonce,
+    getTransaction: async (hash) => chain.transactions.get(hash) || null,
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null,
+  };
+  return chain;
+};
+
+const createManager = (chain, options = {}) =>
+  new TransactionManager(chain.signer, chain.provider, logger, {
+    pollIntervalMs: 5,
+    stuckTimeoutMs: 20,
+    confirmationTimeoutMs: 500,
+    ...options,
+  });
+
+const REQUEST = {
+  to: "0x0000000000000000000000000000000000000001",
+  data: "0x1234",
+  gasLimit: 100000n,
+  maxFeePerGas: 10n * GWEI,
+  maxPriorityFeePerGas: 1n * GWEI,
+};
+
+test("send resolves with the receipt and counts the confirmation", async () => {
+  const chain = createChain({ onSend: (chain, tx) => chain.mine(tx.hash) });
+  const manager = createManager(chain);
+  const sent = [];
+
+  const receipt = await manager.send(REQUEST, {
+    label: "update",
+    onSent: (tx) => sent.push(tx.hash),
+  });
+
+  assert.equal(receipt.status, 1);
+  assert.deepEqual(sent, [receipt.hash]);
+  assert.equal(manager.counters.confirmed, 1);
+  assert.equal(manager.pending, null);
+  assert.equal(manager.lastResult.state, "confirmed");
+});
+
+test("consecutive sends use consecutive nonces while the node lags", async () => {
+  const chain = createChain({ onSend: (chain, tx) => chain.mine(tx.hash) });
+  chain.pendingNonce = 7;
+  const manager = createManager(chain);
+
+  await manager.send(REQUEST);
+  await manager.send(REQUEST);
+
+  assert.deepEqual(
+    chain.sent.map((tx) => tx.nonce),
+    [7, 8]
+  );
+});
+
+test("a nonce conflict resyncs the nonce and sends once more", async () => {
+  const chain = createChain({ onSend: (chain, tx) => chain.mine(tx.hash) });
+  const manager = createManager(chain);
+  const sendTransaction = chain.signer.sendTransaction;
+  // Nonce 5 was taken by another sender after the node reported the count
+  chain.signer.sendTransaction = async (request) => {
+    if (request.nonce === 5) {
+      chain.pendingNonce = 6;
+      throw new Error("nonce too low");
+    }
+    return sendTransaction(request);
+  };
+  chain.pendingNonce = 5;
+
+  await manager.send(REQUEST);
+  assert.deepEqual(
+    chain.sent.map((tx) => tx.nonce),
+    [6]
+  );
+  assert.equal(manager.nextNonce, 7);
+});
+
+test("a stuck transaction is replaced with bumped fees", async () => {
+  const chain = createChain({
+    onSend: (chain, tx) => {
+      if (chain.sent.length === 2) {
+        chain.mine(tx.hash);
+      }
+    },
+  });
+  const manager = createManager(chain, { feeBumpPercent: 20 });
+
+  const receipt = await manager.send(REQUEST);
+  const [original, replacement] = chain.sent;
+
+  assert.equal(receipt.hash, replacement.hash);
+  assert.equal(replacement.nonce, original.nonce);
+  assert.equal(replacement.maxFeePerGas, (10n * GWEI * 120n) / 100n + 1n);
+  assert.equal(replacement.maxPriorityFeePerGas, (GWEI * 120n) / 100n + 1n);
+  assert.equal(manager.counters.replaced, 1);
+  assert.equal(manager.lastResult.minedReplaced, false);
+});
+
+test("the receipt of an earlier transaction settles a replaced nonce", async () => {
+  const chain = createChain({
+    onSend: (chain) => {
+      if (chain.sent.length === 2) {
+        chain.mine(chain.sent[0].hash);
+      }
+    },
+  });
+  const manager = createManager(chain);
+
+  const receipt = await manager.send(REQUEST);
+
+  assert.equal(receipt.hash, chain.sent[0].hash);
+  assert.equal(manager.lastResult.minedReplaced, true);
+  assert.deepEqual(manager.lastResult.hashes, [
+    chain.sent[0].hash,
+    chain.sent[1].hash,
+  ]);
+});
+
+test("a replacement deferred by the budget check is not sent", async () => {
+  const chain = createChain();
+  const checked = [];
+  const manager = createManager(chain, {
+    confirmationTimeoutMs: 100,
+    checkReplacement: async (request, { label }) => {
+      checked.push(label);
+      const error = new Error("Daily gas budget exhausted");
+      error.code = "BUDGET_DEFERRED";
+      throw error;
+    },
+  });
+
+  await assert.rejects(manager.send(REQUEST, { label: "update" }), {
+    code: "TX_TIMEOUT",
+  });
+  assert.equal(chain.sent.length, 1);
+  assert.ok(checked.length > 0);
+  assert.equal(checked[0], "update replacement");
+});
+
+test("the gas budget defers a replacement whose bumped fees exceed the per-transaction limit", async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "blackswan-gas-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const chain = createChain();
+  // The original costs 0.001 ETH at most, a 20% bump 0.0012 ETH
+  const budget = new GasBudget(chain.provider, logger, {
+    filePath: path.join(directory, "gas-spend.json"),
+    maxTxCost: ethers.parseEther("0.0011"),
+  });
+  const manager = createManager(chain, {
+    confirmationTimeoutMs: 100,
+    feeBumpPercent: 20,
+    checkReplacement: (request, options) => budget.check(request, options),
+  });
+
+  await budget.check(REQUEST, { label: "update" });
+  await assert.rejects(manager.send(REQUEST, { label: "update" }), {
+    code: "TX_TIMEOUT",
+  });
+
+  assert.equal(chain.sent.length, 1);
+  assert.equal(manager.counters.replaced, 0);
+  assert.ok(budget.getStatus().deferralCount > 0);
+  assert.equal(budget.getStatus().lastDeferral.label, "update replacement");
+  assert.equal(budget.getStatus().lastDeferral.reason, "max-tx-cost");
+});
+
+test("a timed out transaction stays pending until checkPending sees it", async () => {
+  const chain = createChain();
+  const manager = createManager(chain, {
+    confirmationTimeoutMs: 50,
+    maxReplacements: 0,
+  });
+
+  await assert.rejects(manager.send(REQUEST), { code: "TX_TIMEOUT" });
+  assert.equal(manager.counters.timedOut, 1);
+  assert.notEqual(manager.pending, null);
+  await assert.rejects(manager.send(REQUEST), /is still pending/);
+
+  assert.equal(await manager.checkPending(), null);
+  chain.mine(chain.sent[0].hash, 0);
+  const receipt = await manager.checkPending();
+
+  assert.equal(receipt.status, 0);
+  assert.equal(manager.counters.reverted, 1);
+  assert.equal(manager.pending, null);
+});
+
+test("resume does not report a receipt checkPending already settled", async () => {
+  const chain = createChain();
+  const reported = [];
+  const manager = createManager(chain, {
+    confirmationTimeoutMs: 50,
+    maxReplacements: 0,
+    onReceipt: (receipt) => reported.push(receipt.hash),
+  });
+
+  await assert.rejects(manager.send(REQUEST), { code: "TX_TIMEOUT" });
+  chain.mine(chain.sent[0].hash);
+  await manager.checkPending();
+
+  // The next cycle resumes the outbox entry with the same hashes
+  const receipt = await manager.resume([chain.sent[0].hash], {
+    label: "update",
+  });
+
+  assert.equal(receipt.hash, chain.sent[0].hash);
+  assert.deepEqual(reported, [chain.sent[0].hash]);
+  assert.equal(manager.counters.confirmed, 1);
+  assert.deepEqual(
+    manager.history.map((result) => result.state),
+    ["timeout", "confirmed"]
+  );
+});
+
+test("a receipt is reported once when resumed twice", async () => {
+  const chain = createChain();
+  const reported = [];
+  const manager = createManager(chain, {
+    onReceipt: (receipt) => reported.push(receipt.hash),
+  });
+  const tx = await chain.signer.sendTransaction({ ...REQUEST, nonce: 0 });
+  chain.mine(tx.hash);
+
+  await manager.resume([tx.hash]);
+  await manager.resume([tx.hash]);
+
+  assert.deepEqual(reported, [tx.hash]);
+});
+
+test("resume returns null when no hash is known to the node", async () => {
+  const manager = createManager(createChain());
+  assert.equal(await manager.resume(["0xabc"]), null);
+});
+
+test("cancel sends a zero-value transfer to the signer at the same nonce", async () => {
+  const chain = createChain();
+  const manager = createManager(chain);
+  const original = await chain.signer.sendTransaction({ ...REQUEST, nonce: 4 });
+
+  const cancellation = await manager.cancel([original.hash], {
+    label: "update",
+  });
+
+  assert.equal(cancellation.to, ADDRESS);
+  assert.equal(cancellation.nonce, 4);
+  assert.equal(cancellation.data, "0x");
+  assert.equal(cancellation.gasLimit, 21000n);
+  assert.ok(cancellation.maxFeePerGas > original.maxFeePerGas);
+  assert.equal(manager.counters.cancelled, 1);
+});
+
+test("cancel refuses when the fees are already at the ceiling", async () => {
+  const chain = createChain();
+  const manager = createManager(chain, { capFees: () => ({}) });
+  const original = await chain.signer.sendTransaction({ ...REQUEST, nonce: 4 });
+
+  await assert.rejects(
+    manager.cancel([original.hash]),
+    /fees are at the configured ceiling/
+  );
+  assert.equal(chain.sent.length, 1);
+});
+
+test("legacy gas prices are bumped as well", () => {
+  const manager = createManager(createChain(), { feeBumpPercent: 10 });
+  const bumped = manager.bumpFees({ gasPrice: 100n });
+
+  assert.equal(bumped.gasPrice, 111n);
+  assert.equal(manager.isFeeIncrease({ gasPrice: 100n }, bumped), true);
+});
@@ -0,0 +1,205 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const UpdateOutbox = require("../src/updateOutbox");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "blackswan-outbox-"));
+  filePath = path.join(directory, "outbox.json");
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const createEntry = (outbox, cids) =>
+  outbox.create({
+    scores: { blackswan: 40, marketPeak: 60 },
+    analyses: {},
+    documents: {},
+    cids,
+    writes: {
+      blackswan: { score: true, document: true },
+      marketPeak: { score: true, document: true },
+    },
+  });
+
+test("a new entry is pending until both documents are pinned", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox);
+
+  assert.equal(entry.status, "pending");
+  outbox.setCID(entry, "blackswan", "ipfs://QmA");
+  assert.equal(entry.status, "pending");
+  outbox.setCID(entry, "marketPeak", "ipfs://QmB");
+  assert.equal(entry.status, "pinned");
+});
+
+test("an entry created with both CIDs starts pinned", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox, {
+    blackswan: "ipfs://QmA",
+    marketPeak: "ipfs://QmB",
+  });
+  assert.equal(entry.status, "pinned");
+});
+
+test("the active entry survives a restart", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox, {
+    blackswan: "ipfs://QmA",
+    marketPeak: "ipfs://QmB",
+  });
+  outbox.markSent(entry, "0x01");
+
+  const restarted = new UpdateOutbox(filePath, logger);
+  restarted.load();
+  const active = restarted.getActive();
+
+  assert.equal(active.id, entry.id);
+  assert.equal(active.status, "sent");
+  assert.deepEqual(active.txHashes, ["0x01"]);
+});
+
+test("replacements and cancellations keep every hash", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox);
+
+  outbox.markSent(entry, "0x01");
+  outbox.markSent(entry, "0x02");
+  outbox.markCancelling(entry, "0x03");
+
+  assert.equal(entry.status, "sent");
+  assert.equal(entry.txHash, "0x02");
+  assert.equal(entry.cancelTxHash, "0x03");
+  assert.equal(entry.attempts, 2);
+  assert.deepEqual(entry.txHashes, ["0x01", "0x02", "0x03"]);
+});
+
+test("a failed entry stays active until it is retried", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox, {
+    blackswan: "ipfs://QmA",
+    marketPeak: "ipfs://QmB",
+  });
+  outbox.markSent(entry, "0x01");
+  outbox.markFailed(entry, "Transaction reverted");
+
+  assert.equal(outbox.getActive(), entry);
+  assert.equal(entry.status, "failed");
+  assert.equal(entry.lastError.message, "Transaction reverted");
+
+  outbox.markRetry(entry, "Retried by operator");
+  assert.equal(entry.status, "pinned");
+  assert.equal(entry.txHash, null);
+  assert.deepEqual(entry.txHashes, []);
+  assert.deepEqual(entry.cids, {
+    blackswan: "ipfs://QmA",
+    marketPeak: "ipfs://QmB",
+  });
+});
+
+test("confirmed and superseded entries are no longer active", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const first = createEntry(outbox);
+  outbox.markSuperseded(first);
+  assert.equal(outbox.getActive(), null);
+
+  const second = createEntry(outbox);
+  outbox.markSent(second, "0x01");
+  outbox.markConfirmed(second, { blockNumber: 123 });
+
+  assert.equal(outbox.getActive(), null);
+  assert.equal(second.blockNumber, 123);
+  assert.equal(outbox.getSummary().active, null);
+});
+
+test("only the most recent finished entries are kept", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  for (let index = 0; index < 25; index++) {
+    outbox.markSuperseded(createEntry(outbox));
+  }
+  const active = createEntry(outbox);
+
+  assert.equal(outbox.entries.length, 21);
+  assert.equal(outbox.entries[outbox.entries.length - 1], active);
+  assert.equal(outbox.getActive(), active);
+});
+
+test("an update written in steps is confirmed after the last step", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = outbox.create({
+    scores: { blackswan: 40, marketPeak: 60 },
+    analyses: {},
+    documents: {},
+    cids: { blackswan: "ipfs://QmA", marketPeak: "ipfs://QmB" },
+    writes: {
+      blackswan: { score: true, document: true },
+      marketPeak: { score: false, document: false },
+    },
+  });
+
+  outbox.setStep(entry, {
+    blackswan: { score: true, document: false },
+    marketPeak: { score: false, document: false },
+  });
+  outbox.markSent(entry, "0x01");
+  assert.equal(outbox.markStepConfirmed(entry, { blockNumber: 10 }), false);
+
+  assert.equal(entry.status, "pinned");
+  assert.deepEqual(entry.txHashes, []);
+  assert.deepEqual(outbox.getRemainingWrites(entry), {
+    blackswan: { score: false, document: true },
+    marketPeak: { score: false, document: false },
+  });
+
+  outbox.setStep(entry, {
+    blackswan: { score: false, document: true },
+    marketPeak: { score: false, document: false },
+  });
+  outbox.markSent(entry, "0x02");
+  assert.equal(outbox.markStepConfirmed(entry, { blockNumber: 11 }), true);
+  assert.equal(entry.status, "confirmed");
+  assert.equal(entry.blockNumber, 11);
+});
+
+test("a step left in flight is resumed after a restart", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox, {
+    blackswan: "ipfs://QmA",
+    marketPeak: "ipfs://QmB",
+  });
+  const step = {
+    blackswan: { score: true, document: false },
+    marketPeak: { score: true, document: false },
+  };
+  outbox.setStep(entry, step);
+  outbox.markSent(entry, "0x01");
+
+  const restarted = new UpdateOutbox(filePath, logger);
+  restarted.load();
+  const active = restarted.getActive();
+  assert.deepEqual(active.step, step);
+
+  assert.equal(restarted.markStepConfirmed(active, { blockNumber: 10 }), false);
+  assert.deepEqual(restarted.getRemainingWrites(active), {
+    blackswan: { score: false, document: true },
+    marketPeak: { score: false, document: true },
+  });
+});
+
+test("an entry without a step is confirmed by its first receipt", () => {
+  const outbox = new UpdateOutbox(filePath, logger);
+  const entry = createEntry(outbox);
+  outbox.markSent(entry, "0x01");
+
+  assert.equal(outbox.markStepConfirmed(entry, { blockNumber: 10 }), true);
+  assert.equal(entry.status, "confirmed");
+});
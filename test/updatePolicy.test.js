@@ -0,0 +1,176 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const UpdatePolicy = require("../src/updatePolicy");
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const HOUR = 60 * 60 * 1000;
+const ago = (ms) => new Date(Date.now() - ms).toISOString();
+
+const ENV_KEYS = [
+  "BLACKSWAN_DEVIATION_ABSOLUTE",
+  "BLACKSWAN_DEVIATION_PERCENT",
+  "BLACKSWAN_HEARTBEAT_MS",
+  "BLACKSWAN_CONTENT_INTERVAL_MS",
+];
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+});
+
+test("the first value of an analysis type is always pushed", () => {
+  const policy = new UpdatePolicy(logger, {
+    blackswan: { deviationAbsolute: 10 },
+  });
+
+  const decision = policy.evaluate("blackswan", {
+    score: 40,
+    lastScore: null,
+    contentChanged: true,
+    lastPushAt: null,
+  });
+
+  assert.equal(decision.push, true);
+  assert.equal(decision.reason, "deviation");
+});
+
+test("any score change is a deviation without thresholds", () => {
+  const policy = new UpdatePolicy(logger);
+
+  const decision = policy.evaluate("blackswan", {
+    score: 41,
+    lastScore: 40,
+    contentChanged: true,
+    lastPushAt: ago(60000),
+  });
+
+  assert.deepEqual(decision, {
+    push: true,
+    reason: "deviation",
+    detail: "Score moved 40 → 41",
+  });
+});
+
+test("a score change meeting either threshold is a deviation", () => {
+  const policy = new UpdatePolicy(logger, {
+    blackswan: { deviationAbsolute: 5, deviationPercent: 20 },
+  });
+  const config = policy.config.blackswan;
+
+  assert.equal(policy.isDeviation(config, 45, 40), true);
+  assert.equal(policy.isDeviation(config, 12, 10), true);
+  assert.equal(policy.isDeviation(config, 44, 40), false);
+  assert.equal(policy.isDeviation(config, 40, 40), false);
+  // Any move away from zero is an infinite percentage
+  assert.equal(
+    policy.isDeviation({ deviationAbsolute: null, deviationPercent: 50 }, 1, 0),
+    true
+  );
+});
+
+test("a score change below the thresholds waits for the content interval", () => {
+  const policy = new UpdatePolicy(logger, {
+    blackswan: { deviationAbsolute: 5 },
+  });
+
+  const held = policy.evaluate("blackswan", {
+    score: 42,
+    lastScore: 40,
+    contentChanged: true,
+    lastPushAt: ago(HOUR - 60000),
+  });
+  assert.equal(held.push, false);
+  assert.match(held.detail, /Content change held until content interval \(60s remaining\)/);
+
+  const due = policy.evaluate("blackswan", {
+    score: 42,
+    lastScore: 40,
+    contentChanged: true,
+    lastPushAt: ago(HOUR),
+  });
+  assert.equal(due.push, true);
+  assert.equal(due.reason, "content");
+});
+
+test("a content interval of 0 pushes content changes on the next poll", () => {
+  const policy = new UpdatePolicy(logger, {
+    blackswan: { contentIntervalMs: 0 },
+  });
+
+  const decision = policy.evaluate("blackswan", {
+    score: 40,
+    lastScore: 40,
+    contentChanged: true,
+    lastPushAt: ago(1000),
+  });
+
+  assert.equal(decision.push, true);
+  assert.equal(decision.reason, "content");
+});
+
+test("the heartbeat pushes an unchanged analysis", () => {
+  const policy = new UpdatePolicy(logger, {
+    blackswan: { heartbeatMs: 2 * HOUR },
+  });
+  const unchanged = { score: 40, lastScore: 40, contentChanged: false };
+
+  assert.deepEqual(
+    policy.evaluate("blackswan", { ...unchanged, lastPushAt: ago(HOUR) }),
+    { push: false, reason: null, detail: "No change" }
+  );
+  const decision = policy.evaluate("blackswan", {
+    ...unchanged,
+    lastPushAt: ago(2 * HOUR),
+  });
+  assert.equal(decision.push, true);
+  assert.equal(decision.reason, "heartbeat");
+  assert.equal(policy.getStatus().lastDecisions.blackswan.reason, "heartbeat");
+});
+
+test("a manual update pushes a held content change right away", () => {
+  const policy = new UpdatePolicy(logger);
+  const pending = {
+    score: 40,
+    lastScore: 40,
+    contentChanged: true,
+    lastPushAt: ago(60000),
+  };
+
+  assert.equal(policy.evaluate("blackswan", pending).push, false);
+  assert.equal(
+    policy.evaluate("blackswan", { ...pending, manual: true }).reason,
+    "manual"
+  );
+  // Nothing to push without a change, manual or not
+  assert.equal(
+    policy.evaluate("blackswan", {
+      ...pending,
+      contentChanged: false,
+      manual: true,
+    }).push,
+    false
+  );
+});
+
+test("configuration is read per analysis type from the environment", () => {
+  process.env.BLACKSWAN_DEVIATION_ABSOLUTE = "3";
+  process.env.BLACKSWAN_HEARTBEAT_MS = "7200000";
+  process.env.BLACKSWAN_CONTENT_INTERVAL_MS = "0";
+
+  const policy = UpdatePolicy.fromEnv(logger);
+
+  assert.deepEqual(policy.config.blackswan, {
+    deviationAbsolute: 3,
+    deviationPercent: null,
+    heartbeatMs: 2 * HOUR,
+    contentIntervalMs: 0,
+  });
+  assert.deepEqual(policy.config.marketPeak, {
+    deviationAbsolute: null,
+    deviationPercent: null,
+    heartbeatMs: 24 * HOUR,
+    contentIntervalMs: HOUR,
+  });
+});